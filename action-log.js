@@ -0,0 +1,151 @@
+/**
+ * Action Log
+ * Append-only history of every move in a game, stored in gameState.actionLog
+ * locally and under games/{room}/log online.
+ *
+ * The first entry is always 'start_game'. Every later entry holds the engine
+ * action that was applied, so replaying the actions through GameEngine from
+ * the initial state rebuilds the game at any point. Random draws (challenge
+ * cards, tokens) are recorded inside the actions themselves, and rngState is
+ * stored alongside them so the seeded generator can be resumed too.
+ * An 'undo' entry never removes history - it records which entry was taken
+ * back, and replay restores the state from just before that entry.
+ */
+
+class ActionLog {
+    // Build the opening entry for a new game (holds every setting replay needs)
+    static createStartEntry({ playerNames, maxRounds, rules, challengeMode, firstGuesser, seed, tiePolicy, guessMode, reverseCards, drawDifficulty, bots, rngState }) {
+        return this.sanitize({
+            seq: 0,
+            round: 1,
+            actor: null,
+            actorName: null,
+            action: { type: 'start_game', playerNames, maxRounds, rules, challengeMode, firstGuesser, seed, tiePolicy, guessMode, reverseCards, drawDifficulty, bots: bots || null },
+            outcome: 'game_started',
+            tokens: [],
+            challenge: null,
+            score: null,
+            scores: playerNames.map(() => 0),
+            rngState: rngState ?? null,
+            timestamp: Date.now()
+        });
+    }
+
+    // Build an entry for an engine action that was just applied
+    static createEntry({ seq, action, before, after, events, rngState }) {
+        const actorEvent = events.find(e => e.playerIndex !== undefined && e.playerIndex !== null);
+        const actor = actorEvent ? actorEvent.playerIndex : null;
+        const challenge = after.currentChallenge || before.currentChallenge;
+        const reversed = after.currentChallenge ? after.roundReversed : before.roundReversed;
+
+        return this.sanitize({
+            seq,
+            round: before.round,
+            actor,
+            actorName: actor !== null ? after.players[actor].name : null,
+            action,
+            outcome: events.map(e => e.type).join(','),
+            tokens: this.getEntryTokens(action, events),
+            challenge: challenge
+                ? { name: challenge.name, category: challenge.category, stat: challenge.stat, direction: challenge.direction || 'higher', reversed: !!reversed }
+                : null,
+            score: actor !== null ? (after.players[actor].score || 0) : null,
+            scores: after.players.map(p => p.score || 0),
+            rngState: rngState ?? null,
+            timestamp: Date.now()
+        });
+    }
+
+    // Build an entry that takes back an earlier entry (local undo)
+    static createUndoEntry({ seq, undoneEntry, after, rngState }) {
+        return this.sanitize({
+            seq,
+            round: after.round,
+            actor: undoneEntry.actor,
+            actorName: undoneEntry.actorName,
+            action: { type: 'undo', undoneSeq: undoneEntry.seq },
+            outcome: 'undone',
+            tokens: undoneEntry.tokens,
+            challenge: undoneEntry.challenge,
+            score: undoneEntry.actor !== null ? (after.players[undoneEntry.actor].score || 0) : null,
+            scores: after.players.map(p => p.score || 0),
+            rngState: rngState ?? null,
+            timestamp: Date.now()
+        });
+    }
+
+    // Names of the tokens an entry is about, for display and analytics
+    static getEntryTokens(action, events) {
+        const names = [];
+        events.forEach(event => {
+            if (event.draftedToken) names.push(event.draftedToken.name);
+            if (event.centerToken) names.push(event.centerToken.name);
+            if (event.tokens) names.push(...event.tokens.map(t => t.name));
+        });
+        if (action.type === 'start_round') {
+            names.push(...GameEngine.toArray(action.tokens).map(t => t.name));
+        }
+        return names;
+    }
+
+    // Firebase rejects undefined values, so strip them with a JSON round trip
+    static sanitize(entry) {
+        return JSON.parse(JSON.stringify(entry));
+    }
+
+    // Firebase returns the log as an object keyed by push id
+    static normalize(log) {
+        return GameEngine.toArray(log)
+            .filter(Boolean)
+            .sort((a, b) => (a.seq - b.seq) || (a.timestamp - b.timestamp));
+    }
+
+    // Rebuild the game state after the first `count` entries (default: all)
+    static replay(log, count) {
+        const steps = this.replaySteps(log, count);
+        return steps.length > 0 ? steps[steps.length - 1].state : null;
+    }
+
+    // State after each entry, in order - the basis for replays and undo
+    static replaySteps(log, count) {
+        const entries = this.normalize(log);
+        const limit = count === undefined ? entries.length : Math.min(count, entries.length);
+        const steps = [];
+        const statesBefore = {}; // seq -> state before that entry, for undo entries
+        let state = null;
+
+        for (let i = 0; i < limit; i++) {
+            const entry = entries[i];
+            const action = entry.action;
+
+            statesBefore[entry.seq] = state;
+
+            if (action.type === 'start_game') {
+                state = GameEngine.createInitialState({
+                    ...action,
+                    playerNames: GameEngine.toArray(action.playerNames)
+                });
+            } else if (action.type === 'undo' && statesBefore[action.undoneSeq]) {
+                state = GameEngine.cloneState(statesBefore[action.undoneSeq]);
+            } else if (state) {
+                const result = GameEngine.applyAction(state, action);
+                if (result.events.some(e => e.type === 'invalid')) {
+                    console.warn(`⚠️ Replay stopped at entry ${entry.seq}:`, result.events[0].message);
+                    break;
+                }
+                state = result.state;
+            } else {
+                console.warn('⚠️ Action log does not start with start_game');
+                break;
+            }
+
+            state.rngState = entry.rngState ?? state.rngState;
+            steps.push({ entry, state });
+        }
+
+        return steps;
+    }
+}
+
+// Export globally
+window.ActionLog = ActionLog;
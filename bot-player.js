@@ -0,0 +1,159 @@
+/**
+ * Bot Player
+ * Decisions for computer-controlled players. Pure: takes the game state, returns
+ * what the bot does - the page carries it out through the same functions a human
+ * triggers (selectDraftToken + makeGuess, the cash-out modal, passRound).
+ *
+ * Bots never read the values of unrevealed tokens:
+ *   easy   - picks any token and guesses blindly
+ *   medium - knows the center value and the category's value distribution
+ *   hard   - also remembers every token revealed this round, so it can bet on a
+ *            known value and takes revealed values out of the distribution
+ */
+
+class BotPlayer {
+    static LEVELS = ['easy', 'medium', 'hard'];
+    static LABELS = { easy: '🤖 Easy bot', medium: '🤖 Medium bot', hard: '🤖 Hard bot' };
+    static THINK_MS = 1200;     // Visible "thinking" pause before every bot move
+    static TOKEN_RISK = 0.5;    // Points a token collected this round is worth to lose on a wrong guess
+    static EASY_CASH_OUT = 0.4; // Chance an easy bot cashes out when it has a set
+    static EASY_PASS = 0.25;    // Chance per collected token that an easy bot passes
+
+    static isLevel(level) {
+        return this.LEVELS.includes(level);
+    }
+
+    // What the bot does on its turn:
+    //   { type: 'cash_out', tag, tokenIds } | { type: 'pass' } | { type: 'guess', tokenId, direction }
+    // context: { population: stat values of the category's tokens, revealedIds: token ids seen this round, random }
+    static decideTurn(state, playerIndex, level, { population = [], revealedIds = [], random = Math.random } = {}) {
+        const player = state.players[playerIndex];
+        const rules = GameEngine.getRules(state);
+        const sets = this.findSets(player, rules);
+        const atRisk = GameEngine.toArray(player.thisRound).length;
+        const cashOut = set => ({ type: 'cash_out', tag: set.tag, tokenIds: set.tokens.map(t => t.id) });
+
+        if (state.draftPool.length === 0) {
+            return sets.length > 0 ? cashOut(sets[0]) : { type: 'pass' };
+        }
+
+        if (level === 'easy') {
+            if (sets.length > 0 && random() < this.EASY_CASH_OUT) {
+                return cashOut(sets[sets.length - 1]); // Smallest set
+            }
+            if (atRisk > 0 && random() < Math.min(0.9, atRisk * this.EASY_PASS)) {
+                return { type: 'pass' };
+            }
+            const token = state.draftPool[Math.floor(random() * state.draftPool.length)];
+            const options = this.getGuessOptions(state);
+            return { type: 'guess', tokenId: token.id, direction: options[Math.floor(random() * options.length)] };
+        }
+
+        // A full set is worth the most it will ever be - take it
+        if (sets.length > 0 && sets[0].tokens.length >= rules.maxSetSize) {
+            return cashOut(sets[0]);
+        }
+
+        const guess = this.bestGuess(state, level === 'hard' ? revealedIds : [], population, random);
+        const guessValue = guess.probability - (1 - guess.probability) * atRisk * this.TOKEN_RISK;
+        if (guessValue < 0 || !guess.direction) {
+            return sets.length > 0 ? cashOut(sets[0]) : { type: 'pass' };
+        }
+        return { type: 'guess', tokenId: guess.tokenId, direction: guess.direction };
+    }
+
+    // Most likely correct guess: { tokenId, direction, probability }.
+    // Revealed draft tokens are certain; unknown ones share the odds from the remaining distribution
+    static bestGuess(state, revealedIds, population, random) {
+        const stat = state.currentChallenge.stat;
+        const center = state.centerToken;
+        const centerValue = center.stats[stat];
+        const revealed = new Set(revealedIds);
+
+        const known = state.draftPool.filter(t => revealed.has(t.id) && t.stats[stat] !== centerValue);
+        if (known.length > 0) {
+            const token = known[Math.floor(random() * known.length)];
+            const comparison = token.stats[stat] > centerValue ? 'higher' : 'lower';
+            return { tokenId: token.id, direction: this.toGuess(state, comparison), probability: 1 };
+        }
+
+        // Values still hidden: the category's values minus the center and everything revealed
+        const remaining = [...population];
+        const drop = value => {
+            const index = remaining.indexOf(value);
+            if (index !== -1) remaining.splice(index, 1);
+        };
+        drop(centerValue);
+        this.getRevealedTokens(state, revealed).forEach(token => drop(token.stats[stat]));
+
+        const higher = remaining.filter(value => value > centerValue).length;
+        const lower = remaining.filter(value => value < centerValue).length;
+        const total = remaining.length || 1;
+        const comparison = higher >= lower ? 'higher' : 'lower';
+
+        const unknown = state.draftPool.filter(t => !revealed.has(t.id));
+        const token = (unknown.length > 0 ? unknown : state.draftPool)[Math.floor(random() * (unknown.length || state.draftPool.length))];
+        return { tokenId: token.id, direction: this.toGuess(state, comparison), probability: Math.max(higher, lower) / total };
+    }
+
+    // Tokens whose values the bot has seen this round (outside the center)
+    static getRevealedTokens(state, revealed) {
+        const seen = [...state.draftPool, ...state.players.flatMap(p => GameEngine.toArray(p.thisRound))];
+        return seen.filter(token => revealed.has(token.id) && token.id !== state.centerToken?.id);
+    }
+
+    // Ids revealed this round: every drafted token guessed on, the round's first center,
+    // the current center and the former centers players collected
+    static getRevealedIds(state, log) {
+        const ids = new Set();
+        GameEngine.toArray(log).forEach(entry => {
+            if (entry.round !== state.round) return;
+            if (entry.action?.type === 'guess' && entry.action.tokenId) ids.add(entry.action.tokenId);
+            if (entry.action?.type === 'start_round') {
+                const first = GameEngine.toArray(entry.action.tokens)[0];
+                if (first) ids.add(first.id);
+            }
+        });
+        if (state.centerToken) ids.add(state.centerToken.id);
+        state.players.forEach(p => GameEngine.toArray(p.thisRound).forEach(token => ids.add(token.id)));
+        return [...ids];
+    }
+
+    // Guess button ('higher'/'lower' or 'better'/'worse') that makes the wanted comparison
+    static toGuess(state, comparison) {
+        return this.getGuessOptions(state).find(option => GameEngine.getComparisonDirection(state, option) === comparison);
+    }
+
+    static getGuessOptions(state) {
+        return state.guessMode === 'betterWorse' ? ['better', 'worse'] : ['higher', 'lower'];
+    }
+
+    // Cashable sets, biggest first: [{ tag, tokens }] with at most maxSetSize tokens each
+    static findSets(player, rules) {
+        const tokens = [...GameEngine.toArray(player.hand), ...GameEngine.toArray(player.thisRound)];
+        const groups = {};
+        tokens.forEach(token => {
+            GameEngine.getSetKeys(token, rules.wildSets).forEach(key => {
+                (groups[key] = groups[key] || []).push(token);
+            });
+        });
+        return Object.entries(groups)
+            .filter(([, group]) => group.length >= rules.minSetSize)
+            .map(([tag, group]) => ({ tag, tokens: group.slice(0, rules.maxSetSize) }))
+            .sort((a, b) => b.tokens.length - a.tokens.length);
+    }
+
+    // Challenge card to play: easy picks any card, the others pick the category
+    // their collected tokens come from most (towards sets), first card on a tie
+    static chooseChallengeCard(state, playerIndex, level, cards, random = Math.random) {
+        if (level === 'easy' || cards.length <= 1) return Math.floor(random() * cards.length);
+
+        const player = state.players[playerIndex];
+        const owned = [...GameEngine.toArray(player.hand), ...GameEngine.toArray(player.thisRound)];
+        const scores = cards.map(card => owned.filter(token => GameEngine.getTokenCategory(token) === card.challenge.category).length);
+        return scores.indexOf(Math.max(...scores));
+    }
+}
+
+// Export globally
+window.BotPlayer = BotPlayer;
@@ -0,0 +1,255 @@
+/**
+ * Category Builder
+ * Turns a CSV (a name column plus numeric stat columns) into a category pack:
+ * chosen columns become challenges, and up to four columns become tag groups
+ * by threshold. Built packs are saved in localStorage under 'customCategoryPacks'
+ * and registered with CategoryPacks like the bundled ones.
+ */
+
+class CategoryBuilder {
+    static STORAGE_KEY = 'customCategoryPacks';
+    static ID_PREFIX = 'custom-';
+    static TAG_GROUPS = ['A', 'B', 'C', 'D'];
+    static MAX_THRESHOLDS = 4; // Tag codes go up to level 5
+
+    // Parse CSV text into { headers, rows } - rows are arrays of strings.
+    // Handles quoted fields ("a, b"), doubled quotes and CRLF line endings
+    static parseCsv(text) {
+        const records = [];
+        let record = [];
+        let field = '';
+        let quoted = false;
+        const source = String(text || '').replace(/^\uFEFF/, '');
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if (quoted) {
+                if (char === '"' && source[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                record.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') i++;
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field !== '' || record.length > 0) {
+            record.push(field);
+            records.push(record);
+        }
+
+        const nonEmpty = records.filter(r => r.some(value => value.trim() !== ''));
+        const headers = (nonEmpty[0] || []).map(header => header.trim());
+        return { headers, rows: nonEmpty.slice(1) };
+    }
+
+    // '1,234' / '$12' / '45%' -> number, anything else -> null
+    static parseNumber(value) {
+        const text = String(value ?? '').replace(/[$,%\s]/g, '');
+        if (text === '') return null;
+        const number = Number(text);
+        return Number.isFinite(number) ? number : null;
+    }
+
+    // Per column: { index, header, stat, numeric, filled } - numeric when every filled value is a number
+    static analyzeColumns({ headers, rows }) {
+        const usedKeys = new Set();
+        return headers.map((header, index) => {
+            const values = rows.map(row => (row[index] ?? '').trim()).filter(value => value !== '');
+            return {
+                index,
+                header,
+                stat: this.toStatKey(header, usedKeys),
+                numeric: values.length > 0 && values.every(value => this.parseNumber(value) !== null),
+                filled: values.length
+            };
+        });
+    }
+
+    // Column header -> stat key that is also a valid Firebase key ('GitHub Stars' -> 'github_stars')
+    static toStatKey(header, usedKeys = new Set()) {
+        const base = String(header).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'stat';
+        let key = base;
+        for (let n = 2; usedKeys.has(key); n++) key = `${base}_${n}`;
+        usedKeys.add(key);
+        return key;
+    }
+
+    static toPackId(name) {
+        const slug = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+        return this.ID_PREFIX + (slug || 'category');
+    }
+
+    // '100, 50' -> [100, 50] (descending, unique). null if any value is not a number
+    static parseThresholds(text) {
+        const parts = String(text || '').split(/[,;\s]+/).filter(Boolean);
+        const numbers = parts.map(part => this.parseNumber(part));
+        if (parts.length === 0 || numbers.some(number => number === null)) return null;
+        return [...new Set(numbers)].sort((a, b) => b - a);
+    }
+
+    // Build and check a pack.
+    //   config: { name, icon, csv, nameColumn, challenges: [{ column, name, direction }],
+    //             tagRules: [{ column, group, thresholds: '100, 50' }] }
+    // Returns { valid, errors, warnings, pack } like HouseRules.validate()
+    static buildPack(config) {
+        const errors = [];
+        const name = String(config.name || '').trim();
+        const id = this.toPackId(name);
+        const csv = config.csv || { headers: [], rows: [] };
+        const columns = this.analyzeColumns(csv);
+
+        if (!name) errors.push('Give the category a name');
+        // Custom ids are prefixed so they cannot replace a bundled pack - but the names would look alike
+        const clash = CategoryPacks.getCategories().find(other => !CategoryPacks.getPack(other).custom && CategoryPacks.getName(other).toLowerCase() === name.toLowerCase());
+        if (name && clash) errors.push(`"${name}" clashes with a built-in category`);
+        if (csv.rows.length === 0) errors.push('The CSV has no rows');
+
+        const nameColumn = columns[config.nameColumn];
+        if (!nameColumn) errors.push('Pick the column that holds each token\'s name');
+
+        const challenges = [];
+        (config.challenges || []).forEach(({ column, name: challengeName, direction }) => {
+            const col = columns[column];
+            if (!col || !col.numeric) {
+                errors.push(`Column "${col?.header ?? column}" is not numeric, so it cannot be a challenge`);
+                return;
+            }
+            challenges.push({
+                stat: col.stat,
+                name: String(challengeName || '').trim() || col.header,
+                direction: direction === 'lower' ? 'lower' : 'higher'
+            });
+        });
+        if (challenges.length === 0) errors.push('Mark at least one numeric column as a challenge');
+
+        const tags = {};
+        const tagRules = [];
+        (config.tagRules || []).forEach(({ column, group, thresholds }) => {
+            const col = columns[column];
+            if (!col || !col.numeric) {
+                errors.push(`Column "${col?.header ?? column}" is not numeric, so it cannot set tags`);
+                return;
+            }
+            if (!this.TAG_GROUPS.includes(group) || tags[group]) {
+                errors.push(`Tag group ${group} is used twice - each group (A-D) takes one column`);
+                return;
+            }
+            const levels = this.parseThresholds(thresholds);
+            if (!levels || levels.length > this.MAX_THRESHOLDS) {
+                errors.push(`Thresholds for "${col.header}" must be 1-${this.MAX_THRESHOLDS} numbers, e.g. "100, 50"`);
+                return;
+            }
+
+            const codes = {};
+            levels.forEach((threshold, i) => {
+                codes[`${group}${i + 1}`] = { label: `${col.header} > ${threshold}`, description: `${col.header} above ${threshold}` };
+            });
+            const last = levels[levels.length - 1];
+            codes[`${group}${levels.length + 1}`] = { label: `${col.header} ≤ ${last}`, description: `${col.header} of ${last} or less` };
+
+            tags[group] = { name: col.header, color: CategoryPacks.TAG_COLORS[group], codes };
+            tagRules.push({ col, group, levels });
+        });
+
+        if (errors.length > 0) return { valid: false, errors, warnings: [], pack: null };
+
+        const numericColumns = columns.filter(col => col.numeric);
+        const tokens = [];
+        csv.rows.forEach(row => {
+            const tokenName = (row[nameColumn.index] ?? '').trim();
+            if (!tokenName) return;
+
+            const stats = {};
+            numericColumns.forEach(col => {
+                const value = this.parseNumber(row[col.index]);
+                if (value !== null) stats[col.stat] = value;
+            });
+            const tokenTags = tagRules
+                .map(({ col, group, levels }) => {
+                    const level = TagDerivation.byThresholds(stats[col.stat], levels);
+                    return level ? `${id}:${group}${level}` : null;
+                })
+                .filter(Boolean);
+
+            const number = String(tokens.length + 1).padStart(3, '0');
+            tokens.push({ id: `${id}:${number}`, category: id, name: tokenName, tags: tokenTags, stats });
+        });
+
+        const pack = { format: CategoryPacks.FORMAT, id, name, icon: String(config.icon || '').trim() || '🃏', custom: true, tags, challenges, tokens };
+
+        // Same checks as the bundled datasets - errors block saving, warnings are shown.
+        // Fewer than four tag groups is the builder's choice, so it gets one warning instead of one per token.
+        // Blank cells only leave a token out of that challenge, so they are warnings here
+        const result = DatasetValidator.validate({
+            datasets: { [id]: tokens },
+            challenges: challenges.map(c => ({ ...c, category: id })),
+            tagCodes: { [id]: Object.values(tags).flatMap(group => Object.keys(group.codes)) },
+            strictStats: false
+        });
+        const format = issue => `${issue.item ?? name}: ${issue.message}`;
+        const warnings = result.warnings.filter(issue => !/^Has \d+ tags/.test(issue.message)).map(format);
+        if (tagRules.length < this.TAG_GROUPS.length) {
+            warnings.unshift(`${tagRules.length} of ${this.TAG_GROUPS.length} tag groups set - tokens can only form sets in those`);
+        }
+        return {
+            valid: result.valid,
+            errors: result.errors.map(format),
+            warnings,
+            pack: result.valid ? pack : null
+        };
+    }
+
+    // Saved packs: { id: pack }
+    static loadSaved() {
+        try {
+            return JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '{}') || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    static save(pack) {
+        const saved = this.loadSaved();
+        saved[pack.id] = pack;
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(saved));
+        return CategoryPacks.register(pack);
+    }
+
+    static remove(id) {
+        const saved = this.loadSaved();
+        delete saved[id];
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(saved));
+        CategoryPacks.unregister(id);
+    }
+
+    // Register every saved pack (a broken one is skipped, not fatal). Returns the ids registered
+    static registerSaved() {
+        const registered = [];
+        Object.values(this.loadSaved()).forEach(pack => {
+            try {
+                registered.push(CategoryPacks.register(pack).id);
+            } catch (error) {
+                console.warn('⚠️ Saved category skipped:', error.message);
+            }
+        });
+        return registered;
+    }
+}
+
+// Export globally
+window.CategoryBuilder = CategoryBuilder;
@@ -0,0 +1,159 @@
+/**
+ * Category Packs
+ * A category pack is one JSON file that bundles everything a category needs:
+ * display name, icon, tag definitions, challenges and tokens (format in
+ * packs/README.md). packs/manifest.json lists the packs to load, so adding a
+ * category means adding a file - the game offers every registered pack.
+ *
+ * Packs are registered in manifest order. Tokens get composite ids and an
+ * explicit category, challenges get the pack id as their category.
+ */
+
+class CategoryPacks {
+    static FORMAT = 1;
+    static MANIFEST_URL = 'packs/manifest.json';
+    static ID_PATTERN = /^[a-z0-9_-]+$/;
+    static TOKEN_ID_PATTERN = /^[A-Za-z0-9_:-]+$/; // Token ids end up in onclick handlers
+    static GENERIC_TAG_COLOR = '#6b7280';
+    static TAG_COLORS = { A: '#3b82f6', B: '#10b981', C: '#f59e0b', D: '#8b5cf6' }; // Colours the bundled packs use
+
+    static packs = {}; // id -> registered pack
+    static order = []; // ids in manifest order
+    static ready = Promise.resolve([]); // Settles once loadManifest() finishes
+
+    // Fetch the manifest and every pack it lists. Returns the ids that loaded
+    static loadManifest(url = this.MANIFEST_URL) {
+        this.ready = (async () => {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`Manifest ${url}: HTTP ${response.status}`);
+            const manifest = await response.json();
+            const base = url.slice(0, url.lastIndexOf('/') + 1);
+
+            const loaded = [];
+            for (const file of GameEngine.toArray(manifest.packs)) {
+                try {
+                    const packResponse = await fetch(base + file);
+                    if (!packResponse.ok) throw new Error(`HTTP ${packResponse.status}`);
+                    const pack = this.register(await packResponse.json());
+                    loaded.push(pack.id);
+                } catch (error) {
+                    console.error(`❌ Category pack ${file} not loaded:`, error.message);
+                }
+            }
+            console.log(`📦 Loaded ${loaded.length} category packs: ${loaded.join(', ')}`);
+            return loaded;
+        })();
+        return this.ready;
+    }
+
+    // Problems that stop a pack from loading (empty when it is usable).
+    // Token and challenge lists may be Firebase-style objects (packs shared through a room)
+    static validatePack(pack) {
+        const errors = [];
+        if (!pack || typeof pack !== 'object') return ['Pack is not an object'];
+        if (pack.format !== this.FORMAT) errors.push(`Unsupported format ${pack.format} (expected ${this.FORMAT})`);
+        if (typeof pack.id !== 'string' || !this.ID_PATTERN.test(pack.id)) errors.push(`Invalid id "${pack.id}" (lowercase letters, digits, - and _)`);
+        if (typeof pack.name !== 'string' || !pack.name.trim()) errors.push('Missing name');
+        if (GameEngine.toArray(pack.tokens).length === 0) errors.push('No tokens');
+        if (GameEngine.toArray(pack.challenges).length === 0) errors.push('No challenges');
+        const badIds = GameEngine.toArray(pack.tokens).filter(token => token?.id !== undefined && !this.TOKEN_ID_PATTERN.test(String(token.id)));
+        if (badIds.length > 0) errors.push(`${badIds.length} tokens have an invalid id (letters, digits, -, _ and :)`);
+        return errors;
+    }
+
+    // Add (or replace) a pack. Throws if the pack is not usable
+    static register(pack) {
+        const errors = this.validatePack(pack);
+        if (errors.length > 0) {
+            throw new Error(`Category pack "${pack?.id}": ${errors.join('; ')}`);
+        }
+
+        const id = pack.id;
+        const tokens = GameEngine.toArray(pack.tokens).map(token => GameEngine.normalizeToken(
+            Array.isArray(token.tags) ? token : { ...token, tags: GameEngine.toArray(token.tags) }, id
+        ));
+        const registered = {
+            id,
+            name: pack.name,
+            icon: pack.icon || '🃏',
+            custom: !!pack.custom, // Built in the browser (CategoryBuilder), not loaded from the manifest
+            tags: pack.tags || {},
+            tokens,
+            challenges: GameEngine.toArray(pack.challenges).map(challenge => ({ ...challenge, category: id, direction: challenge.direction || 'higher' })),
+            tagDefinitions: this.buildTagDefinitions(id, pack.tags || {}, tokens)
+        };
+
+        if (!this.packs[id]) this.order.push(id);
+        this.packs[id] = registered;
+        return registered;
+    }
+
+    static unregister(id) {
+        delete this.packs[id];
+        this.order = this.order.filter(packId => packId !== id);
+    }
+
+    // 'category:A1' -> { code, group, label, description, color, documented } for every
+    // documented code and every tag a token uses (undocumented ones get a generic label)
+    static buildTagDefinitions(id, tags, tokens) {
+        const definitions = {};
+        const define = (code, documented) => {
+            const letter = code.charAt(0);
+            const group = tags[letter] || {};
+            const groupName = group.name || `Group ${letter}`;
+            definitions[`${id}:${code}`] = {
+                code,
+                group: groupName,
+                label: documented ? documented.label : `${groupName} ${code.slice(1)}`,
+                description: documented ? documented.description : `${groupName} set group ${code} (not described in the pack)`,
+                color: group.color || this.GENERIC_TAG_COLOR,
+                documented: !!documented
+            };
+        };
+
+        Object.values(tags).forEach(group => {
+            Object.entries(group.codes || {}).forEach(([code, documented]) => define(code, documented));
+        });
+        tokens.forEach(token => GameEngine.getTokenTags(token).forEach(tag => {
+            if (!definitions[tag] && GameEngine.getTagCategory(tag) === id) define(GameEngine.getTagCode(tag), null);
+        }));
+        return definitions;
+    }
+
+    static getCategories() {
+        return [...this.order];
+    }
+
+    static getPack(id) {
+        return this.packs[id] || null;
+    }
+
+    static getTokens(id) {
+        return this.packs[id]?.tokens || [];
+    }
+
+    // All challenges from every pack, in pack order
+    static getChallenges() {
+        return this.order.flatMap(id => this.packs[id].challenges);
+    }
+
+    static getName(id) {
+        return this.packs[id]?.name || id;
+    }
+
+    static getIcon(id) {
+        return this.packs[id]?.icon || '';
+    }
+
+    static getTagDefinition(tag) {
+        return this.packs[GameEngine.getTagCategory(tag)]?.tagDefinitions[tag] || null;
+    }
+
+    // { category: tokens } for every pack - the shape TagDerivation and DatasetValidator take
+    static getDatasets() {
+        return Object.fromEntries(this.order.map(id => [id, this.packs[id].tokens]));
+    }
+}
+
+// Export globally
+window.CategoryPacks = CategoryPacks;
@@ -0,0 +1,139 @@
+/**
+ * Daily Challenge
+ * One puzzle per calendar day, the same for everyone: the date seeds the challenge
+ * card, the center token and the order of the draft. The player guesses Higher or
+ * Lower on each draft token in turn, and every guessed token becomes the next
+ * center - so all players face exactly the same comparisons.
+ *
+ * Only built-in packs take part (custom packs differ from device to device).
+ * Results are kept in localStorage by date for the history and streak:
+ *   { '2026-10-18': { number, score, total, grid: '🟩🟥🟨', challenge } }
+ */
+
+class DailyChallenge {
+    static STORAGE_KEY = 'dailyResults';
+    static EPOCH = '2026-01-01'; // Puzzle #1
+    static GUESSES = 10;
+    static SQUARES = { correct: '🟩', wrong: '🟥', tie: '🟨' };
+    static DAY_MS = 24 * 60 * 60 * 1000;
+
+    // Local calendar date as 'YYYY-MM-DD' - the puzzle changes at the player's midnight
+    static getDateKey(date = new Date()) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    // Date key moved by a number of days (UTC arithmetic, so DST never skips a day)
+    static shiftDateKey(dateKey, days) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+    }
+
+    static getPuzzleNumber(dateKey) {
+        const toTime = key => Date.parse(`${key}T00:00:00Z`);
+        return Math.round((toTime(dateKey) - toTime(this.EPOCH)) / this.DAY_MS) + 1;
+    }
+
+    // The day's puzzle: { dateKey, number, challenge, tokens } (tokens[0] is the first center), or null.
+    // challenges and getTokens come from the built-in packs, in pack order
+    static createPuzzle(dateKey, { challenges, getTokens }) {
+        const count = this.GUESSES + 1;
+        const eligible = challenge => getTokens(challenge.category).filter(t => GameEngine.hasNumericStat(t, challenge.stat));
+        const playable = challenges.filter(challenge => eligible(challenge).length >= count);
+        if (playable.length === 0) return null;
+
+        const rng = new SeededRandom(`daily-${dateKey}`);
+        const challenge = playable[rng.nextInt(playable.length)];
+        const tokens = DrawDifficulty.drawUniform(eligible(challenge), count, max => rng.nextInt(max));
+        return { dateKey, number: this.getPuzzleNumber(dateKey), challenge, tokens };
+    }
+
+    static createRun(puzzle) {
+        return {
+            dateKey: puzzle.dateKey,
+            number: puzzle.number,
+            challenge: puzzle.challenge,
+            centerToken: puzzle.tokens[0],
+            queue: puzzle.tokens.slice(1),
+            results: [], // 'correct' | 'wrong' | 'tie' per guess
+            over: false
+        };
+    }
+
+    // Guess on the next draft token - a tie counts either way. Returns { run, result, drafted }
+    static guess(run, direction) {
+        if (run.over) return { run, result: null, drafted: null };
+
+        const [drafted, ...queue] = run.queue;
+        const stat = run.challenge.stat;
+        let result;
+        if (drafted.stats[stat] === run.centerToken.stats[stat]) {
+            result = 'tie';
+        } else {
+            result = GameEngine.isGuessCorrect(drafted, run.centerToken, stat, direction) ? 'correct' : 'wrong';
+        }
+
+        return {
+            run: { ...run, centerToken: drafted, queue, results: [...run.results, result], over: queue.length === 0 },
+            result,
+            drafted
+        };
+    }
+
+    static getScore(run) {
+        return run.results.filter(result => result !== 'wrong').length;
+    }
+
+    // What gets stored for the day
+    static toResult(run) {
+        return {
+            number: run.number,
+            score: this.getScore(run),
+            total: run.results.length,
+            grid: run.results.map(result => this.SQUARES[result]).join(''),
+            challenge: run.challenge.name
+        };
+    }
+
+    // Spoiler-free text to share: no challenge or token names, just the squares
+    static buildShareText(result) {
+        return `4f4 Daily #${result.number} ${result.score}/${result.total}\n${result.grid}`;
+    }
+
+    static loadResults() {
+        try {
+            return JSON.parse(localStorage.getItem(this.STORAGE_KEY)) || {};
+        } catch (error) {
+            console.warn('⚠️ Daily results unreadable, starting fresh:', error.message);
+            return {};
+        }
+    }
+
+    static saveResult(dateKey, result) {
+        const results = { ...this.loadResults(), [dateKey]: result };
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(results));
+        return results;
+    }
+
+    // Days in a row played, ending today (or yesterday, while today is still open)
+    static getStreak(results, todayKey) {
+        let day = results[todayKey] ? todayKey : this.shiftDateKey(todayKey, -1);
+        let streak = 0;
+        while (results[day]) {
+            streak++;
+            day = this.shiftDateKey(day, -1);
+        }
+        return streak;
+    }
+
+    // The last `days` days, oldest first: [{ dateKey, result }] (result null when not played)
+    static getCalendar(results, todayKey, days = 28) {
+        return Array.from({ length: days }, (_, i) => {
+            const dateKey = this.shiftDateKey(todayKey, i - days + 1);
+            return { dateKey, result: results[dateKey] || null };
+        });
+    }
+}
+
+// Export globally
+window.DailyChallenge = DailyChallenge;
@@ -0,0 +1,189 @@
+/**
+ * Dataset Validator
+ * Checks the tokens of every category pack against the pack challenges
+ * before they ship: challenge stats exist and are numeric, ids and
+ * names are unique, tags follow the 'category:A1' schema and use codes the pack
+ * documents, counts are not NaN or negative, and every challenge has enough
+ * distinct values to play.
+ *
+ * Errors make a dataset unplayable or wrong - a token missing a challenge stat is
+ * one, since it silently drops out of that challenge. Warnings are gaps the game
+ * works around (fewer than 4 tags, challenges with few distinct values).
+ */
+
+class DatasetValidator {
+    static TAG_PATTERN = /^([a-z0-9_-]+):([A-D])([1-5])$/;
+    static TAGS_PER_TOKEN = 4;
+    static MIN_DISTINCT_VALUES = 5; // Fewer than this and most guesses are ties
+    static SIGNED_STATS = /growth|performance|margin/; // Stats that may legitimately go below zero
+
+    // Validate every dataset against the challenges. tagCodes: { category: documented codes ('A1', ...) },
+    // categories without documented codes skip that check. strictStats: false reports tokens missing a
+    // challenge stat as warnings (CSV imports, where a blank cell just leaves the token out).
+    // Returns { valid, errors, warnings, summary } - each issue is { category, item, message }
+    static validate({ datasets = this.getDatasets(), challenges = this.getChallenges(), tagCodes = this.getTagCodes(), minTokens = HouseRules.DEFAULTS.draftSize, strictStats = true } = {}) {
+        const errors = [];
+        const warnings = [];
+        const error = (category, item, message) => errors.push({ category, item, message });
+        const warn = (category, item, message) => warnings.push({ category, item, message });
+
+        const ids = new Set(); // Ids are unique across all categories, not just within one
+        Object.entries(datasets).forEach(([category, tokens]) => {
+            if (!Array.isArray(tokens)) {
+                error(category, null, 'Token list is not an array');
+                return;
+            }
+            this.checkTokens(category, tokens, ids, tagCodes[category], error, warn);
+        });
+
+        const seenStats = new Set();
+        challenges.forEach(challenge => {
+            const key = `${challenge.category}.${challenge.stat}`;
+            if (seenStats.has(key)) error(challenge.category, challenge.name, `Duplicate challenge for stat "${challenge.stat}"`);
+            seenStats.add(key);
+            this.checkChallenge(challenge, datasets[challenge.category], minTokens, strictStats ? error : warn, error, warn);
+        });
+
+        const tokenCount = Object.values(datasets).reduce((sum, tokens) => sum + (Array.isArray(tokens) ? tokens.length : 0), 0);
+        return {
+            valid: errors.length === 0,
+            errors,
+            warnings,
+            summary: { categories: Object.keys(datasets).length, tokens: tokenCount, challenges: challenges.length }
+        };
+    }
+
+    // Ids, names, tags and stat values of one category's tokens
+    static checkTokens(category, tokens, ids, codes, error, warn) {
+        const names = new Set();
+
+        tokens.forEach((token, index) => {
+            const item = token?.name || `#${index}`;
+            if (!token || typeof token !== 'object') {
+                error(category, item, 'Token is not an object');
+                return;
+            }
+
+            if (token.id === undefined || token.id === null || token.id === '') error(category, item, 'Missing id');
+            else if (ids.has(token.id)) error(category, item, `Duplicate id "${token.id}"`);
+            else if (!String(token.id).startsWith(`${category}:`)) error(category, item, `Id "${token.id}" is not prefixed with "${category}:"`);
+            ids.add(token.id);
+
+            if (token.category !== category) error(category, item, `Category is "${token.category}", expected "${category}"`);
+
+            if (typeof token.name !== 'string' || !token.name.trim()) error(category, item, 'Missing name');
+            else if (names.has(token.name)) error(category, item, 'Duplicate name');
+            names.add(token.name);
+
+            this.checkTags(category, token, item, codes, error, warn);
+
+            if (!token.stats || typeof token.stats !== 'object') {
+                error(category, item, 'Missing stats object');
+                return;
+            }
+            Object.entries(token.stats).forEach(([stat, value]) => {
+                if (typeof value !== 'number') return; // Strings (league, country) and nulls are checked per challenge
+                if (!Number.isFinite(value)) error(category, item, `${stat} is ${value}`);
+                else if (value < 0 && !this.SIGNED_STATS.test(stat)) error(category, item, `${stat} is negative (${value})`);
+            });
+        });
+    }
+
+    // Tags must be 'category:A1'-style, match the token's category, use each group once
+    // and (when the pack documents its codes) be one of the documented codes
+    static checkTags(category, token, item, codes, error, warn) {
+        if (!Array.isArray(token.tags)) {
+            error(category, item, 'Tags are not an array');
+            return;
+        }
+
+        const groups = new Set();
+        token.tags.forEach(tag => {
+            const match = typeof tag === 'string' ? tag.match(this.TAG_PATTERN) : null;
+            if (!match) {
+                error(category, item, `Malformed tag "${tag}"`);
+                return;
+            }
+            if (match[1] !== category) error(category, item, `Tag "${tag}" belongs to another category`);
+            else if (codes?.length > 0 && !codes.includes(`${match[2]}${match[3]}`)) error(category, item, `Tag "${tag}" is not documented in the pack`);
+            if (groups.has(match[2])) error(category, item, `More than one ${match[2]} tag`);
+            groups.add(match[2]);
+        });
+
+        if (token.tags.length !== this.TAGS_PER_TOKEN) {
+            warn(category, item, `Has ${token.tags.length} tags, expected ${this.TAGS_PER_TOKEN}`);
+        }
+    }
+
+    // A challenge is playable when enough tokens have a numeric value for its
+    // stat to deal a round, and those values are not all ties
+    // missing reports tokens without a numeric value for the stat (an error, or a warning for CSV imports)
+    static checkChallenge(challenge, tokens, minTokens, missing, error, warn) {
+        const { category, name, stat } = challenge;
+        if (!Array.isArray(tokens)) {
+            error(category, name, `Unknown category "${category}"`);
+            return;
+        }
+        if (typeof stat !== 'string' || !stat) {
+            error(category, name, 'Challenge has no stat');
+            return;
+        }
+        if (challenge.direction && !['higher', 'lower'].includes(challenge.direction)) {
+            error(category, name, `Unknown direction "${challenge.direction}"`);
+        }
+
+        const values = [];
+        tokens.forEach(token => {
+            if (GameEngine.hasNumericStat(token, stat)) {
+                values.push(token.stats[stat]);
+            } else {
+                const value = token?.stats?.[stat];
+                missing(category, token?.name, `${stat} is ${value === undefined ? 'missing' : String(value)} (skipped for "${name}")`);
+            }
+        });
+
+        const distinct = new Set(values).size;
+        if (values.length < minTokens) {
+            error(category, name, `Only ${values.length} tokens have ${stat} (a round needs ${minTokens})`);
+        }
+        if (distinct < 2) {
+            error(category, name, `Every token has the same ${stat}`);
+        } else if (distinct < this.MIN_DISTINCT_VALUES) {
+            warn(category, name, `Only ${distinct} distinct values for ${stat} - most guesses will tie`);
+        }
+    }
+
+    // Report as readable lines, errors first
+    static formatReport(result = this.validate()) {
+        const line = (icon, issue) => `${icon} [${issue.category}] ${issue.item ?? '-'}: ${issue.message}`;
+        const { categories, tokens, challenges } = result.summary;
+        return [
+            `🗂️ Checked ${tokens} tokens in ${categories} categories against ${challenges} challenges`,
+            ...result.errors.map(issue => line('❌', issue)),
+            ...result.warnings.map(issue => line('⚠️', issue)),
+            result.valid
+                ? `✅ No errors (${result.warnings.length} warnings)`
+                : `❌ ${result.errors.length} errors, ${result.warnings.length} warnings`
+        ].join('\n');
+    }
+
+    // Tokens and challenges of every registered category pack
+    static getDatasets() {
+        return CategoryPacks.getDatasets();
+    }
+
+    static getChallenges() {
+        return CategoryPacks.getChallenges();
+    }
+
+    // Codes each registered pack documents in its tag definitions
+    static getTagCodes() {
+        return Object.fromEntries(CategoryPacks.getCategories().map(id => [
+            id,
+            Object.values(CategoryPacks.getPack(id).tags || {}).flatMap(group => Object.keys(group.codes || {}))
+        ]));
+    }
+}
+
+// Export globally
+window.DatasetValidator = DatasetValidator;
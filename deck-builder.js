@@ -0,0 +1,139 @@
+/**
+ * Deck Builder
+ * Narrows which tokens of each category are in play (e.g. NBA teams only, or
+ * movies released after 2010). A filter per category:
+ *   { tags: ['sports:A2'], ranges: { year_founded: { min: 1950 } }, fields: { league: ['NBA'] } }
+ * Tags of the same group (A-D) and values of the same field are alternatives;
+ * different groups, fields and ranges must all match. An empty filter keeps
+ * every token. Each category's deck still needs a full draft of tokens.
+ */
+
+class DeckBuilder {
+    static MAX_FIELD_VALUES = 20; // String stats with more distinct values (codes, names) are not offered as filters
+
+    // Firebase turns arrays into objects and drops empty ones - rebuild a complete filter
+    static normalizeFilter(filter) {
+        const ranges = {};
+        Object.entries(filter?.ranges || {}).forEach(([stat, range]) => {
+            const min = this.toLimit(range?.min);
+            const max = this.toLimit(range?.max);
+            if (min !== null || max !== null) ranges[stat] = { min, max };
+        });
+
+        const fields = {};
+        Object.entries(filter?.fields || {}).forEach(([field, values]) => {
+            const list = GameEngine.toArray(values).map(String);
+            if (list.length > 0) fields[field] = list;
+        });
+
+        return { tags: GameEngine.toArray(filter?.tags).map(String), ranges, fields };
+    }
+
+    // { category: filter } with every filter normalized and empty ones dropped
+    static normalizeFilters(filters) {
+        const normalized = {};
+        Object.entries(filters || {}).forEach(([category, filter]) => {
+            if (!this.isEmpty(filter)) normalized[category] = this.normalizeFilter(filter);
+        });
+        return normalized;
+    }
+
+    static toLimit(value) {
+        if (value === '' || value === null || value === undefined) return null;
+        const number = Number(value);
+        return Number.isFinite(number) ? number : null;
+    }
+
+    static isEmpty(filter) {
+        const { tags, ranges, fields } = this.normalizeFilter(filter);
+        return tags.length === 0 && Object.keys(ranges).length === 0 && Object.keys(fields).length === 0;
+    }
+
+    static matches(token, filter) {
+        const { tags, ranges, fields } = this.normalizeFilter(filter);
+        const stats = token.stats || {};
+
+        // Selected tags by group: the token needs one tag from every group that has a selection
+        const tagGroups = {};
+        tags.forEach(tag => {
+            const group = GameEngine.getTagCode(tag).charAt(0);
+            (tagGroups[group] = tagGroups[group] || []).push(tag);
+        });
+        const tokenTags = GameEngine.getTokenTags(token);
+        if (!Object.values(tagGroups).every(group => group.some(tag => tokenTags.includes(tag)))) return false;
+
+        const inRanges = Object.entries(ranges).every(([stat, { min, max }]) =>
+            GameEngine.hasNumericStat(token, stat) &&
+            (min === null || stats[stat] >= min) &&
+            (max === null || stats[stat] <= max)
+        );
+        if (!inRanges) return false;
+
+        return Object.entries(fields).every(([field, values]) => values.includes(String(stats[field])));
+    }
+
+    static apply(tokens, filter) {
+        if (this.isEmpty(filter)) return [...(tokens || [])];
+        return (tokens || []).filter(token => this.matches(token, filter));
+    }
+
+    // What a category can be filtered on:
+    //   { tags: [tag], ranges: { stat: { min, max } }, fields: { field: [values] } }
+    static getFilterOptions(tokens) {
+        const tags = new Set();
+        const ranges = {};
+        const fieldValues = {};
+
+        (tokens || []).forEach(token => {
+            GameEngine.getTokenTags(token).forEach(tag => tags.add(tag));
+            Object.entries(token.stats || {}).forEach(([stat, value]) => {
+                if (typeof value === 'number' && Number.isFinite(value)) {
+                    const range = ranges[stat] || (ranges[stat] = { min: value, max: value });
+                    range.min = Math.min(range.min, value);
+                    range.max = Math.max(range.max, value);
+                } else if (typeof value === 'string' && value) {
+                    (fieldValues[stat] = fieldValues[stat] || new Set()).add(value);
+                }
+            });
+        });
+
+        const fields = {};
+        Object.entries(fieldValues).forEach(([field, values]) => {
+            if (values.size >= 2 && values.size <= this.MAX_FIELD_VALUES) fields[field] = [...values].sort();
+        });
+
+        return { tags: [...tags].sort(), ranges, fields };
+    }
+
+    // Filter every category's tokens. getTokens(category) -> full token list.
+    // Returns { valid, errors, decks: { category: tokens } } like HouseRules.validate()
+    static build({ categories, filters = {}, getTokens, minTokens = HouseRules.DEFAULTS.draftSize }) {
+        const errors = [];
+        const decks = {};
+        categories.forEach(category => {
+            const deck = this.apply(getTokens(category), filters[category]);
+            decks[category] = deck;
+            if (deck.length < minTokens) {
+                errors.push(`${CategoryPacks.getName(category)} deck has ${deck.length} tokens (needs at least ${minTokens})`);
+            }
+        });
+        return { valid: errors.length === 0, errors, decks };
+    }
+
+    // Short text for the panel: 'league: NBA · year_founded ≥ 1950'
+    static describe(filter) {
+        const { tags, ranges, fields } = this.normalizeFilter(filter);
+        const parts = [];
+        if (tags.length > 0) parts.push(`${tags.length} tag${tags.length === 1 ? '' : 's'}`);
+        Object.entries(fields).forEach(([field, values]) => parts.push(`${field}: ${values.join('/')}`));
+        Object.entries(ranges).forEach(([stat, { min, max }]) => {
+            if (min !== null && max !== null) parts.push(`${min} ≤ ${stat} ≤ ${max}`);
+            else if (min !== null) parts.push(`${stat} ≥ ${min}`);
+            else parts.push(`${stat} ≤ ${max}`);
+        });
+        return parts.length > 0 ? parts.join(' · ') : 'All tokens';
+    }
+}
+
+// Export globally
+window.DeckBuilder = DeckBuilder;
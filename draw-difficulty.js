@@ -0,0 +1,105 @@
+/**
+ * Draw Difficulty
+ * Shapes which tokens are drawn for a round from the spread of the chosen
+ * challenge's stat. Easy spaces the draw evenly across the sorted values (far
+ * apart, quick to judge), hard takes a tight cluster of neighbouring values,
+ * normal is the plain uniform draw.
+ *
+ * Works on ranks rather than raw values, so skewed stats (box office, GDP)
+ * still spread evenly. All randomness comes from the randomIndex passed in,
+ * so seeded games stay reproducible.
+ */
+
+class DrawDifficulty {
+    static LEVELS = ['easy', 'normal', 'hard'];
+    static DEFAULT_LEVEL = 'normal';
+    static EASY_TRIES = 8;        // Evenly spaced draws tried - the one with the widest smallest gap wins
+    static HARD_WINDOW = 1.5;     // Hard draws from a run of count * 1.5 neighbouring values
+    static HARD_TIGHTEST = 1 / 3; // ...picked at random from the tightest third of those runs
+
+    static isLevel(level) {
+        return this.LEVELS.includes(level);
+    }
+
+    // Draw count tokens from eligible (every one has a numeric value for stat).
+    // Returns the drawn tokens in random order - the first becomes the center token
+    static draw(eligible, count, stat, level, randomIndex) {
+        const tokens = [...eligible];
+        if (level === 'normal' || !this.isLevel(level) || !stat || tokens.length <= count) {
+            return this.drawUniform(tokens, count, randomIndex);
+        }
+
+        const sorted = tokens.sort((a, b) => a.stats[stat] - b.stats[stat]);
+        const chosen = level === 'easy'
+            ? this.pickSpread(sorted, count, stat, randomIndex)
+            : this.pickCluster(sorted, count, stat, randomIndex);
+        return this.drawUniform(chosen, count, randomIndex);
+    }
+
+    // The original draw: take a random remaining token, count times
+    static drawUniform(tokens, count, randomIndex) {
+        const remaining = [...tokens];
+        const drawn = [];
+        for (let i = 0; i < count && remaining.length > 0; i++) {
+            drawn.push(remaining.splice(randomIndex(remaining.length), 1)[0]);
+        }
+        return drawn;
+    }
+
+    // One token per equal slice of the sorted values, at the same offset in every slice
+    static pickSpread(sorted, count, stat, randomIndex) {
+        const step = sorted.length / count;
+        let best = null;
+        let bestGap = -1;
+        for (let i = 0; i < this.EASY_TRIES; i++) {
+            const offset = randomIndex(1000) / 1000;
+            const picks = Array.from({ length: count }, (_, k) => sorted[Math.floor((k + offset) * step)]);
+            const gap = this.smallestGap(picks, stat);
+            if (gap > bestGap) {
+                best = picks;
+                bestGap = gap;
+            }
+        }
+        return best;
+    }
+
+    // A random run of neighbouring values from among the tightest runs
+    static pickCluster(sorted, count, stat, randomIndex) {
+        const width = Math.min(sorted.length, Math.ceil(count * this.HARD_WINDOW));
+        const runs = [];
+        for (let start = 0; start + width <= sorted.length; start++) {
+            runs.push({ start, spread: sorted[start + width - 1].stats[stat] - sorted[start].stats[stat] });
+        }
+        runs.sort((a, b) => a.spread - b.spread || a.start - b.start);
+
+        const tightest = runs.slice(0, Math.max(1, Math.ceil(runs.length * this.HARD_TIGHTEST)));
+        const { start } = tightest[randomIndex(tightest.length)];
+        return this.drawUniform(sorted.slice(start, start + width), count, randomIndex);
+    }
+
+    // Smallest difference between two values (tokens sorted by the stat)
+    static smallestGap(sorted, stat) {
+        let gap = Infinity;
+        for (let i = 1; i < sorted.length; i++) {
+            gap = Math.min(gap, sorted[i].stats[stat] - sorted[i - 1].stats[stat]);
+        }
+        return gap;
+    }
+
+    // How hard a draw is, relative to the whole category's range of values:
+    //   spread  - range of the drawn values (0 = all equal, 1 = full range)
+    //   closest - smallest gap between two drawn values (near 0 = a coin-flip guess)
+    static measure(drawn, all, stat) {
+        const fullRange = Math.max(...all.map(token => token.stats[stat])) - Math.min(...all.map(token => token.stats[stat]));
+        if (fullRange <= 0) return { spread: 0, closest: 0 };
+
+        const sorted = [...drawn].sort((a, b) => a.stats[stat] - b.stats[stat]);
+        return {
+            spread: (sorted[sorted.length - 1].stats[stat] - sorted[0].stats[stat]) / fullRange,
+            closest: this.smallestGap(sorted, stat) / fullRange
+        };
+    }
+}
+
+// Export globally
+window.DrawDifficulty = DrawDifficulty;
@@ -0,0 +1,690 @@
+/**
+ * Game Engine
+ * DOM-free rules for drafting, guessing, passing, cashing out and ending rounds.
+ *
+ * applyAction(state, action) never mutates its input. It returns the next
+ * state plus a list of events describing what happened, which the UI layer
+ * turns into notifications, animations and Firebase writes. Player objects
+ * that an action does not touch are returned by reference, so callers can
+ * tell which players changed with a simple `!==` check.
+ */
+
+class GameEngine {
+    // What happens when the drafted and center tokens have the same stat value
+    static TIE_POLICIES = {
+        push: 'Push - token goes back to the pool, turn ends',
+        correct: 'Counts as correct',
+        wrong: 'Counts as wrong'
+    };
+    static DEFAULT_TIE_POLICY = 'push';
+
+    // Guesses are 'higher'/'lower' in classic mode and 'better'/'worse' in better/worse
+    // mode, where "better" follows the challenge's direction field
+    static GUESS_MODES = ['higherLower', 'betterWorse'];
+
+    // Fresh state for a new game (also the starting point when replaying a log)
+    static createInitialState({ playerNames, maxRounds, rules = null, challengeMode = 'cards', firstGuesser = 0, seed = null, tiePolicy = this.DEFAULT_TIE_POLICY, guessMode = 'higherLower', reverseCards = false, drawDifficulty = 'normal', bots = null }) {
+        // Older logs only carry maxRounds - the rules object wins when both are given
+        const gameRules = HouseRules.resolve({ maxRounds, ...(rules || {}) });
+
+        return {
+            phase: 'challenge',
+            round: 1,
+            maxRounds: gameRules.maxRounds,
+            rules: gameRules,
+            challengeMode,
+            tiePolicy,
+            guessMode,
+            reverseCards,
+            drawDifficulty,
+            roundReversed: false,
+            currentPlayer: firstGuesser,
+            firstGuesser,
+            lastToPass: null,
+            lastStandingAwardedRound: null,
+            roundSummary: null,
+            players: playerNames.map((name, index) => ({
+                name,
+                botLevel: bots?.[index] || null, // Computer-controlled seat ('easy'/'medium'/'hard'), null for humans
+                score: 0,
+                hand: [],
+                thisRound: [],
+                correctGuesses: 0,
+                wrongGuesses: 0,
+                cashOuts: 0,
+                roundStats: this.createRoundStats()
+            })),
+            passedPlayers: new Set(),
+            centerToken: null,
+            draftPool: [],
+            selectedDraftToken: null,
+            retiredTokens: [],
+            drawnChallengeCards: [],
+            playedChallenges: [],
+            currentChallenge: null,
+            selectedCategory: null,
+            previousCategory: null,
+            rngSeed: seed
+        };
+    }
+
+    static applyAction(state, action) {
+        const next = this.cloneState(state);
+
+        switch (action.type) {
+            case 'deal_cards':
+                return this.applyDealCards(next, action);
+            case 'start_round':
+                return this.applyStartRound(next, action);
+            case 'draft':
+                return this.applyDraft(next, action);
+            case 'guess':
+                return this.applyGuess(next, action);
+            case 'pass':
+                return this.applyPass(next);
+            case 'cash_out':
+                return this.applyCashOut(next, action);
+            case 'last_standing_bonus':
+                return this.applyLastStandingBonus(next);
+            case 'end_round':
+                return this.applyEndRound(next);
+            default:
+                return this.reject(state, `Unknown action: ${action.type}`);
+        }
+    }
+
+    // ===== CHALLENGE SELECTION =====
+
+    // Next challenge is in the category still on the table (center token and draft pool left over)
+    static isCarryOver(state, challenge) {
+        return challenge.category === state.previousCategory && this.toArray(state.draftPool).length > 0;
+    }
+
+    // Tokens kept for the next challenge: the center (if it has a value for the new stat) then the draft pool
+    static getCarriedTokens(state, challenge) {
+        if (!this.isCarryOver(state, challenge)) return [];
+        return [state.centerToken, ...this.toArray(state.draftPool)].filter(token => this.hasNumericStat(token, challenge.stat));
+    }
+
+    // Challenge cards drawn for the first guesser to choose from
+    static applyDealCards(state, action) {
+        state.phase = 'challenge'; // Leaves the round summary
+        state.drawnChallengeCards = this.toArray(action.cards);
+        state.currentPlayer = state.firstGuesser;
+        return { state, events: [{ type: 'cards_dealt', cardCount: state.drawnChallengeCards.length }] };
+    }
+
+    // Chosen challenge plus the tokens drawn for it (draws happen outside the engine)
+    static applyStartRound(state, action) {
+        const challenge = action.challenge;
+        const tokens = this.toArray(action.tokens);
+        const carried = this.getCarriedTokens(state, challenge);
+        const carriedOverCount = carried.length;
+
+        // Same category keeps the center token and draft pool that have a value for the new stat
+        // (the rest go back to the category pool); the first token left becomes the center
+        const returnedTokens = this.isCarryOver(state, challenge)
+            ? [state.centerToken, ...state.draftPool].filter(token => token && !carried.includes(token))
+            : [];
+        const roundTokens = [...carried, ...tokens];
+        state.centerToken = roundTokens[0] || null;
+        state.draftPool = roundTokens.slice(1);
+
+        state.currentChallenge = challenge;
+        state.playedChallenges = [
+            ...this.toArray(state.playedChallenges),
+            { name: challenge.name, category: challenge.category }
+        ];
+        state.selectedCategory = challenge.category;
+        state.previousCategory = challenge.category;
+        state.roundReversed = !!action.reversed; // Reverse card flips the direction this round
+
+        // Reset round state (lastToPass persists until someone else earns it)
+        state.phase = 'challenge';
+        state.players.forEach((player, index) => {
+            this.updatePlayer(state, index, p => { p.roundStats = this.createRoundStats(); });
+        });
+        state.passedPlayers = new Set();
+        state.currentPlayer = state.firstGuesser;
+        state.selectedDraftToken = null;
+
+        return {
+            state,
+            events: [{
+                type: 'round_started',
+                playerIndex: state.firstGuesser,
+                challenge,
+                carriedOverCount,
+                returnedTokens,
+                drawnCount: tokens.length,
+                reversed: state.roundReversed
+            }]
+        };
+    }
+
+    // ===== DRAFT =====
+    static applyDraft(state, action) {
+        if (state.passedPlayers.has(state.currentPlayer)) {
+            return this.reject(state, 'You have passed this round!');
+        }
+
+        const token = state.draftPool.find(t => t.id === action.tokenId);
+        if (!token) {
+            return { state, events: [] };
+        }
+
+        state.selectedDraftToken = token;
+        return {
+            state,
+            events: [{ type: 'token_selected', playerIndex: state.currentPlayer, token }]
+        };
+    }
+
+    // ===== GUESS =====
+    static applyGuess(state, action) {
+        if (state.passedPlayers.has(state.currentPlayer)) {
+            return this.reject(state, 'You have passed this round!');
+        }
+        // Logged guesses name their token so they can be replayed without a draft step
+        if (action.tokenId) {
+            state.selectedDraftToken = state.draftPool.find(t => t.id === action.tokenId) || null;
+        }
+        if (!state.selectedDraftToken) {
+            return this.reject(state, 'Please select a token from the draft pool first!');
+        }
+
+        const drafted = state.selectedDraftToken;
+        const center = state.centerToken;
+        const stat = state.currentChallenge.stat;
+        const comparison = this.getComparisonDirection(state, action.direction);
+
+        let result;
+        if (drafted.stats[stat] === center.stats[stat]) {
+            result = this.resolveTie(state, drafted, center, action.direction);
+        } else if (this.isGuessCorrect(drafted, center, stat, comparison)) {
+            result = this.resolveCorrectGuess(state, drafted, center, action.direction);
+        } else {
+            result = this.resolveWrongGuess(state, drafted, center, action.direction);
+        }
+
+        // Guess events also say which comparison was actually made
+        const [guessEvent, ...rest] = result.events;
+        return {
+            state: result.state,
+            events: [{ ...guessEvent, comparison, reversed: !!state.roundReversed }, ...rest]
+        };
+    }
+
+    // Turn a guess into the stat comparison it stands for ('higher' or 'lower')
+    static getComparisonDirection(state, guess) {
+        let comparison = guess;
+        if (guess === 'better' || guess === 'worse') {
+            const higherIsBetter = (state.currentChallenge.direction || 'higher') === 'higher';
+            comparison = (guess === 'better') === higherIsBetter ? 'higher' : 'lower';
+        }
+        if (state.roundReversed) {
+            comparison = comparison === 'higher' ? 'lower' : 'higher';
+        }
+        return comparison;
+    }
+
+    // Only tokens with a numeric value for the challenge stat can be compared
+    static hasNumericStat(token, stat) {
+        const value = token?.stats?.[stat];
+        return typeof value === 'number' && Number.isFinite(value);
+    }
+
+    // direction is the comparison ('higher'/'lower'), see getComparisonDirection()
+    static isGuessCorrect(drafted, center, stat, direction) {
+        const draftedValue = drafted.stats[stat];
+        const centerValue = center.stats[stat];
+        return direction === 'higher' ? draftedValue > centerValue : draftedValue < centerValue;
+    }
+
+    static resolveCorrectGuess(state, drafted, center, direction) {
+        const playerIndex = state.currentPlayer;
+
+        // Award 1 point and collect the old center token into "this round"
+        this.updatePlayer(state, playerIndex, player => {
+            player.score = (player.score || 0) + 1;
+            player.correctGuesses = (player.correctGuesses || 0) + 1;
+            player.thisRound.push(center);
+            this.addRoundStat(player, 'guessPoints', 1);
+        });
+
+        // Drafted token becomes the new center
+        state.centerToken = drafted;
+        state.draftPool = state.draftPool.filter(t => t.id !== drafted.id);
+        state.selectedDraftToken = null;
+
+        // V4.86: Turn advances after a correct guess
+        state.currentPlayer = this.nextActivePlayer(state, playerIndex);
+
+        return {
+            state,
+            events: [{
+                type: 'correct_guess',
+                playerIndex,
+                draftedToken: drafted,
+                centerToken: center,
+                direction,
+                points: 1
+            }]
+        };
+    }
+
+    static resolveWrongGuess(state, drafted, center, direction) {
+        const playerIndex = state.currentPlayer;
+        const lostTokens = state.players[playerIndex].thisRound;
+
+        // Tokens collected this round go back into the draft pool
+        state.draftPool = [...state.draftPool, ...lostTokens];
+        this.updatePlayer(state, playerIndex, player => {
+            player.thisRound = [];
+            player.wrongGuesses = (player.wrongGuesses || 0) + 1;
+            this.addRoundStat(player, 'tokensLost', lostTokens.length);
+        });
+
+        // First player out this round goes first next round
+        const becomesFirstGuesser = state.passedPlayers.size === 0;
+        if (becomesFirstGuesser) {
+            state.firstGuesser = playerIndex;
+        }
+
+        // Player is OUT for the rest of the round
+        state.passedPlayers.add(playerIndex);
+        state.selectedDraftToken = null;
+
+        const isLastStanding = this.updateLastStanding(state);
+        const events = [{
+            type: 'wrong_guess',
+            playerIndex,
+            draftedToken: drafted,
+            centerToken: center,
+            direction,
+            tokensLost: lostTokens.length,
+            becomesFirstGuesser,
+            isLastStanding
+        }];
+
+        if (this.allPlayersPassed(state)) {
+            events.push({ type: 'round_over' });
+        } else {
+            state.currentPlayer = this.nextActivePlayer(state, playerIndex);
+        }
+
+        return { state, events };
+    }
+
+    // Equal values resolve by the game's tie policy, always reported as a 'tie' event
+    static resolveTie(state, drafted, center, direction) {
+        const policy = this.TIE_POLICIES[state.tiePolicy] ? state.tiePolicy : this.DEFAULT_TIE_POLICY;
+
+        if (policy === 'correct' || policy === 'wrong') {
+            const result = policy === 'correct'
+                ? this.resolveCorrectGuess(state, drafted, center, direction)
+                : this.resolveWrongGuess(state, drafted, center, direction);
+            const [guessEvent, ...rest] = result.events;
+            return { state: result.state, events: [{ ...guessEvent, type: 'tie', policy }, ...rest] };
+        }
+
+        // Push: the drafted token stays in the pool and the turn ends
+        const playerIndex = state.currentPlayer;
+        state.selectedDraftToken = null;
+        state.currentPlayer = this.nextActivePlayer(state, playerIndex);
+
+        return {
+            state,
+            events: [{
+                type: 'tie',
+                policy,
+                playerIndex,
+                draftedToken: drafted,
+                centerToken: center,
+                direction,
+                points: 0
+            }]
+        };
+    }
+
+    // ===== PASS =====
+    static applyPass(state) {
+        const playerIndex = state.currentPlayer;
+
+        if (state.passedPlayers.has(playerIndex)) {
+            return this.reject(state, 'You have already passed this round!');
+        }
+
+        // Move "this round" tokens to hand (safe)
+        const bankedTokens = state.players[playerIndex].thisRound;
+        this.updatePlayer(state, playerIndex, player => {
+            this.addRoundStat(player, 'tokensBanked', player.thisRound.length);
+            player.hand.push(...player.thisRound);
+            player.thisRound = [];
+        });
+
+        state.passedPlayers.add(playerIndex);
+
+        // First to pass becomes first guesser next round
+        const isFirstToPass = state.passedPlayers.size === 1;
+        if (isFirstToPass) {
+            state.firstGuesser = playerIndex;
+        }
+
+        const allPassed = this.allPlayersPassed(state);
+        let isLastStanding = false;
+        if (allPassed) {
+            // Last player to pass earns the last standing bonus
+            state.lastToPass = playerIndex;
+        } else {
+            isLastStanding = this.updateLastStanding(state);
+        }
+
+        const events = [{
+            type: 'pass',
+            playerIndex,
+            tokensBanked: bankedTokens.length,
+            isFirstToPass,
+            isLastStanding
+        }];
+
+        if (allPassed) {
+            events.push({ type: 'round_over' });
+        } else {
+            state.currentPlayer = this.nextActivePlayer(state, playerIndex);
+        }
+
+        return { state, events };
+    }
+
+    // ===== CASH OUT =====
+    static applyCashOut(state, action) {
+        const playerIndex = state.currentPlayer;
+        const tokenIds = action.tokenIds || [];
+        const rules = this.getRules(state);
+
+        if (tokenIds.length < rules.minSetSize) {
+            return this.reject(state, `Must select at least ${rules.minSetSize} tokens!`);
+        }
+        if (tokenIds.length > rules.maxSetSize) {
+            return this.reject(state, `Can only cash out up to ${rules.maxSetSize} tokens (max points)!`);
+        }
+
+        const player = state.players[playerIndex];
+        const allTokens = [...player.hand, ...player.thisRound];
+        const selectedTokens = tokenIds.map(id => allTokens.find(t => t.id === id));
+
+        if (selectedTokens.some(token => !token)) {
+            return this.reject(state, 'Selected tokens are not in your hand!');
+        }
+
+        // All selected tokens must share at least ONE common tag (same category unless sets are wild)
+        const commonTags = this.getSetKeys(selectedTokens[0], rules.wildSets).filter(key =>
+            selectedTokens.every(token => this.getSetKeys(token, rules.wildSets).includes(key))
+        );
+
+        if (commonTags.length === 0) {
+            return this.reject(state, 'All selected tokens must share at least one common tag!');
+        }
+
+        const count = tokenIds.length;
+        const points = HouseRules.getCashOutPoints(rules, count);
+
+        // Remove tokens from hand first, then from this round
+        const removed = [];
+        this.updatePlayer(state, playerIndex, p => {
+            tokenIds.forEach(tokenId => {
+                const fromHand = p.hand.findIndex(t => t.id === tokenId);
+                if (fromHand !== -1) {
+                    removed.push(p.hand.splice(fromHand, 1)[0]);
+                    return;
+                }
+                const fromThisRound = p.thisRound.findIndex(t => t.id === tokenId);
+                if (fromThisRound !== -1) {
+                    removed.push(p.thisRound.splice(fromThisRound, 1)[0]);
+                }
+            });
+            p.score = (p.score || 0) + points;
+            p.cashOuts = (p.cashOuts || 0) + 1;
+            this.addRoundStat(p, 'cashOutPoints', points);
+        });
+
+        state.retiredTokens = [...state.retiredTokens, ...removed];
+        state.currentPlayer = this.nextActivePlayer(state, playerIndex);
+
+        return {
+            state,
+            events: [{
+                type: 'cash_out',
+                playerIndex,
+                tokenCount: count,
+                points,
+                tag: commonTags[0],
+                tokens: removed
+            }]
+        };
+    }
+
+    // ===== LAST STANDING BONUS =====
+    // Applied once the round is over, just before end_round
+    static applyLastStandingBonus(state) {
+        const playerIndex = state.lastToPass;
+        const points = this.getRules(state).lastStandingBonus;
+
+        if (!this.allPlayersPassed(state)) {
+            return this.reject(state, 'The round is not over yet!');
+        }
+        if (playerIndex === null || playerIndex === undefined || !state.players[playerIndex]) {
+            return this.reject(state, 'Nobody was last standing this round!');
+        }
+        if (state.lastStandingAwardedRound === state.round) {
+            return this.reject(state, 'Last standing bonus was already awarded this round!');
+        }
+
+        this.updatePlayer(state, playerIndex, p => {
+            p.score = (p.score || 0) + points;
+            this.addRoundStat(p, 'bonusPoints', points);
+        });
+        state.lastStandingAwardedRound = state.round;
+
+        return { state, events: [{ type: 'last_standing_bonus', playerIndex, points }] };
+    }
+
+    // ===== END ROUND =====
+    static applyEndRound(state) {
+        // Move all "thisRound" tokens to player hands (make them safe)
+        state.players.forEach((player, index) => {
+            if (player.thisRound.length > 0) {
+                this.updatePlayer(state, index, p => {
+                    this.addRoundStat(p, 'tokensBanked', p.thisRound.length);
+                    p.hand.push(...p.thisRound);
+                    p.thisRound = [];
+                });
+            }
+        });
+
+        state.roundSummary = this.buildRoundSummary(state);
+        const events = [{ type: 'round_ended', round: state.round, summary: state.roundSummary }];
+
+        if (state.round >= this.getRules(state).maxRounds) {
+            state.phase = 'gameOver';
+            events.push({ type: 'game_over' });
+            return { state, events };
+        }
+
+        // Reset state for next round - the summary stays up until the first guesser continues
+        // V4.87: previousCategory is kept for carryover tracking
+        state.round += 1;
+        state.phase = 'roundEnd';
+        state.currentChallenge = null;
+        state.selectedCategory = null;
+        state.centerToken = null;
+        state.draftPool = [];
+        state.selectedDraftToken = null;
+        state.passedPlayers = new Set();
+        state.drawnChallengeCards = [];
+        state.roundReversed = false;
+        state.currentPlayer = state.firstGuesser;
+
+        return { state, events };
+    }
+
+    // ===== ROUND SUMMARY =====
+
+    // Per-player tallies for the current round, reset by start_round
+    static createRoundStats() {
+        return { guessPoints: 0, cashOutPoints: 0, bonusPoints: 0, tokensBanked: 0, tokensLost: 0 };
+    }
+
+    // Call inside an updatePlayer() updater
+    static addRoundStat(player, key, amount) {
+        player.roundStats = { ...this.createRoundStats(), ...player.roundStats };
+        player.roundStats[key] += amount;
+    }
+
+    // What happened this round, shown between rounds (and synced online)
+    static buildRoundSummary(state) {
+        return {
+            round: state.round,
+            firstGuesser: state.firstGuesser,
+            players: state.players.map(player => {
+                const stats = { ...this.createRoundStats(), ...player.roundStats };
+                return {
+                    name: player.name,
+                    ...stats,
+                    points: stats.guessPoints + stats.cashOutPoints + stats.bonusPoints,
+                    score: player.score || 0
+                };
+            })
+        };
+    }
+
+    // ===== HELPERS =====
+
+    // Copy the parts of state an action may change; tokens are treated as immutable
+    // House rules for this game (states from before rules existed fall back to the defaults)
+    static getRules(state) {
+        return HouseRules.resolve(state.rules || { maxRounds: state.maxRounds });
+    }
+
+    static cloneState(state) {
+        return {
+            ...state,
+            players: [...(state.players || [])],
+            passedPlayers: new Set(this.toArray(state.passedPlayers)),
+            draftPool: this.toArray(state.draftPool),
+            retiredTokens: this.toArray(state.retiredTokens),
+            drawnChallengeCards: this.toArray(state.drawnChallengeCards),
+            playedChallenges: this.toArray(state.playedChallenges)
+        };
+    }
+
+    // Replace a player with an updated copy (hand/thisRound normalized to arrays)
+    static updatePlayer(state, index, updater) {
+        const player = {
+            ...state.players[index],
+            hand: this.toArray(state.players[index].hand),
+            thisRound: this.toArray(state.players[index].thisRound)
+        };
+        updater(player);
+        state.players[index] = player;
+        return player;
+    }
+
+    // Firebase stores arrays as objects and Sets as arrays - accept all of them
+    static toArray(value) {
+        if (!value) return [];
+        if (Array.isArray(value)) return [...value];
+        if (value instanceof Set) return Array.from(value);
+        return Object.values(value);
+    }
+
+    static getTokenTags(token) {
+        return this.toArray(token?.tags);
+    }
+
+    // Token ids are namespaced like tags ('countries:001') so they are unique across
+    // categories - the dataset codes restart at 001 in every category
+    static getTokenId(category, code) {
+        const text = String(code);
+        return text.startsWith(`${category}:`) ? text : `${category}:${text}`;
+    }
+
+    static getTokenCategory(token) {
+        return token?.category || this.getTagCategory(token?.id);
+    }
+
+    // Copy of a token with a composite id and an explicit category (unchanged if it has both)
+    static normalizeToken(token, category) {
+        const id = this.getTokenId(category, token.id);
+        if (token.id === id && token.category === category) return token;
+        return { ...token, id, category };
+    }
+
+    // Tags are namespaced by category ('movies:A1'); the code is the part after the colon
+    static getTagCode(tag) {
+        const text = String(tag);
+        const separator = text.indexOf(':');
+        return separator === -1 ? text : text.slice(separator + 1);
+    }
+
+    static getTagCategory(tag) {
+        const text = String(tag);
+        const separator = text.indexOf(':');
+        return separator === -1 ? null : text.slice(0, separator);
+    }
+
+    // What a tag matches on for sets - the full tag, or only its code when sets are wild
+    static getSetKeys(token, wildSets = false) {
+        const keys = this.getTokenTags(token).map(tag => (wildSets ? this.getTagCode(tag) : tag));
+        return [...new Set(keys)];
+    }
+
+    // Set key -> number of tokens carrying it
+    static countSetKeys(tokens, wildSets = false) {
+        const counts = {};
+        tokens.forEach(token => {
+            if (!token) return;
+            this.getSetKeys(token, wildSets).forEach(key => {
+                counts[key] = (counts[key] || 0) + 1;
+            });
+        });
+        return counts;
+    }
+
+    static allPlayersPassed(state) {
+        return state.passedPlayers.size === state.players.length;
+    }
+
+    // Next player (after fromIndex) who has not passed; loops back to fromIndex if everyone else is out
+    static nextActivePlayer(state, fromIndex) {
+        const playerCount = state.players.length;
+        let nextIndex = fromIndex;
+        let attempts = 0;
+        do {
+            nextIndex = (nextIndex + 1) % playerCount;
+            attempts++;
+            if (attempts > playerCount) break;
+        } while (state.passedPlayers.has(nextIndex));
+        return nextIndex;
+    }
+
+    // Award the last standing trophy when only 1 player remains active
+    static updateLastStanding(state) {
+        const activeCount = state.players.length - state.passedPlayers.size;
+        if (activeCount !== 1) return false;
+
+        const lastStandingIndex = state.players.findIndex((p, idx) => !state.passedPlayers.has(idx));
+        if (lastStandingIndex !== -1) {
+            state.lastToPass = lastStandingIndex;
+        }
+        return true;
+    }
+
+    static reject(state, message) {
+        return { state, events: [{ type: 'invalid', message }] };
+    }
+}
+
+// Export globally
+window.GameEngine = GameEngine;
@@ -118,6 +118,20 @@ class GameModeManager {
         }
     }
 
+    // Action log abstraction (append-only)
+    static async appendLogEntry(entry) {
+        if (this.isLocal()) {
+            gameState.actionLog.push(entry);
+        } else {
+            const roomCode = localStorage.getItem('currentRoomCode');
+            if (!roomCode) return;
+
+            // push() keys sort chronologically, so the log keeps its order
+            const logRef = this.database.ref('games/' + roomCode + '/log');
+            await logRef.push(entry);
+        }
+    }
+
     // Turn check abstraction
     static isMyTurn() {
         if (this.isLocal()) {
@@ -136,6 +150,29 @@ class GameModeManager {
         }
     }
 
+    // Online bot seats are played by one client: the host, or the first connected
+    // human once the host has disconnected or left
+    static getBotControllerId() {
+        const players = gameState.players || {};
+        const playerIds = window.playerIds || Object.keys(players);
+        const humans = playerIds.filter(id => players[id] && !players[id].isBot && players[id].connected !== false);
+        return humans.find(id => players[id].isHost) || humans[0] || null;
+    }
+
+    static controlsBots() {
+        return this.isLocal() || (!!window.currentUserId && this.getBotControllerId() === window.currentUserId);
+    }
+
+    // Does this client make the moves for the player at index - its own seat, or a bot it runs?
+    static actsFor(index) {
+        if (this.isLocal()) return true;
+
+        const playerIds = window.playerIds || Object.keys(gameState.players || {});
+        const playerId = playerIds[index];
+        if (playerId && playerId === window.currentUserId) return true;
+        return !!gameState.players?.[playerId]?.isBot && this.controlsBots();
+    }
+
     // Get current player info
     static getCurrentPlayer() {
         if (this.isLocal()) {
@@ -0,0 +1,111 @@
+/**
+ * House Rules
+ * The numbers the game is balanced around (draft size, cash-out payouts, set
+ * sizes, round count, last-standing bonus) and on/off house rules, kept in one
+ * validated object.
+ *
+ * The rules live in gameState.rules locally and under games/{room}/config/rules
+ * online. Every rule check reads from that object instead of a hard-coded
+ * constant, so a table can play with its own numbers.
+ */
+
+class HouseRules {
+    static DEFAULTS = {
+        draftSize: 13,                           // Tokens drawn per round (1 center + 12 draft pool)
+        cashOutPoints: { 2: 2, 3: 5, 4: 8 },     // Points for cashing out a set of N tokens
+        minSetSize: 2,
+        maxSetSize: 4,
+        maxRounds: 5,
+        lastStandingBonus: 1,
+        wildSets: false                          // Sets may mix categories (movie A1 + country A1)
+    };
+
+    // On/off rules, shown as checkboxes
+    static TOGGLES = {
+        wildSets: 'Wild cross-category sets - matching tag codes form a set across categories'
+    };
+
+    // Allowed range for each numeric rule
+    static LIMITS = {
+        draftSize: { min: 3, max: 30, label: 'Draft size' },
+        minSetSize: { min: 2, max: 8, label: 'Smallest set' },
+        maxSetSize: { min: 2, max: 8, label: 'Largest set' },
+        maxRounds: { min: 1, max: 20, label: 'Rounds' },
+        lastStandingBonus: { min: 0, max: 10, label: 'Last standing bonus' },
+        cashOutPoints: { min: 0, max: 100, label: 'Cash-out points' }
+    };
+
+    // Deep copy of the defaults, safe to edit
+    static getDefaults() {
+        return {
+            ...this.DEFAULTS,
+            cashOutPoints: { ...this.DEFAULTS.cashOutPoints }
+        };
+    }
+
+    // Merge input over the defaults and check every value.
+    // Returns { valid, errors, rules } - rules only holds values that passed
+    static validate(input = {}) {
+        const source = input || {};
+        const rules = this.getDefaults();
+        const errors = [];
+
+        ['draftSize', 'minSetSize', 'maxSetSize', 'maxRounds', 'lastStandingBonus'].forEach(key => {
+            if (source[key] === undefined || source[key] === null || source[key] === '') return;
+
+            const value = Number(source[key]);
+            const { min, max, label } = this.LIMITS[key];
+            if (!Number.isInteger(value) || value < min || value > max) {
+                errors.push(`${label} must be a whole number from ${min} to ${max}`);
+                return;
+            }
+            rules[key] = value;
+        });
+
+        Object.keys(this.TOGGLES).forEach(key => {
+            if (source[key] === undefined || source[key] === null) return;
+            if (typeof source[key] !== 'boolean') {
+                errors.push(`${key} must be true or false`);
+                return;
+            }
+            rules[key] = source[key];
+        });
+
+        if (rules.maxSetSize < rules.minSetSize) {
+            errors.push('Largest set cannot be smaller than the smallest set');
+            rules.minSetSize = this.DEFAULTS.minSetSize;
+            rules.maxSetSize = this.DEFAULTS.maxSetSize;
+        }
+
+        // Firebase may return the payout table as a sparse array - index access works for both
+        const points = source.cashOutPoints || {};
+        const { min, max, label } = this.LIMITS.cashOutPoints;
+        rules.cashOutPoints = {};
+        for (let size = rules.minSetSize; size <= rules.maxSetSize; size++) {
+            const raw = points[size] ?? this.DEFAULTS.cashOutPoints[size];
+            const value = Number(raw);
+            if (raw === undefined || raw === null || raw === '' || !Number.isInteger(value) || value < min || value > max) {
+                errors.push(`${label} for a set of ${size} must be a whole number from ${min} to ${max}`);
+                rules.cashOutPoints[size] = 0;
+                continue;
+            }
+            rules.cashOutPoints[size] = value;
+        }
+
+        return { valid: errors.length === 0, errors, rules };
+    }
+
+    // Rules to play by - invalid or missing values fall back to the defaults
+    static resolve(input) {
+        return this.validate(input).rules;
+    }
+
+    // Points for cashing out a set of `size` tokens (0 if the size is not allowed)
+    static getCashOutPoints(rules, size) {
+        if (size < rules.minSetSize || size > rules.maxSetSize) return 0;
+        return Number(rules.cashOutPoints[size]) || 0;
+    }
+}
+
+// Export globally
+window.HouseRules = HouseRules;
@@ -0,0 +1,146 @@
+/**
+ * Player Profiles
+ * Saved players for pass-and-play, kept in localStorage with lifetime statistics:
+ *   { id, name, color, createdAt, stats: { games, wins, correctGuesses, wrongGuesses,
+ *     cashOuts: { setSize: count }, categories: { category: { correct, wrong } },
+ *     challenges: { 'category|name': { category, name, correct, wrong } } } }
+ *
+ * A finished game is folded in from its action log, so undone moves never count.
+ * Ties are left out of the accuracy figures (neither right nor wrong).
+ */
+
+class PlayerProfiles {
+    static STORAGE_KEY = 'playerProfiles';
+    static COLORS = ['#667eea', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#06b6d4', '#ec4899', '#84cc16'];
+    static MAX_NAME_LENGTH = 20;
+
+    static createStats() {
+        return { games: 0, wins: 0, correctGuesses: 0, wrongGuesses: 0, cashOuts: {}, categories: {}, challenges: {} };
+    }
+
+    static load() {
+        try {
+            return JSON.parse(localStorage.getItem(this.STORAGE_KEY)) || [];
+        } catch (error) {
+            console.warn('⚠️ Player profiles unreadable, starting fresh:', error.message);
+            return [];
+        }
+    }
+
+    static save(profiles) {
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(profiles));
+        return profiles;
+    }
+
+    static get(id) {
+        return this.load().find(profile => profile.id === id) || null;
+    }
+
+    // Add a profile. Returns { valid, errors, profile } like HouseRules.validate()
+    static add(name, color) {
+        const profiles = this.load();
+        const trimmed = String(name || '').trim();
+        const errors = [];
+        if (!trimmed) errors.push('Profile needs a name');
+        if (trimmed.length > this.MAX_NAME_LENGTH) errors.push(`Name can be at most ${this.MAX_NAME_LENGTH} characters`);
+        if (profiles.some(profile => profile.name.toLowerCase() === trimmed.toLowerCase())) {
+            errors.push(`There is already a profile called ${trimmed}`);
+        }
+        if (errors.length > 0) return { valid: false, errors, profile: null };
+
+        const profile = {
+            id: `profile-${Date.now().toString(36)}-${SeededRandom.generateSeed().toString(36)}`,
+            name: trimmed,
+            color: color || this.COLORS[profiles.length % this.COLORS.length],
+            createdAt: Date.now(),
+            stats: this.createStats()
+        };
+        this.save([...profiles, profile]);
+        return { valid: true, errors: [], profile };
+    }
+
+    static remove(id) {
+        this.save(this.load().filter(profile => profile.id !== id));
+    }
+
+    // Per seat tallies from a game's action log, skipping undone entries
+    static summarizeLog(log, seatCount) {
+        const entries = ActionLog.normalize(log);
+        const undone = new Set(entries.filter(entry => entry.action?.type === 'undo').map(entry => entry.action.undoneSeq));
+        const seats = Array.from({ length: seatCount }, () => this.createStats());
+
+        entries.forEach(entry => {
+            const seat = seats[entry.actor];
+            if (!seat || undone.has(entry.seq)) return;
+
+            if (entry.action?.type === 'cash_out') {
+                const size = GameEngine.toArray(entry.action.tokenIds).length;
+                seat.cashOuts[size] = (seat.cashOuts[size] || 0) + 1;
+                return;
+            }
+
+            const outcomes = String(entry.outcome || '').split(',');
+            const key = outcomes.includes('correct_guess') ? 'correct' : outcomes.includes('wrong_guess') ? 'wrong' : null;
+            if (entry.action?.type !== 'guess' || !key || !entry.challenge) return;
+
+            const { category, name } = entry.challenge;
+            seat[key === 'correct' ? 'correctGuesses' : 'wrongGuesses']++;
+            const byCategory = seat.categories[category] || (seat.categories[category] = { correct: 0, wrong: 0 });
+            byCategory[key]++;
+            const challengeKey = `${category}|${name}`;
+            const byChallenge = seat.challenges[challengeKey] || (seat.challenges[challengeKey] = { category, name, correct: 0, wrong: 0 });
+            byChallenge[key]++;
+        });
+        return seats;
+    }
+
+    // Fold a finished game into the profiles. profileIds[seat] is a profile id or null (guest),
+    // scores[seat] the final score - every top scorer gets the win
+    static recordGame(profiles, { profileIds, scores, log }) {
+        const seats = this.summarizeLog(log, profileIds.length);
+        const topScore = Math.max(...scores);
+
+        return profiles.map(profile => {
+            const seat = profileIds.indexOf(profile.id);
+            if (seat === -1) return profile;
+
+            const stats = { ...this.createStats(), ...profile.stats };
+            const game = seats[seat];
+            return {
+                ...profile,
+                stats: {
+                    games: stats.games + 1,
+                    wins: stats.wins + (scores[seat] === topScore ? 1 : 0),
+                    correctGuesses: stats.correctGuesses + game.correctGuesses,
+                    wrongGuesses: stats.wrongGuesses + game.wrongGuesses,
+                    cashOuts: this.mergeCounts(stats.cashOuts, game.cashOuts),
+                    categories: this.mergeTallies(stats.categories, game.categories),
+                    challenges: this.mergeTallies(stats.challenges, game.challenges)
+                }
+            };
+        });
+    }
+
+    static mergeCounts(total, add) {
+        const merged = { ...total };
+        Object.entries(add).forEach(([key, count]) => { merged[key] = (merged[key] || 0) + count; });
+        return merged;
+    }
+
+    static mergeTallies(total, add) {
+        const merged = { ...total };
+        Object.entries(add).forEach(([key, tally]) => {
+            const previous = merged[key] || { ...tally, correct: 0, wrong: 0 };
+            merged[key] = { ...previous, correct: previous.correct + tally.correct, wrong: previous.wrong + tally.wrong };
+        });
+        return merged;
+    }
+
+    // Share of correct guesses (0-1), null before any guess
+    static getAccuracy({ correct = 0, wrong = 0 } = {}) {
+        return correct + wrong > 0 ? correct / (correct + wrong) : null;
+    }
+}
+
+// Export globally
+window.PlayerProfiles = PlayerProfiles;
@@ -58,6 +58,10 @@ class QATestSuite {
 
         console.log('🔧 Setting up test environment...');
 
+        // Category packs are fetched when the page loads - wait until they are in
+        if (window.gameReady) await window.gameReady;
+        else await CategoryPacks.ready.catch(() => []);
+
         // Force local mode for integration tests (turn validation doesn't block test calls)
         GameModeManager.setMode('local');
         console.log('📡 Running tests in LOCAL mode (turn validation bypassed for testing)');
@@ -95,11 +99,21 @@ class QATestSuite {
         gameState.passedPlayers = new Set();
         gameState.firstGuesser = 0;
         gameState.lastToPass = null;
+        gameState.lastStandingAwardedRound = null;
         gameState.centerToken = null;
         gameState.selectedDraftToken = null;
         gameState.draftPool = [];
         gameState.retiredTokens = [];
+        gameState.currentChallenge = null;
         gameState.phase = 'challenge';
+        gameState.undoStack = [];
+        gameState.undoLimit = 10;
+        gameState.undoCurrentTurnOnly = false;
+        gameState.guessMode = 'higherLower';
+        gameState.drawDifficulty = 'normal';
+        gameState.roundReversed = false;
+        gameState.rules = HouseRules.getDefaults();
+        gameState.categories = [];
         gameState.players.forEach(p => {
             p.score = 0;
             p.hand = [];
@@ -119,6 +133,38 @@ class QATestSuite {
         };
     }
 
+    // Helper to create a mock challenge matching createMockToken stats
+    createMockChallenge() {
+        return { category: 'movies', stat: 'boxOffice', name: 'Box Office', direction: 'higher' };
+    }
+
+    // Helper to create a standalone engine state (does not touch gameState)
+    createEngineState(overrides = {}) {
+        return {
+            phase: 'challenge',
+            round: 1,
+            maxRounds: 5,
+            currentPlayer: 0,
+            firstGuesser: 0,
+            lastToPass: null,
+            players: [
+                { name: 'Engine P1', score: 0, hand: [], thisRound: [], correctGuesses: 0, cashOuts: 0 },
+                { name: 'Engine P2', score: 0, hand: [], thisRound: [], correctGuesses: 0, cashOuts: 0 }
+            ],
+            passedPlayers: new Set(),
+            centerToken: this.createMockToken('center', 'Center', 500),
+            draftPool: [
+                this.createMockToken('high', 'High', 800),
+                this.createMockToken('low', 'Low', 200)
+            ],
+            selectedDraftToken: null,
+            retiredTokens: [],
+            drawnChallengeCards: [],
+            currentChallenge: this.createMockChallenge(),
+            ...overrides
+        };
+    }
+
     // ==================== INTEGRATION TESTS - PASS FUNCTIONALITY ====================
 
     async testPassRoundFunction() {
@@ -332,8 +378,10 @@ class QATestSuite {
             gameState.passedPlayers.add(0);
             gameState.passedPlayers.add(1);
 
-            // Directly call endRound (simulates what happens after both players pass)
+            // Directly call endRound (simulates what happens after both players pass),
+            // then continue past the round summary
             endRound();
+            continueFromRoundSummary();
 
             // Wait for async operations
             await new Promise(resolve => setTimeout(resolve, 100));
@@ -374,8 +422,9 @@ class QATestSuite {
             gameState.firstGuesser = 0;
             gameState.currentPlayer = 0;
 
-            // Call endRound which contains the card drawing logic
+            // Call endRound, then continue past the round summary to draw cards
             endRound();
+            continueFromRoundSummary();
 
             // Wait for async operations
             await new Promise(resolve => setTimeout(resolve, 100));
@@ -504,13 +553,14 @@ class QATestSuite {
 
     async testHandleCorrectGuess() {
         this.resetGameState();
-        console.log('🧪 Testing handleCorrectGuess() function...');
+        console.log('🧪 Testing makeGuess() correct guess flow...');
 
-        if (typeof handleCorrectGuess === 'function') {
+        if (typeof makeGuess === 'function') {
             // Setup
             const centerToken = this.createMockToken('center1', 'Center Movie', 500);
             const draftToken = this.createMockToken('draft1', 'Draft Movie', 800);
 
+            gameState.currentChallenge = this.createMockChallenge();
             gameState.centerToken = centerToken;
             gameState.draftPool = [draftToken, this.createMockToken('draft2', 'Other', 300)];
             gameState.selectedDraftToken = draftToken;
@@ -518,12 +568,12 @@ class QATestSuite {
             const player = gameState.players[0];
 
             // Call function
-            handleCorrectGuess(draftToken, centerToken, 'higher');
+            makeGuess('higher');
 
             // Verify token added to thisRound
             this.assertTrue(
                 player.thisRound.length === 1,
-                'handleCorrectGuess() adds token to thisRound',
+                'makeGuess() correct guess adds token to thisRound',
                 `thisRound has ${player.thisRound.length} token(s)`
             );
 
@@ -531,24 +581,24 @@ class QATestSuite {
             this.assertEquals(
                 player.score,
                 1,
-                'handleCorrectGuess() increments score'
+                'makeGuess() correct guess increments score'
             );
 
             // Verify centerToken updated
             this.assertEquals(
                 gameState.centerToken.id,
                 'draft1',
-                'handleCorrectGuess() updates centerToken'
+                'makeGuess() correct guess updates centerToken'
             );
 
             // Verify turn did NOT advance (same player continues)
             this.assertEquals(
                 gameState.currentPlayer,
                 0,
-                'handleCorrectGuess() keeps same player turn'
+                'makeGuess() correct guess keeps same player turn'
             );
         } else {
-            this.fail('handleCorrectGuess() function not found', 'Function does not exist');
+            this.fail('makeGuess() function not found', 'Function does not exist');
         }
     }
 
@@ -785,11 +835,11 @@ class QATestSuite {
                 'endRound() clears passedPlayers Set'
             );
 
-            // Verify phase reset
+            // Verify phase moves to the round summary (Continue returns to challenge)
             this.assertEquals(
                 gameState.phase,
-                'challenge',
-                'endRound() resets phase to challenge'
+                'roundEnd',
+                'endRound() moves phase to the round summary'
             );
 
             // Verify endRoundCalled flag reset
@@ -816,14 +866,16 @@ class QATestSuite {
         const centerToken = this.createMockToken('center1', 'Center Movie', 100);
         const draftToken = this.createMockToken('draft1', 'Draft Movie', 150);
 
+        gameState.currentChallenge = this.createMockChallenge();
         gameState.centerToken = centerToken;
         gameState.draftPool = [draftToken];
+        gameState.selectedDraftToken = draftToken;
         gameState.players[0].thisRound = [];
 
-        if (typeof handleCorrectGuess === 'function') {
+        if (typeof makeGuess === 'function') {
             const playerBefore = gameState.currentPlayer;
 
-            handleCorrectGuess(draftToken, centerToken, 'higher');
+            makeGuess('higher');
 
             // In FourFor4, player keeps turn after correct guess (this is correct)
             // But they should NOT be able to guess if they already passed
@@ -837,17 +889,17 @@ class QATestSuite {
             this.assertEquals(
                 gameState.players[0].score,
                 1,
-                'handleCorrectGuess() awards 1 point'
+                'makeGuess() correct guess awards 1 point'
             );
 
             // Verify token moved to thisRound
             this.assertTrue(
                 gameState.players[0].thisRound.length === 1,
-                'handleCorrectGuess() moves center token to thisRound',
+                'makeGuess() correct guess moves center token to thisRound',
                 '1 token in thisRound'
             );
         } else {
-            this.fail('Consecutive turns test failed', 'handleCorrectGuess function not found');
+            this.fail('Consecutive turns test failed', 'makeGuess function not found');
         }
     }
 
@@ -927,123 +979,2103 @@ class QATestSuite {
         }
     }
 
-    // ==================== TEST RUNNER ====================
+    // ==================== GAME ENGINE - PURE RULES ====================
 
-    async runAllTests() {
-        console.log('\n🧪 ========== STARTING INTEGRATION QA TEST SUITE ==========\n');
+    async testEngineDoesNotMutateInput() {
+        console.log('🧪 Testing GameEngine.applyAction() leaves input state untouched...');
 
-        await this.setupLocalGame();
+        const state = this.createEngineState();
+        state.selectedDraftToken = state.draftPool[0];
 
-        // Define test groups
-        const testGroups = [
-            {
-                name: 'Pass Function Integration',
-                tests: [
-                    () => this.testPassRoundFunction(),
-                    () => this.testPassRoundSkipsPassedPlayers(),
-                    () => this.testPassRoundBothPlayersPass(),
-                    () => this.testPlayerCannotPassTwice(),
-                    () => this.testRoundEndsWhenAllPlayersPass()
-                ]
-            },
-            {
-                name: 'Challenge Modal & Card Drawing (V4.44 Fixes)',
-                tests: [
-                    () => this.testChallengeModalAppearsAfterBothPass(),
-                    () => this.testChallengeCardsDrawnWhenSelectedCategoryNull()
-                ]
-            },
-            {
-                name: 'Visual Feedback (V4.42 Fixes)',
-                tests: [
-                    () => this.testLockedOutOverlayAppearsWhenPlayerPasses()
-                ]
-            },
-            {
-                name: 'Round State Management (V4.43 Fixes)',
-                tests: [
-                    () => this.testRoundAdvancementAndStateResetWhenAllPass()
-                ]
-            },
-            {
-                name: 'Correct Guess Integration',
-                tests: [
-                    () => this.testHandleCorrectGuess()
-                ]
-            },
-            // Removed Cash Out test - requires DOM elements that don't exist in test environment
-            {
-                name: 'Turn Advancement Integration',
-                tests: [
-                    () => this.testAdvanceTurnNormal(),
-                    () => this.testAdvanceTurnSkipsPassedPlayers()
-                ]
-            },
-            {
-                name: 'Round Management Integration',
-                tests: [
-                    () => this.testEndRoundClearsPassedPlayers()
-                ]
-            },
-            {
-                name: 'Complete Game Flow',
-                tests: [
-                    () => this.testCompleteGameFlow()
-                ]
-            },
-            {
-                name: 'Round Advancement (V4.81 Fixes)',
-                tests: [
-                    () => this.testRoundAdvancementAfterAllPass(),
-                    () => this.testNoConsecutiveTurnsAfterCorrectGuess(),
-                    () => this.testPassedPlayerCannotGuesss(),
-                    () => this.testEndRoundDoesNotCallStartNewRoundTwice()
-                ]
+        const { state: next } = GameEngine.applyAction(state, { type: 'guess', direction: 'higher' });
+
+        this.assertEquals(state.players[0].score, 0, 'Engine: input player score unchanged');
+        this.assertEquals(state.centerToken.id, 'center', 'Engine: input centerToken unchanged');
+        this.assertEquals(state.draftPool.length, 2, 'Engine: input draftPool unchanged');
+        this.assertTrue(next.players[1] === state.players[1], 'Engine: untouched player returned by reference');
+    }
+
+    async testEngineCorrectGuess() {
+        console.log('🧪 Testing GameEngine guess (correct)...');
+
+        const drafted = this.createEngineState().draftPool[0];
+        let result = GameEngine.applyAction(this.createEngineState(), { type: 'draft', tokenId: drafted.id });
+        this.assertEquals(result.state.selectedDraftToken?.id, 'high', 'Engine: draft selects token');
+
+        result = GameEngine.applyAction(result.state, { type: 'guess', direction: 'higher' });
+        const { state, events } = result;
+
+        this.assertEquals(events[0].type, 'correct_guess', 'Engine: higher guess on larger value is correct');
+        this.assertEquals(state.players[0].score, 1, 'Engine: correct guess awards 1 point');
+        this.assertEquals(state.players[0].thisRound[0]?.id, 'center', 'Engine: old center moves to thisRound');
+        this.assertEquals(state.centerToken.id, 'high', 'Engine: drafted token becomes center');
+        this.assertEquals(state.draftPool.length, 1, 'Engine: drafted token leaves draft pool');
+    }
+
+    async testEngineWrongGuess() {
+        console.log('🧪 Testing GameEngine guess (wrong)...');
+
+        const initial = this.createEngineState();
+        initial.players[0].thisRound = [this.createMockToken('kept', 'Kept', 50)];
+        initial.selectedDraftToken = initial.draftPool[1];
+
+        const { state, events } = GameEngine.applyAction(initial, { type: 'guess', direction: 'higher' });
+
+        this.assertEquals(events[0].type, 'wrong_guess', 'Engine: higher guess on smaller value is wrong');
+        this.assertEquals(events[0].tokensLost, 1, 'Engine: wrong guess reports tokens lost');
+        this.assertEquals(state.players[0].thisRound.length, 0, 'Engine: wrong guess clears thisRound');
+        this.assertEquals(state.draftPool.length, 3, 'Engine: lost tokens return to draft pool');
+        this.assertTrue(state.passedPlayers.has(0), 'Engine: wrong guess marks player out');
+        this.assertEquals(state.currentPlayer, 1, 'Engine: wrong guess advances turn');
+    }
+
+    async testEngineCashOut() {
+        console.log('🧪 Testing GameEngine cash out...');
+
+        const tagged = (id, tags) => ({ ...this.createMockToken(id, id, 100), tags });
+        const initial = this.createEngineState();
+        initial.players[0].hand = [tagged('a', ['A1', 'B1']), tagged('b', ['A1', 'B2'])];
+        initial.players[0].thisRound = [tagged('c', ['A1', 'B3']), tagged('d', ['A2', 'B3'])];
+
+        const rejected = GameEngine.applyAction(initial, { type: 'cash_out', tokenIds: ['a', 'd'] });
+        this.assertEquals(rejected.events[0].type, 'invalid', 'Engine: cash out without common tag rejected');
+
+        const { state, events } = GameEngine.applyAction(initial, { type: 'cash_out', tokenIds: ['a', 'b', 'c'] });
+        this.assertEquals(events[0].points, 5, 'Engine: 3-token cash out scores 5 points');
+        this.assertEquals(events[0].tag, 'A1', 'Engine: cash out reports shared tag');
+        this.assertEquals(state.players[0].hand.length + state.players[0].thisRound.length, 1, 'Engine: cashed tokens removed');
+        this.assertEquals(state.retiredTokens.length, 3, 'Engine: cashed tokens retired');
+        this.assertEquals(state.currentPlayer, 1, 'Engine: cash out advances turn');
+    }
+
+    async testEnginePassAndEndRound() {
+        console.log('🧪 Testing GameEngine pass and end round...');
+
+        const initial = this.createEngineState();
+        initial.players[1].thisRound = [this.createMockToken('banked', 'Banked', 10)];
+
+        let result = GameEngine.applyAction(initial, { type: 'pass' });
+        this.assertEquals(result.state.firstGuesser, 0, 'Engine: first to pass becomes first guesser');
+        this.assertEquals(result.state.currentPlayer, 1, 'Engine: pass advances turn');
+
+        result = GameEngine.applyAction(result.state, { type: 'pass' });
+        this.assertTrue(result.events.some(e => e.type === 'round_over'), 'Engine: last pass reports round over');
+        this.assertEquals(result.state.lastToPass, 1, 'Engine: last to pass recorded');
+        this.assertEquals(result.state.players[1].hand.length, 1, 'Engine: pass banks thisRound to hand');
+
+        result = GameEngine.applyAction(result.state, { type: 'end_round' });
+        this.assertEquals(result.state.round, 2, 'Engine: end round increments round');
+        this.assertEquals(result.state.passedPlayers.size, 0, 'Engine: end round clears passed players');
+        this.assertEquals(result.state.currentPlayer, 0, 'Engine: end round starts with first guesser');
+
+        const final = GameEngine.applyAction({ ...result.state, round: 5 }, { type: 'end_round' });
+        this.assertTrue(final.events.some(e => e.type === 'game_over'), 'Engine: end of last round reports game over');
+    }
+
+    async testEngineTiePolicies() {
+        console.log('🧪 Testing GameEngine tie policies...');
+
+        const tieState = tiePolicy => {
+            const state = this.createEngineState({ tiePolicy });
+            state.draftPool = [this.createMockToken('equal', 'Equal', 500)];
+            state.selectedDraftToken = state.draftPool[0];
+            state.players[0].thisRound = [this.createMockToken('held', 'Held', 50)];
+            return state;
+        };
+
+        let result = GameEngine.applyAction(tieState('push'), { type: 'guess', direction: 'higher' });
+        this.assertEquals(result.events[0].type, 'tie', 'Engine: equal values produce a tie event');
+        this.assertEquals(result.state.draftPool.length, 1, 'Engine: push leaves the token in the pool');
+        this.assertEquals(result.state.centerToken.id, 'center', 'Engine: push keeps the center token');
+        this.assertEquals(result.state.currentPlayer, 1, 'Engine: push ends the turn');
+        this.assertEquals(result.state.players[0].score, 0, 'Engine: push awards no points');
+
+        result = GameEngine.applyAction(tieState('correct'), { type: 'guess', direction: 'lower' });
+        this.assertEquals(result.events[0].policy, 'correct', 'Engine: tie event reports its policy');
+        this.assertEquals(result.state.players[0].score, 1, 'Engine: tie counted as correct awards a point');
+        this.assertEquals(result.state.centerToken.id, 'equal', 'Engine: tie counted as correct moves token to center');
+
+        result = GameEngine.applyAction(tieState('wrong'), { type: 'guess', direction: 'higher' });
+        this.assertEquals(result.state.players[0].thisRound.length, 0, 'Engine: tie counted as wrong loses thisRound');
+        this.assertTrue(result.state.passedPlayers.has(0), 'Engine: tie counted as wrong puts the player out');
+    }
+
+    async testEngineBetterWorseDirection() {
+        console.log('🧪 Testing GameEngine better/worse guesses and reverse cards...');
+
+        // Lower is better (e.g. Unemployment Rate): drafted 200 is better than center 500
+        const lowerIsBetter = { ...this.createMockChallenge(), direction: 'lower' };
+        const guessLow = (overrides) => {
+            const state = this.createEngineState({ guessMode: 'betterWorse', currentChallenge: lowerIsBetter, ...overrides });
+            state.selectedDraftToken = state.draftPool.find(t => t.id === 'low');
+            return state;
+        };
+
+        let result = GameEngine.applyAction(guessLow(), { type: 'guess', direction: 'better' });
+        this.assertEquals(result.events[0].type, 'correct_guess', 'Engine: better follows a lower-is-better challenge');
+        this.assertEquals(result.events[0].comparison, 'lower', 'Engine: better maps to a lower comparison');
+
+        result = GameEngine.applyAction(guessLow({ roundReversed: true }), { type: 'guess', direction: 'better' });
+        this.assertEquals(result.events[0].type, 'wrong_guess', 'Engine: reverse card flips better/worse');
+        this.assertTrue(result.events[0].reversed, 'Engine: guess event reports the reverse card');
+
+        result = GameEngine.applyAction(guessLow({ guessMode: 'higherLower', roundReversed: true }), { type: 'guess', direction: 'higher' });
+        this.assertEquals(result.events[0].type, 'correct_guess', 'Engine: reverse card flips higher/lower');
+
+        result = GameEngine.applyAction(this.createEngineState(), {
+            type: 'start_round', challenge: lowerIsBetter, reversed: true,
+            tokens: [this.createMockToken('a', 'A'), this.createMockToken('b', 'B')]
+        });
+        this.assertTrue(result.state.roundReversed, 'Engine: reverse card is set when the round starts');
+        result = GameEngine.applyAction(result.state, { type: 'end_round' });
+        this.assertFalse(result.state.roundReversed, 'Engine: reverse card ends with the round');
+    }
+
+    // ==================== SEEDED RNG ====================
+
+    async testSeededRandomIsDeterministic() {
+        console.log('🧪 Testing SeededRandom produces the same sequence for the same seed...');
+
+        const sequence = seed => {
+            const rng = new SeededRandom(seed);
+            return Array.from({ length: 5 }, () => rng.random()).join(',');
+        };
+
+        this.assertEquals(sequence('family-night'), sequence('family-night'), 'Same string seed gives same sequence');
+        this.assertEquals(sequence(42), sequence('42'), 'Numeric seed and its string form match');
+        this.assertTrue(sequence(1) !== sequence(2), 'Different seeds give different sequences');
+    }
+
+    async testSeededTokenDraws() {
+        this.resetGameState();
+        console.log('🧪 Testing drawTokens() is reproducible from a seed...');
+
+        if (typeof drawTokens === 'function' && CategoryPacks.getTokens('movies').length > 0) {
+            const draw = () => {
+                seedGameRandom('qa-draft');
+                gameState.categoryPools.movies = [...CategoryPacks.getTokens('movies')];
+                return drawTokens(13, 'movies').map(t => t.name);
+            };
+
+            const first = draw();
+            const second = draw();
+
+            this.assertEquals(first.join('|'), second.join('|'), 'Same seed draws the same 13 movies');
+            this.assertEquals(first[0], 'Furious 7', 'Seed "qa-draft" puts Furious 7 in the center');
+            gameState.categoryPools.movies = [...CategoryPacks.getTokens('movies')];
+        } else {
+            this.fail('drawTokens() or movies pack not found', 'Function or dataset does not exist');
+        }
+    }
+
+    async testSeededChallengeCards() {
+        this.resetGameState();
+        console.log('🧪 Testing challenge cards are reproducible from a seed...');
+
+        if (typeof startNewRound === 'function') {
+            const drawCards = () => {
+                seedGameRandom(2024);
+                gameState.challengeMode = 'cards';
+                gameState.playedChallenges = [];
+                gameState.drawnChallengeCards = [];
+                startNewRound();
+                return gameState.drawnChallengeCards.map(card => card.challenge?.name).join('|');
+            };
+
+            this.assertEquals(drawCards(), drawCards(), 'Same seed draws the same challenge cards');
+            document.getElementById('categoryModal')?.classList.remove('active');
+        } else {
+            this.fail('startNewRound() function not found', 'Function does not exist');
+        }
+    }
+
+    async testSeededRoomCodes() {
+        console.log('🧪 Testing room codes are reproducible from an rng but not from the game seed...');
+
+        if (typeof RoomManager !== 'undefined') {
+            const first = RoomManager.generateRoomCode(new SeededRandom('room-seed'));
+            const second = RoomManager.generateRoomCode(new SeededRandom('room-seed'));
+            this.assertEquals(first, second, 'Same seed generates the same room code');
+            this.assertEquals(first.length, 6, 'Seeded room code has 6 characters');
+
+            // Rooms created with the same game seed still get unrelated codes
+            const saved = { generate: RoomManager.generateUniqueRoomCode, userId: window.currentUserId };
+            const codes = [];
+            try {
+                window.currentUserId = 'qa-host';
+                RoomManager.generateUniqueRoomCode = async (rng = new SeededRandom(SeededRandom.generateSeed())) => {
+                    codes.push(RoomManager.generateRoomCode(rng));
+                    throw new Error('QA stop'); // Code captured - no room is written
+                };
+                await RoomManager.createRoom('Host', 'room-seed').catch(() => {});
+                await RoomManager.createRoom('Host', 'room-seed').catch(() => {});
+                this.assertTrue(codes.length === 2 && codes[0] !== codes[1] && !codes.includes(first), 'Room codes do not come from the game seed', codes.join(' '));
+            } finally {
+                RoomManager.generateUniqueRoomCode = saved.generate;
+                window.currentUserId = saved.userId;
             }
+        } else {
+            this.pass('Seeded room code test skipped', 'RoomManager not loaded in test environment');
+        }
+    }
+
+    async testBetterWorseGuessButtons() {
+        this.resetGameState();
+        console.log('🧪 Testing guess buttons follow the guess mode and reverse card...');
+
+        if (typeof renderGuessButtons === 'function') {
+            gameState.guessMode = 'betterWorse';
+            gameState.roundReversed = true;
+            gameState.currentChallenge = { ...this.createMockChallenge(), direction: 'lower' };
+            renderGuessButtons();
+
+            this.assertTrue(document.getElementById('guessUpBtn').textContent.includes('BETTER'), 'Guess button says Better');
+            this.assertTrue(document.getElementById('guessDownBtn').textContent.includes('WORSE'), 'Guess button says Worse');
+            this.assertTrue(document.getElementById('guessReverseNote').textContent.includes('higher'), 'Reverse note says better now means higher');
+
+            gameState.guessMode = 'higherLower';
+            gameState.roundReversed = false;
+            renderGuessButtons();
+            this.assertTrue(document.getElementById('guessUpBtn').textContent.includes('HIGHER'), 'Classic mode restores Higher');
+            this.resetGameState();
+        } else {
+            this.fail('renderGuessButtons() function not found', 'Function does not exist');
+        }
+    }
+
+    // ==================== TOKEN ELIGIBILITY ====================
+
+    async testDrawTokensSkipsMissingStats() {
+        this.resetGameState();
+        console.log('🧪 Testing drawTokens() only draws tokens with the challenge stat...');
+
+        if (typeof drawTokens === 'function' && CategoryPacks.getTokens('countries').length > 0) {
+            const stat = 'soybean_production_tonnes';
+            const eligibleCount = CategoryPacks.getTokens('countries').filter(t => GameEngine.hasNumericStat(t, stat)).length;
+            gameState.categoryPools.countries = [...CategoryPacks.getTokens('countries')];
+
+            const drawn = drawTokens(CategoryPacks.getTokens('countries').length, 'countries', stat);
+            this.assertEquals(drawn.length, eligibleCount, 'Only tokens with the stat are drawn');
+            this.assertTrue(drawn.every(t => typeof t.stats[stat] === 'number'), 'Every drawn token has a numeric value');
+            this.assertEquals(gameState.categoryPools.countries.length, CategoryPacks.getTokens('countries').length - eligibleCount, 'Ineligible tokens stay in the pool');
+
+            gameState.categoryPools.countries = [...CategoryPacks.getTokens('countries')];
+        } else {
+            this.fail('drawTokens() or countries pack not found', 'Function or dataset does not exist');
+        }
+    }
+
+    async testChallengeNeedsThirteenEligibleTokens() {
+        this.resetGameState();
+        console.log('🧪 Testing challenge cards need 13 eligible tokens...');
+
+        if (typeof isChallengePlayable === 'function' && CategoryPacks.getTokens('movies').length > 0) {
+            const challenge = { category: 'movies', stat: 'box_office_gross', name: 'Box Office Gross' };
+            const originalPool = gameState.categoryPools.movies;
+
+            gameState.categoryPools.movies = CategoryPacks.getTokens('movies').slice(0, 12);
+            this.assertFalse(isChallengePlayable(challenge), 'Challenge with 12 eligible tokens is not offered');
+
+            gameState.categoryPools.movies = CategoryPacks.getTokens('movies').slice(0, 13);
+            this.assertTrue(isChallengePlayable(challenge), 'Challenge with 13 eligible tokens is offered');
+
+            // Strip the stat from one token - 12 eligible again
+            gameState.categoryPools.movies[0] = { ...CategoryPacks.getTokens('movies')[0], stats: {} };
+            this.assertFalse(isChallengePlayable(challenge), 'Tokens missing the stat do not count');
+
+            gameState.categoryPools.movies = originalPool;
+        } else {
+            this.fail('isChallengePlayable() or movies pack not found', 'Function or dataset does not exist');
+        }
+    }
+
+    async testCarryOverSkipsMissingStats() {
+        console.log('🧪 Testing a same-category carry-over only keeps tokens with the new stat...');
+
+        const withoutStat = id => ({ id, name: id, stats: { other: 1 } });
+        const state = this.createEngineState({
+            previousCategory: 'movies',
+            centerToken: withoutStat('oldCenter'),
+            draftPool: [this.createMockToken('kept', 'Kept', 300), withoutStat('missing')]
+        });
+        const challenge = this.createMockChallenge();
+        this.assertEquals(GameEngine.getCarriedTokens(state, challenge).map(t => t.id).join(','), 'kept', 'Only tokens with the stat are carried');
+
+        const { state: next, events } = GameEngine.applyAction(state, {
+            type: 'start_round',
+            challenge,
+            tokens: [this.createMockToken('new', 'New', 700)]
+        });
+        this.assertEquals(`${next.centerToken.id}|${next.draftPool.map(t => t.id).join(',')}`, 'kept|new', 'Carried token becomes the new center');
+        this.assertEquals(events[0].returnedTokens.map(t => t.id).join(','), 'oldCenter,missing', 'Tokens without the stat go back to the pool');
+        this.assertEquals(events[0].carriedOverCount, 1, 'Carry-over count leaves out tokens without the stat');
+    }
+
+    // ==================== NAMESPACED TAGS ====================
+
+    async testEngineNamespacedSets() {
+        console.log('🧪 Testing cash-outs cannot mix categories...');
+
+        const token = (id, tags) => ({ ...this.createMockToken(id, id, 100), tags });
+        const hand = [
+            token('movie1', ['movies:A1', 'movies:B2']),
+            token('movie2', ['movies:A1', 'movies:B3']),
+            token('country1', ['countries:A1', 'countries:B2'])
         ];
+        const state = this.createEngineState();
+        state.players[0] = { ...state.players[0], hand };
 
-        // Run all test groups
-        for (const group of testGroups) {
-            console.log(`\n📋 ${group.name} Tests:`);
-            for (const test of group.tests) {
-                await test();
-            }
+        let result = GameEngine.applyAction(state, { type: 'cash_out', tokenIds: ['movie1', 'country1'] });
+        this.assertEquals(result.events[0].type, 'invalid', 'Movie A1 + country A1 is not a set');
+
+        result = GameEngine.applyAction(state, { type: 'cash_out', tokenIds: ['movie1', 'movie2'] });
+        this.assertEquals(result.events[0].tag, 'movies:A1', 'Same-category tags still form a set');
+
+        const wild = { ...state, rules: HouseRules.resolve({ wildSets: true }) };
+        result = GameEngine.applyAction(wild, { type: 'cash_out', tokenIds: ['movie1', 'country1'] });
+        this.assertEquals(result.state.players[0].score, 2, 'Wild sets house rule allows cross-category sets');
+    }
+
+    async testPlayerTagCountsByCategory() {
+        this.resetGameState();
+        console.log('🧪 Testing player tag counts keep categories apart...');
+
+        if (typeof getPlayerTagCounts === 'function' && typeof canCashOut === 'function') {
+            const player = {
+                hand: [
+                    { ...this.createMockToken('m1', 'Movie', 1), tags: ['movies:A1'] },
+                    { ...this.createMockToken('c1', 'Country', 1), tags: ['countries:A1'] }
+                ],
+                thisRound: []
+            };
+
+            const counts = getPlayerTagCounts(player);
+            this.assertEquals(counts['movies:A1'], 1, 'Movie A1 counted on its own');
+            this.assertFalse(canCashOut(player), 'No set across categories by default');
+
+            gameState.rules = HouseRules.resolve({ wildSets: true });
+            this.assertEquals(getPlayerTagCounts(player)['A1'], 2, 'Wild sets count by tag code');
+            this.assertTrue(canCashOut(player), 'Wild sets allow the cross-category pair');
+
+            this.resetGameState();
+        } else {
+            this.fail('getPlayerTagCounts() or canCashOut() not found', 'Function does not exist');
         }
+    }
 
-        // Generate report and return results
-        return this.generateReport();
+    async testDatasetTagsAreNamespaced() {
+        console.log('🧪 Testing dataset tags are namespaced by category...');
+
+        if (CategoryPacks.getCategories().length === 0) {
+            this.fail('Category packs not loaded', 'packs/manifest.json missing');
+            return;
+        }
+
+        const datasets = CategoryPacks.getDatasets();
+        const badTokens = [];
+        Object.entries(datasets).forEach(([category, tokens]) => {
+            tokens.forEach(token => {
+                if (!token.tags.every(tag => GameEngine.getTagCategory(tag) === category)) {
+                    badTokens.push(`${category}/${token.name}`);
+                }
+            });
+        });
+
+        this.assertTrue(badTokens.length === 0, 'Every dataset tag starts with its category', badTokens.slice(0, 5).join(', '));
     }
 
-    generateReport() {
-        console.log('\n\n📊 ========== TEST RESULTS ==========\n');
+    // ==================== TAG DEFINITIONS ====================
 
-        const passed = this.results.filter(r => r.status === 'PASS').length;
-        const failed = this.results.filter(r => r.status === 'FAIL').length;
-        const total = this.results.length;
+    async testTagDefinitionsCoverDataset() {
+        console.log('🧪 Testing every dataset tag has a definition...');
 
-        console.log(`Total Tests: ${total}`);
-        console.log(`✅ Passed: ${passed}`);
-        console.log(`❌ Failed: ${failed}`);
-        console.log(`Success Rate: ${((passed/total)*100).toFixed(1)}%`);
+        if (CategoryPacks.getCategories().length === 0) {
+            this.fail('Category packs not loaded', 'packs/manifest.json missing');
+            return;
+        }
 
-        if (failed > 0) {
-            console.log('\n❌ Failed Tests:');
-            this.results
-                .filter(r => r.status === 'FAIL')
-                .forEach(r => console.log(`  - ${r.test}: ${r.message}`));
+        const datasets = CategoryPacks.getDatasets();
+        const missing = [];
+        Object.entries(datasets).forEach(([category, tokens]) => {
+            tokens.forEach(token => token.tags.forEach(tag => {
+                const definition = CategoryPacks.getTagDefinition(tag);
+                if (!definition || !definition.label || !definition.description || !definition.color) {
+                    missing.push(tag);
+                }
+            }));
+        });
+
+        this.assertTrue(missing.length === 0, 'Every dataset tag has a label, description and color', [...new Set(missing)].slice(0, 5).join(', '));
+        this.assertEquals(CategoryPacks.getTagDefinition('sports:A4').label, 'MLB', 'Documented codes use the tag notes');
+    }
+
+    async testTagLabelsInUI() {
+        this.resetGameState();
+        console.log('🧪 Testing tag labels and tooltips replace bare codes...');
+
+        if (typeof renderDraftPool === 'function' && typeof formatTagLabel === 'function') {
+            this.assertEquals(formatTagLabel('movies:A2'), '🎬Blockbuster', 'Hand labels show category icon + tag label');
+            this.assertEquals(formatTagLabel('A2'), 'A2', 'Bare codes (wild sets) fall back to the code');
+
+            gameState.currentChallenge = this.createMockChallenge();
+            gameState.draftPool = [{ ...this.createMockToken('m1', 'Movie', 100), tags: ['movies:A2'] }];
+            renderDraftPool();
+
+            const chip = document.querySelector('#draftPool .token-tag');
+            this.assertEquals(chip?.textContent, 'Blockbuster', 'Draft pool shows the tag label');
+            this.assertTrue((chip?.title || '').includes('Production'), 'Tag chip has a tooltip with the tag group');
+
+            this.resetGameState();
+        } else {
+            this.fail('renderDraftPool() or formatTagLabel() not found', 'Function does not exist');
         }
+    }
 
-        console.log('\n========================================\n');
+    // ==================== TAG DERIVATION ====================
 
-        return {
-            total,
-            passed,
-            failed,
-            successRate: (passed/total)*100,
-            results: this.results
+    async testTagDerivationThresholds() {
+        console.log('🧪 Testing tags derived from stats...');
+
+        if (typeof TagDerivation === 'undefined') {
+            this.fail('TagDerivation not loaded', 'tag-derivation.js missing');
+            return;
+        }
+
+        const country = { id: 'x', name: 'Testland', tags: [], stats: { gdp_total: 6e12, life_expectancy: 78, population_total: 5e6, renewable_energy_pct: 15 } };
+        this.assertEquals(TagDerivation.deriveTags(country, 'countries').tags.join(','), 'countries:A1,countries:B2,countries:C3,countries:D3', 'Country tags follow the documented thresholds');
+
+        const team = { id: 'y', name: 'Test Nine', tags: [], stats: { league: 'MLB', championship_count: 0, team_value: 2.5, year_founded: 1998 } };
+        this.assertEquals(TagDerivation.deriveTags(team, 'sports').tags.join(','), 'sports:A4,sports:B4,sports:C2,sports:D3', 'MLB is A4 and no championships is B4');
+
+        const company = { id: 'z', name: 'TestCo', tags: ['companies:A2'], stats: { market_cap: 50 } };
+        const derived = TagDerivation.deriveTags(company, 'companies');
+        this.assertEquals(derived.underived.join(','), 'A,C,D', 'Groups without a rule or stat are reported as underived');
+    }
+
+    async testTagDerivationReportAndRegenerate() {
+        console.log('🧪 Testing tag mismatch report and regenerate mode...');
+
+        if (typeof TagDerivation === 'undefined') {
+            this.fail('TagDerivation not loaded', 'tag-derivation.js missing');
+            return;
+        }
+
+        const stats = { league: 'NHL', championship_count: 3, team_value: 1.2, year_founded: 1926 };
+        const datasets = {
+            sports: [
+                { id: '1', name: 'Right', tags: ['sports:A3', 'sports:B2', 'sports:C3', 'sports:D1'], stats },
+                { id: '2', name: 'Drifted', tags: ['sports:A5', 'sports:C5'], stats }
+            ]
         };
+
+        const result = TagDerivation.report(datasets);
+        this.assertEquals(result.checked, 2, 'Report checks every token');
+        this.assertEquals(result.mismatches.map(m => m.name).join(','), 'Drifted', 'Only the drifted token is reported');
+        this.assertEquals(result.mismatches[0].unexpected.join(','), 'sports:A5,sports:C5', 'Report lists the hand-written tags that disagree');
+
+        const regenerated = TagDerivation.regenerate(datasets.sports, 'sports');
+        this.assertEquals(regenerated[1].tags.join(','), 'sports:A3,sports:B2,sports:C3,sports:D1', 'Regenerate rebuilds all 4 tags from stats');
+        this.assertEquals(datasets.sports[1].tags.length, 2, 'Regenerate does not modify the original tokens');
+
+        const company = { id: 'c', name: 'TestCo', tags: ['companies:A2', 'companies:B1'], stats: { market_cap: 50, employee_satisfaction: 90, environmental_score: 50 } };
+        this.assertEquals(TagDerivation.regenerate([company], 'companies')[0].tags.join(','), 'companies:A2,companies:B3,companies:C1,companies:D3', 'Underivable groups keep their hand-written tag');
     }
-}
+
+    // ==================== DATASET INTEGRITY ====================
+
+    async testShippedDatasetsValidate() {
+        console.log('🧪 Testing shipped datasets against challenges...');
+
+        if (typeof DatasetValidator === 'undefined' || CategoryPacks.getCategories().length === 0) {
+            this.fail('DatasetValidator or category packs not loaded', 'dataset-validator.js or packs/manifest.json missing');
+            return;
+        }
+
+        const result = runDatasetValidation();
+        this.assertTrue(result.valid, 'Shipped datasets have no validation errors',
+            result.errors.slice(0, 3).map(e => `${e.item}: ${e.message}`).join('; '));
+        this.assertEquals(result.summary.challenges, CategoryPacks.getChallenges().length, 'Every challenge was checked');
+    }
+
+    async testDatasetValidatorCatchesBadData() {
+        console.log('🧪 Testing dataset validator catches bad data...');
+
+        if (typeof DatasetValidator === 'undefined') {
+            this.fail('DatasetValidator not loaded', 'dataset-validator.js missing');
+            return;
+        }
+
+        const token = (id, category, name, tags, stats) => ({ id, category, name, tags, stats });
+        const tokens = Array.from({ length: 13 }, (_, i) =>
+            token(`sports:${i}`, 'sports', `Team ${i}`, ['sports:A1', 'sports:B1', 'sports:C1', 'sports:D1'], { wins: i, title_count: 1 }));
+        tokens.push(token('13', undefined, 'Team 1', ['A1', 'movies:B1', 'sports:C1', 'sports:C2'], { wins: -2, title_count: NaN }));
+        tokens.push(token('sports:0', 'sports', 'Team 0b', ['sports:A1', 'sports:B1', 'sports:C1', 'sports:D1'], { wins: 20, title_count: 1 }));
+
+        const result = DatasetValidator.validate({
+            datasets: { sports: tokens },
+            challenges: [
+                { category: 'sports', stat: 'wins', name: 'Wins', direction: 'higher' },
+                { category: 'sports', stat: 'title_count', name: 'Titles', direction: 'higher' },
+                { category: 'sports', stat: 'missing_stat', name: 'Missing', direction: 'higher' }
+            ]
+        });
+        const messages = result.errors.map(e => e.message).join('\n');
+
+        this.assertFalse(result.valid, 'Bad data fails validation');
+        this.assertTrue(messages.includes('Duplicate name'), 'Duplicate names are errors', messages);
+        this.assertTrue(messages.includes('Duplicate id "sports:0"'), 'Duplicate ids are errors', messages);
+        this.assertTrue(messages.includes('is not prefixed with "sports:"'), 'Ids without a category prefix are errors', messages);
+        this.assertTrue(messages.includes('Category is "undefined"'), 'Tokens without a category are errors', messages);
+        this.assertTrue(messages.includes('Malformed tag "A1"'), 'Un-namespaced tags are errors', messages);
+        this.assertTrue(messages.includes('belongs to another category'), 'Tags from another category are errors', messages);
+        this.assertTrue(messages.includes('More than one C tag'), 'Repeated tag groups are errors', messages);
+        this.assertTrue(messages.includes('title_count is NaN'), 'NaN stats are errors', messages);
+        this.assertTrue(messages.includes('wins is negative'), 'Negative counts are errors', messages);
+        this.assertTrue(messages.includes('Every token has the same title_count'), 'Challenges with no distinct values are errors', messages);
+        this.assertTrue(messages.includes('Only 0 tokens have missing_stat'), 'Challenges with too few tokens are errors', messages);
+        this.assertTrue(result.errors.some(e => e.item === 'Team 1' && e.message.includes('title_count is')), 'Tokens missing a challenge stat are errors', messages);
+
+        const documented = DatasetValidator.validate({
+            datasets: { sports: tokens.slice(0, 13) },
+            challenges: [{ category: 'sports', stat: 'wins', name: 'Wins', direction: 'higher' }],
+            tagCodes: { sports: ['A1', 'B1', 'C1'] }
+        });
+        this.assertTrue(documented.errors.some(e => e.message === 'Tag "sports:D1" is not documented in the pack'), 'Tag codes the pack does not document are errors',
+            documented.errors.map(e => e.message).join('; '));
+    }
+
+    // ==================== TOKEN IDENTITY ====================
+
+    async testTokenIdsUniqueAcrossCategories() {
+        console.log('🧪 Testing token ids are unique across categories...');
+
+        if (CategoryPacks.getCategories().length === 0) {
+            this.fail('Category packs not loaded', 'packs/manifest.json missing');
+            return;
+        }
+
+        const datasets = CategoryPacks.getDatasets();
+        const all = Object.values(datasets).flat();
+        this.assertEquals(new Set(all.map(t => t.id)).size, all.length, 'No two tokens share an id');
+        this.assertTrue(Object.entries(datasets).every(([category, tokens]) =>
+            tokens.every(t => t.category === category && t.id.startsWith(`${category}:`))), 'Every token has a category and a category:code id');
+
+        const legacy = GameEngine.normalizeToken({ id: '001', name: 'Old' }, 'movies');
+        this.assertEquals(legacy.id, 'movies:001', 'normalizeToken() adds the category prefix');
+        this.assertEquals(legacy.category, 'movies', 'normalizeToken() adds the category');
+    }
+
+    async testCashOutSameCodeAcrossCategories() {
+        console.log('🧪 Testing cash-out with matching codes from two categories...');
+
+        // Germany and Aladdin were both '001' before ids were namespaced
+        const germany = { ...this.createMockToken('countries:001', 'Germany', 1), category: 'countries', tags: ['countries:A1'] };
+        const aladdin = { ...this.createMockToken('movies:001', 'Aladdin', 1), category: 'movies', tags: ['movies:A1'] };
+        const state = this.createEngineState();
+        state.rules = HouseRules.resolve({ wildSets: true });
+        state.players[0] = { ...state.players[0], hand: [germany, aladdin] };
+
+        const result = GameEngine.applyAction(state, { type: 'cash_out', tokenIds: ['countries:001', 'movies:001'] });
+        this.assertEquals(result.events[0].tokens.map(t => t.name).join(','), 'Germany,Aladdin', 'Cash-out picks each token by its own id');
+        this.assertEquals(result.state.players[0].hand.length, 0, 'Both tokens leave the hand');
+
+        if (typeof getAvailableTokensForCategory === 'function') {
+            this.resetGameState();
+            const before = getAvailableTokensForCategory('movies');
+            gameState.players[0].hand = [CategoryPacks.getTokens('movies')[0]];
+            this.assertEquals(getAvailableTokensForCategory('movies'), before - 1, 'A movie in hand lowers the movie count');
+            this.assertEquals(getAvailableTokensForCategory('countries'), CategoryPacks.getTokens('countries').length, 'Other categories are not affected');
+            this.resetGameState();
+        }
+    }
+
+    // ==================== CATEGORY PACKS ====================
+
+    createMockPack(id = 'qa_pack') {
+        return {
+            format: 1,
+            id,
+            name: 'QA Pack',
+            icon: '🧪',
+            tags: { A: { name: 'Size', color: '#123456', codes: { A1: { label: 'Big', description: 'Very big' } } } },
+            challenges: [{ stat: 'size', name: 'Size' }],
+            tokens: Array.from({ length: 13 }, (_, i) => ({ id: `${i + 1}`, name: `Thing ${i + 1}`, tags: [`${id}:A${(i % 2) + 1}`], stats: { size: i } }))
+        };
+    }
+
+    async testCategoryPackRegistry() {
+        console.log('🧪 Testing category pack format and registry...');
+
+        const pack = CategoryPacks.register(this.createMockPack());
+        try {
+            this.assertTrue(CategoryPacks.getCategories().includes('qa_pack'), 'Registered pack is offered as a category');
+            this.assertEquals(pack.tokens[0].id, 'qa_pack:1', 'Pack tokens get composite ids');
+            this.assertEquals(pack.tokens[0].category, 'qa_pack', 'Pack tokens get the pack id as category');
+            this.assertEquals(pack.challenges[0].category + '/' + pack.challenges[0].direction, 'qa_pack/higher', 'Challenges get the category and a default direction');
+            this.assertEquals(CategoryPacks.getTagDefinition('qa_pack:A1').label, 'Big', 'Documented tags use the pack tag definitions');
+            this.assertEquals(CategoryPacks.getTagDefinition('qa_pack:A2').label, 'Size 2', 'Undocumented tags get a generic label');
+            this.assertTrue(CategoryPacks.getChallenges().some(c => c.category === 'qa_pack'), 'Pack challenges are in the challenge list');
+        } finally {
+            CategoryPacks.unregister('qa_pack');
+        }
+
+        let error = null;
+        try {
+            CategoryPacks.register({ ...this.createMockPack('Bad Id'), challenges: [] });
+        } catch (e) {
+            error = e;
+        }
+        this.assertTrue(error && error.message.includes('Invalid id') && error.message.includes('No challenges'), 'Invalid packs are rejected with every problem listed', error?.message);
+        this.assertFalse(CategoryPacks.getCategories().includes('qa_pack'), 'Unregistered pack is no longer offered');
+    }
+
+    async testCustomPackTextIsEscaped() {
+        this.resetGameState();
+        console.log('🧪 Testing custom pack text is escaped in the game UI...');
+
+        if (typeof renderDraftPool === 'function' && typeof renderCategoryOptions === 'function') {
+            const mock = this.createMockPack();
+            const pack = CategoryPacks.register({
+                ...mock,
+                name: '<img src=x>Pack',
+                icon: '<b>!</b>',
+                tags: { A: { ...mock.tags.A, codes: { A1: { label: '<i>Big</i>', description: 'Very big' } } } },
+                tokens: mock.tokens.map(token => ({ ...token, name: `<img src=x>${token.name}` }))
+            });
+            try {
+                const select = document.createElement('select');
+                select.innerHTML = renderCategoryOptions();
+                const option = [...select.options].find(o => o.value === 'qa_pack');
+                this.assertEquals(option?.textContent, '<b>!</b> <img src=x>Pack', 'Category options show pack icon and name as text');
+
+                gameState.currentChallenge = { ...pack.challenges[0], name: '<i>Size</i>' };
+                gameState.draftPool = [pack.tokens[0]];
+                renderDraftPool();
+                const pool = document.getElementById('draftPool');
+                this.assertEquals(pool.querySelectorAll('img, i').length, 0, 'Draft pool does not render pack markup');
+                this.assertEquals(pool.querySelector('.token-name')?.textContent, pack.tokens[0].name, 'Token names are shown as text');
+            } finally {
+                CategoryPacks.unregister('qa_pack');
+                this.resetGameState();
+            }
+
+            let error = null;
+            try {
+                CategoryPacks.register({ ...this.createMockPack(), tokens: [{ id: "1');alert(1);('", name: 'Bad', tags: [], stats: { size: 1 } }] });
+            } catch (e) {
+                error = e;
+            }
+            this.assertTrue(error && error.message.includes('invalid id'), 'Token ids that could break out of onclick handlers are rejected', error?.message);
+        } else {
+            this.fail('renderDraftPool() or renderCategoryOptions() not found', 'Function does not exist');
+        }
+    }
+
+    async testStartNewRoundOffersEveryPack() {
+        this.resetGameState();
+        console.log('🧪 Testing challenge cards are drawn for every category pack...');
+
+        if (typeof startNewRound === 'function') {
+            CategoryPacks.register(this.createMockPack());
+            const pools = gameState.categoryPools;
+            gameState.categoryPools = { ...pools, qa_pack: [...CategoryPacks.getTokens('qa_pack')] };
+            try {
+                gameState.challengeMode = 'cards';
+                gameState.round = 1;
+                gameState.drawnChallengeCards = [];
+                gameState.playedChallenges = [];
+                startNewRound();
+
+                const categories = gameState.drawnChallengeCards.map(card => card.challenge.category);
+                this.assertEquals(categories.length, CategoryPacks.getCategories().length, 'One challenge card per category pack');
+                this.assertTrue(categories.includes('qa_pack'), 'A fifth pack gets its own card');
+            } finally {
+                CategoryPacks.unregister('qa_pack');
+                gameState.categoryPools = pools;
+                this.resetGameState();
+            }
+        } else {
+            this.fail('startNewRound() function not found', 'Function does not exist');
+        }
+    }
+
+    async testFallbackPacksArePlayable() {
+        console.log('🧪 Testing the built-in fallback packs can deal every challenge...');
+
+        if (typeof FALLBACK_PACKS === 'undefined') {
+            this.fail('FALLBACK_PACKS not found', 'Fallback packs do not exist');
+            return;
+        }
+
+        FALLBACK_PACKS.forEach(pack => pack.challenges.forEach(challenge => {
+            const eligible = pack.tokens.filter(token => GameEngine.hasNumericStat(token, challenge.stat)).length;
+            this.assertTrue(eligible >= HouseRules.DEFAULTS.draftSize, `Fallback ${pack.id} "${challenge.name}" has a full draft`, `${eligible} tokens have ${challenge.stat}`);
+        }));
+    }
+
+    // ==================== CATEGORY BUILDER ====================
+
+    // 13 rows (one draft) with a BOM, CRLF, thousands separators and a quoted comma in each name
+    createBuilderCsv() {
+        const rows = Array.from({ length: 13 }, (_, i) => `"Lang, ${i + 1}","${((i + 1) * 1000).toLocaleString('en-US')}",${1990 + i}`);
+        return ['\uFEFFName,GitHub Stars,Year', ...rows].join('\r\n');
+    }
+
+    async testCategoryBuilderCsvImport() {
+        console.log('🧪 Testing category builder CSV import...');
+
+        const parsed = CategoryBuilder.parseCsv('a,b\r\n"x, ""y""",2\n\n');
+        this.assertEquals(JSON.stringify(parsed), JSON.stringify({ headers: ['a', 'b'], rows: [['x, "y"', '2']] }), 'CSV parser handles quotes, escaped quotes, CRLF and blank lines');
+
+        const csv = CategoryBuilder.parseCsv(this.createBuilderCsv());
+        const columns = CategoryBuilder.analyzeColumns(csv);
+        this.assertEquals(columns.map(col => `${col.stat}:${col.numeric}`).join(' '), 'name:false github_stars:true year:true', 'Columns get Firebase-safe stat keys and a numeric flag');
+
+        const config = {
+            name: 'QA Languages',
+            icon: '💻',
+            csv,
+            nameColumn: 0,
+            challenges: [{ column: 1, name: 'Stars', direction: 'higher' }, { column: 2, name: 'Oldest', direction: 'lower' }],
+            tagRules: [{ column: 1, group: 'A', thresholds: '5000; 10000' }]
+        };
+        const { valid, errors, pack } = CategoryBuilder.buildPack(config);
+        this.assertTrue(valid, 'A CSV with 13 rows builds a valid pack', errors.join('; '));
+        if (!valid) return;
+
+        this.assertEquals(pack.id, 'custom-qa-languages', 'Pack id is slugged from the name');
+        this.assertEquals(pack.tokens.length, 13, 'One token per row');
+        this.assertEquals(pack.tokens[0].name, 'Lang, 1', 'Quoted names keep their comma');
+        this.assertEquals(pack.tokens[12].stats.github_stars, 13000, 'Stat values are parsed as numbers');
+        this.assertEquals(pack.tokens.map(t => GameEngine.getTagCode(t.tags[0])).join(' '), 'A3 A3 A3 A3 A3 A2 A2 A2 A2 A2 A1 A1 A1', 'Tags follow the thresholds, highest level first');
+        this.assertEquals(pack.tags.A.codes.A1.label, 'GitHub Stars > 10000', 'Tag labels describe the threshold');
+        this.assertEquals(pack.challenges.map(c => `${c.stat}/${c.direction}`).join(' '), 'github_stars/higher year/lower', 'Marked columns become challenges with their direction');
+
+        const invalid = CategoryBuilder.buildPack({
+            ...config,
+            name: 'Movies',
+            challenges: [{ column: 0, name: 'Name' }],
+            tagRules: [{ column: 1, group: 'A', thresholds: '5' }, { column: 2, group: 'A', thresholds: '2000' }]
+        });
+        this.assertFalse(invalid.valid, 'Invalid builder settings are rejected');
+        ['built-in category', 'not numeric', 'used twice', 'at least one numeric column'].forEach(fragment => {
+            this.assertTrue(invalid.errors.some(e => e.includes(fragment)), `Builder reports "${fragment}"`, invalid.errors.join('; '));
+        });
+
+        const tooFew = CategoryBuilder.buildPack({ ...config, csv: { headers: csv.headers, rows: csv.rows.slice(0, 5) } });
+        this.assertTrue(!tooFew.valid && tooFew.errors.some(e => e.includes('a round needs')), 'Too few rows for a draft is an error', tooFew.errors.join('; '));
+    }
+
+    async testCustomCategorySaveAndPick() {
+        this.resetGameState();
+        console.log('🧪 Testing custom categories are saved, picked and shared...');
+
+        if (typeof applyRoomCategories !== 'function' || typeof startNewRound !== 'function') {
+            this.fail('applyRoomCategories() function not found', 'Function does not exist');
+            return;
+        }
+
+        const storedBefore = localStorage.getItem(CategoryBuilder.STORAGE_KEY);
+        const pools = gameState.categoryPools;
+        const { pack } = CategoryBuilder.buildPack({
+            name: 'QA Languages',
+            csv: CategoryBuilder.parseCsv(this.createBuilderCsv()),
+            nameColumn: 0,
+            challenges: [{ column: 1, name: 'Stars' }]
+        });
+
+        try {
+            CategoryBuilder.save(pack);
+            CategoryPacks.unregister(pack.id);
+            this.assertEquals(CategoryBuilder.registerSaved().join(), pack.id, 'Saved packs are registered again from localStorage');
+            this.assertTrue(CategoryPacks.getPack(pack.id)?.custom, 'Saved packs are marked as custom');
+
+            // Only the custom category picked: every challenge card comes from it
+            gameState.categoryPools = { ...pools, [pack.id]: [...CategoryPacks.getTokens(pack.id)] };
+            gameState.categories = [pack.id];
+            gameState.challengeMode = 'cards';
+            gameState.round = 1;
+            gameState.drawnChallengeCards = [];
+            gameState.playedChallenges = [];
+            startNewRound();
+            this.assertEquals(gameState.drawnChallengeCards.map(card => card.challenge.category).join(), pack.id, 'Only picked categories get challenge cards');
+
+            // Another client receives the pack through the room config (Firebase turns arrays into objects)
+            CategoryBuilder.remove(pack.id);
+            this.assertFalse(CategoryPacks.getCategories().includes(pack.id), 'Deleted packs are unregistered');
+            const firebasePack = { ...pack, tokens: { ...pack.tokens }, challenges: { ...pack.challenges } };
+            applyRoomCategories({ categories: { 0: pack.id }, customPacks: { [pack.id]: firebasePack } });
+            this.assertEquals(CategoryPacks.getTokens(pack.id).length, 13, 'Room custom packs are registered on joining clients');
+            this.assertEquals(getGameCategories().join(), pack.id, 'Room categories decide which categories are played');
+        } finally {
+            CategoryPacks.unregister(pack.id);
+            if (storedBefore === null) localStorage.removeItem(CategoryBuilder.STORAGE_KEY);
+            else localStorage.setItem(CategoryBuilder.STORAGE_KEY, storedBefore);
+            gameState.categoryPools = pools;
+            this.resetGameState();
+        }
+    }
+
+    // ==================== DECK BUILDER ====================
+
+    async testDeckBuilderFilters() {
+        console.log('🧪 Testing deck builder filters...');
+
+        const sports = CategoryPacks.getTokens('sports');
+        if (sports.length === 0) {
+            this.fail('Deck builder filters', 'sports pack not found');
+            return;
+        }
+
+        const twoLeagues = DeckBuilder.apply(sports, { fields: { league: ['NBA', 'NFL'] } });
+        this.assertTrue(twoLeagues.length > 0 && twoLeagues.every(t => ['NBA', 'NFL'].includes(t.stats.league)), 'Field values are alternatives', `${twoLeagues.length} tokens`);
+
+        const combined = { fields: { league: ['NBA', 'NFL'] }, ranges: { year_founded: { min: 1950 } } };
+        const expected = sports.filter(t => ['NBA', 'NFL'].includes(t.stats.league) && t.stats.year_founded >= 1950);
+        this.assertEquals(DeckBuilder.apply(sports, combined).length, expected.length, 'Fields and ranges must all match');
+
+        const tag = GameEngine.getTokenTags(sports[0])[0];
+        this.assertTrue(DeckBuilder.apply(sports, { tags: [tag] }).every(t => GameEngine.getTokenTags(t).includes(tag)), 'Tag filter keeps tokens with the tag');
+        this.assertEquals(DeckBuilder.apply(sports, {}).length, sports.length, 'An empty filter keeps every token');
+
+        // Filters read back from Firebase: arrays as objects, empty parts dropped
+        const fromFirebase = { fields: { league: { 0: 'NBA', 1: 'NFL' } }, ranges: { year_founded: { min: 1950 } } };
+        this.assertEquals(JSON.stringify(DeckBuilder.normalizeFilter(fromFirebase)), JSON.stringify(DeckBuilder.normalizeFilter(combined)), 'Firebase-shaped filters normalize to the same filter');
+
+        const options = DeckBuilder.getFilterOptions(sports);
+        this.assertTrue(options.fields.league && !options.fields.originalCode, 'Short string fields are offered, per-token codes are not');
+
+        const draftSize = HouseRules.DEFAULTS.draftSize;
+        const oneLeague = DeckBuilder.build({ categories: ['sports'], filters: { sports: { fields: { league: ['NBA'] } } }, getTokens: id => CategoryPacks.getTokens(id), minTokens: draftSize });
+        const nbaCount = sports.filter(t => t.stats.league === 'NBA').length;
+        this.assertEquals(oneLeague.valid, nbaCount >= draftSize, `A deck needs ${draftSize} tokens per category (NBA has ${nbaCount})`);
+    }
+
+    async testDeckSeedsCategoryPools() {
+        this.resetGameState();
+        console.log('🧪 Testing the deck replaces the category pools...');
+
+        if (typeof applyRoomCategories !== 'function') {
+            this.fail('applyRoomCategories() function not found', 'Function does not exist');
+            return;
+        }
+
+        const filters = gameState.deckFilters;
+        const deckFilters = { sports: { fields: { league: ['NBA', 'NFL'] } } };
+        const deckSize = DeckBuilder.apply(CategoryPacks.getTokens('sports'), deckFilters.sports).length;
+        try {
+            applyRoomCategories({ deckFilters });
+            this.assertEquals(gameState.categoryPools.sports.length, deckSize, 'Room deck refills the sports pool');
+            this.assertEquals(getAvailableTokensForCategory('sports'), deckSize, 'Available token count follows the deck');
+            this.assertEquals(gameState.categoryPools.movies.length, CategoryPacks.getTokens('movies').length, 'Categories without a filter keep every token');
+
+            gameState.categoryPools.sports.pop();
+            applyRoomCategories({ deckFilters: { sports: { fields: { league: { 0: 'NBA', 1: 'NFL' } } } } });
+            this.assertEquals(gameState.categoryPools.sports.length, deckSize - 1, 'Later syncs of the same deck do not refill the pools');
+        } finally {
+            gameState.deckFilters = filters;
+            loadCategoryPools();
+            this.resetGameState();
+        }
+    }
+
+    // ==================== DRAW DIFFICULTY ====================
+
+    // randomIndex() over a local seeded sequence, so draws repeat exactly
+    createSeededIndex(seed) {
+        let state = SeededRandom.normalizeSeed(seed);
+        return length => {
+            const next = SeededRandom.next(state);
+            state = next.state;
+            return Math.floor(next.value * length);
+        };
+    }
+
+    async testDrawDifficultyShapesSpread() {
+        console.log('🧪 Testing difficulty-tuned draws...');
+
+        const stat = 'box_office_gross';
+        const tokens = CategoryPacks.getTokens('movies').filter(t => GameEngine.hasNumericStat(t, stat));
+        if (tokens.length < 26) {
+            this.fail('Draw difficulty spread', 'movies pack not found');
+            return;
+        }
+
+        // Normal is the original uniform draw, random number for random number
+        const original = this.createSeededIndex('qa-draw');
+        const remaining = [...tokens];
+        const expected = Array.from({ length: 13 }, () => remaining.splice(original(remaining.length), 1)[0].id);
+        const normal = DrawDifficulty.draw(tokens, 13, stat, 'normal', this.createSeededIndex('qa-draw'));
+        this.assertEquals(normal.map(t => t.id).join(), expected.join(), 'Normal difficulty draws exactly as before');
+
+        // Average over 10 seeded draws per level
+        const averages = {};
+        DrawDifficulty.LEVELS.forEach(level => {
+            const randomIndex = this.createSeededIndex(`qa-${level}`);
+            const total = { spread: 0, closest: 0 };
+            for (let i = 0; i < 10; i++) {
+                const drawn = DrawDifficulty.draw(tokens, 13, stat, level, randomIndex);
+                if (new Set(drawn).size !== 13) this.fail(`${level} draw has 13 different tokens`, `${new Set(drawn).size} tokens`);
+                const { spread, closest } = DrawDifficulty.measure(drawn, tokens, stat);
+                total.spread += spread / 10;
+                total.closest += closest / 10;
+            }
+            averages[level] = total;
+        });
+        const summary = Object.entries(averages).map(([level, { spread, closest }]) => `${level} ${spread.toFixed(2)}/${closest.toFixed(4)}`).join(', ');
+        this.assertTrue(averages.easy.closest > averages.normal.closest, 'Easy draws keep values further apart than normal', summary);
+        this.assertTrue(averages.hard.spread < averages.normal.spread / 2, 'Hard draws cluster tighter than normal', summary);
+
+        // Easy never draws two neighbouring values (evenly spaced by rank)
+        const sorted = [...tokens].sort((a, b) => a.stats[stat] - b.stats[stat]);
+        const ranks = DrawDifficulty.draw(tokens, 13, stat, 'easy', this.createSeededIndex('qa-ranks'))
+            .map(t => sorted.indexOf(t)).sort((a, b) => a - b);
+        const minRankGap = Math.min(...ranks.slice(1).map((rank, i) => rank - ranks[i]));
+        this.assertTrue(minRankGap >= Math.floor(tokens.length / 13), 'Easy draws skip over neighbouring values', `smallest rank gap ${minRankGap}`);
+    }
+
+    async testDrawTokensUsesGameDifficulty() {
+        this.resetGameState();
+        console.log('🧪 Testing drawTokens() follows the game difficulty...');
+
+        if (typeof drawTokens !== 'function') {
+            this.fail('drawTokens() function not found', 'Function does not exist');
+            return;
+        }
+
+        const stat = 'box_office_gross';
+        const pools = gameState.categoryPools;
+        try {
+            gameState.categoryPools = { ...pools, movies: [...CategoryPacks.getTokens('movies')] };
+            gameState.drawDifficulty = 'hard';
+            const drawn = drawTokens(13, 'movies', stat);
+            this.assertEquals(drawn.length, 13, 'Hard draw fills the draft');
+            this.assertEquals(gameState.categoryPools.movies.length, CategoryPacks.getTokens('movies').length - 13, 'Drawn tokens leave the pool');
+            const { spread } = DrawDifficulty.measure(drawn, CategoryPacks.getTokens('movies').filter(t => GameEngine.hasNumericStat(t, stat)), stat);
+            this.assertTrue(spread < 0.5, 'Hard draws cluster', `spread ${spread.toFixed(2)}`);
+
+            const state = GameEngine.createInitialState({ playerNames: ['A', 'B'], maxRounds: 3, drawDifficulty: 'easy' });
+            this.assertEquals(state.drawDifficulty, 'easy', 'Difficulty is part of the game state');
+        } finally {
+            gameState.categoryPools = pools;
+            this.resetGameState();
+        }
+    }
+
+    // ==================== BOT PLAYERS ====================
+
+    async testBotPlayerDecisions() {
+        console.log('🧪 Testing bot decisions by difficulty...');
+
+        const tagged = (id, value, tags) => ({ ...this.createMockToken(id, id, value), tags });
+
+        // Hard remembers revealed tokens and bets on them - 'better' means lower here
+        const hardState = this.createEngineState({
+            guessMode: 'betterWorse',
+            currentChallenge: { ...this.createMockChallenge(), direction: 'lower' }
+        });
+        const hard = BotPlayer.decideTurn(hardState, 0, 'hard', { population: [100, 900], revealedIds: ['high'] });
+        this.assertEquals(`${hard.type}:${hard.tokenId}:${hard.direction}`, 'guess:high:worse', 'Hard bot guesses a revealed token correctly');
+
+        // Medium knows most of the category sits above the center
+        const medium = BotPlayer.decideTurn(this.createEngineState(), 0, 'medium', { population: [100, 600, 700, 900], revealedIds: ['high'] });
+        this.assertEquals(`${medium.type}:${medium.direction}`, 'guess:higher', 'Medium bot follows the value distribution');
+
+        // Easy guesses blindly
+        const easy = BotPlayer.decideTurn(this.createEngineState(), 0, 'easy', { random: () => 0 });
+        this.assertEquals(`${easy.type}:${easy.tokenId}:${easy.direction}`, 'guess:high:higher', 'Easy bot picks any token and direction');
+
+        // A full set is cashed out straight away
+        const fullSet = ['a', 'b', 'c', 'd'].map(id => tagged(id, 100, ['movies:A1']));
+        const setState = this.createEngineState();
+        setState.players[0] = { ...setState.players[0], hand: fullSet };
+        const cashOut = BotPlayer.decideTurn(setState, 0, 'medium', { population: [100, 900] });
+        this.assertEquals(`${cashOut.type}:${cashOut.tag}:${cashOut.tokenIds.join(',')}`, 'cash_out:movies:A1:a,b,c,d', 'Bots cash out a full set');
+
+        // A coin-flip guess with four tokens at risk is not worth it
+        const riskyState = this.createEngineState();
+        riskyState.players[0] = { ...riskyState.players[0], thisRound: ['w', 'x', 'y', 'z'].map((id, i) => tagged(id, 100, [`movies:B${i}`])) };
+        const risky = BotPlayer.decideTurn(riskyState, 0, 'medium', { population: [100, 900] });
+        this.assertEquals(risky.type, 'pass', 'Bots pass when a guess risks too much');
+    }
+
+    async testBotPlaysThroughPage() {
+        this.resetGameState();
+        console.log('🧪 Testing playBotTurn() moves through the page actions...');
+
+        if (typeof playBotTurn !== 'function') {
+            this.fail('playBotTurn() function not found', 'Function does not exist');
+            return;
+        }
+
+        const log = gameState.actionLog;
+        try {
+            document.getElementById('categoryModal').classList.remove('active');
+            gameState.players[1].botLevel = 'hard';
+            gameState.currentPlayer = 1;
+            gameState.currentChallenge = this.createMockChallenge();
+            gameState.centerToken = this.createMockToken('center', 'Center', 500);
+            gameState.draftPool = [this.createMockToken('high', 'High', 800), this.createMockToken('low', 'Low', 200)];
+            gameState.actionLog = [{ seq: 1, round: 1, action: { type: 'guess', direction: 'higher', tokenId: 'low' } }];
+
+            passRound();
+            this.assertFalse(gameState.passedPlayers.has(1), 'Humans cannot act on a bot\'s turn', 'passRound() went through');
+
+            playBotTurn();
+            const entry = gameState.actionLog[gameState.actionLog.length - 1];
+            this.assertEquals(`${entry.actor}:${entry.action.tokenId}:${entry.outcome}`, '1:low:correct_guess', 'Bot guess goes through makeGuess() into the log');
+            this.assertEquals(gameState.players[1].score, 1, 'Bot scores like a human');
+        } finally {
+            gameState.players[1].botLevel = null;
+            gameState.actionLog = log;
+            this.resetGameState();
+        }
+    }
+
+    async testBotsUseGameSeed() {
+        this.resetGameState();
+        console.log('🧪 Testing bots draw from the seeded game random sequence...');
+
+        if (typeof playBotTurn !== 'function' || typeof seedGameRandom !== 'function') {
+            this.fail('playBotTurn() or seedGameRandom() function not found', 'Function does not exist');
+            return;
+        }
+
+        const log = gameState.actionLog;
+        const playSeeded = () => {
+            this.resetGameState();
+            document.getElementById('categoryModal').classList.remove('active');
+            gameState.players[1].botLevel = 'easy';
+            gameState.currentPlayer = 1;
+            gameState.currentChallenge = this.createMockChallenge();
+            gameState.centerToken = this.createMockToken('center', 'Center', 500);
+            gameState.draftPool = Array.from({ length: 8 }, (_, i) => this.createMockToken(`t${i}`, `Token ${i}`, i * 100));
+            gameState.actionLog = [];
+            seedGameRandom('qa-bots');
+            const seeded = gameState.rngState;
+            playBotTurn();
+            const { action } = gameState.actionLog[gameState.actionLog.length - 1];
+            return { move: `${action.tokenId}:${action.direction}`, advanced: gameState.rngState !== seeded };
+        };
+        try {
+            const first = playSeeded();
+            const second = playSeeded();
+            this.assertTrue(first.advanced, 'Bot moves use the game\'s seeded random sequence');
+            this.assertEquals(second.move, first.move, 'The same seed gives the same bot move');
+        } finally {
+            gameState.players[1].botLevel = null;
+            gameState.actionLog = log;
+            this.resetGameState();
+        }
+    }
+
+    async testOnlineBotController() {
+        console.log('🧪 Testing which online client runs the bot seats...');
+
+        const saved = { players: gameState.players, playerIds: window.playerIds, userId: window.currentUserId };
+        try {
+            GameModeManager.setMode('online');
+            gameState.players = {
+                host: { name: 'Host', isHost: true, connected: true },
+                guest: { name: 'Guest', connected: true },
+                bot_1: { name: 'Bot 1', isBot: true, botLevel: 'hard', connected: true }
+            };
+            window.playerIds = ['host', 'guest', 'bot_1'];
+
+            window.currentUserId = 'host';
+            this.assertTrue(GameModeManager.actsFor(2), 'Host runs the bot seat');
+            this.assertFalse(GameModeManager.actsFor(1), 'Host does not move for another human');
+
+            window.currentUserId = 'guest';
+            this.assertFalse(GameModeManager.actsFor(2), 'Guests leave the bots to the host');
+            gameState.players.host.connected = false;
+            this.assertTrue(GameModeManager.actsFor(2), 'A guest takes over the bots when the host disconnects');
+        } finally {
+            GameModeManager.setMode('local');
+            gameState.players = saved.players;
+            window.playerIds = saved.playerIds;
+            window.currentUserId = saved.userId;
+        }
+    }
+
+    async testLobbyListsBotSeats() {
+        console.log('🧪 Testing the lobby shows bot seats...');
+
+        if (typeof updateLobbyPlayersList !== 'function') {
+            this.fail('updateLobbyPlayersList() function not found', 'Function does not exist');
+            return;
+        }
+
+        const userId = window.currentUserId;
+        const saved = { addBot: RoomManager.addBot, database: RoomManager.database };
+        try {
+            window.currentUserId = 'host';
+            updateLobbyPlayersList({
+                host: { name: 'Host', isHost: true, connected: true },
+                bot_1: { name: 'Bot 1', isBot: true, botLevel: 'hard', connected: true }
+            });
+
+            const list = document.getElementById('lobbyPlayersList');
+            this.assertTrue(list.textContent.includes('🤖 Hard bot'), 'Bot seat shows its level');
+            this.assertEquals(list.querySelectorAll('button').length, 1, 'Host can remove the bot');
+            this.assertFalse(document.getElementById('startGameBtn').disabled, 'One human and a bot can start');
+
+            // Bot 1 was removed - the next bot takes its name instead of a second Bot 2
+            let addedName = null;
+            RoomManager.addBot = async (roomCode, name) => { addedName = name; };
+            updateLobbyPlayersList({
+                host: { name: 'Host', isHost: true, connected: true },
+                bot_2: { name: 'Bot 2', isBot: true, botLevel: 'easy', connected: true }
+            });
+            await addRoomBot();
+            this.assertEquals(addedName, 'Bot 1', 'New bots take the lowest free name');
+            RoomManager.addBot = saved.addBot;
+
+            // A stale lobby tab cannot seat or remove a bot once the game is running
+            let room = { config: { maxPlayers: 6 }, players: {}, gameState: { phase: 'playing' } };
+            let removed = false;
+            RoomManager.database = { ref: () => ({
+                once: async () => ({ val: () => room }),
+                child: () => ({ remove: async () => { removed = true; } })
+            }) };
+            let rejection = null;
+            await RoomManager.addBot('QAROOM', 'Bot 1', 'easy').catch(error => { rejection = error.message; });
+            this.assertEquals(rejection, 'Game already in progress', 'Bots can only be added in the lobby');
+
+            rejection = null;
+            await RoomManager.removeBot('QAROOM', 'bot_1').catch(error => { rejection = error.message; });
+            this.assertEquals(rejection, 'Game already in progress', 'Bots can only be removed in the lobby');
+            this.assertFalse(removed, 'The bot seat is kept in a running game');
+
+            room = null;
+            rejection = null;
+            await RoomManager.addBot('GONE', 'Bot 1', 'easy').catch(error => { rejection = error.message; });
+            this.assertEquals(rejection, 'Room not found', 'Adding a bot to a deleted room fails cleanly');
+        } finally {
+            window.currentUserId = userId;
+            RoomManager.addBot = saved.addBot;
+            RoomManager.database = saved.database;
+        }
+    }
+
+    // ==================== SOLO STREAK ====================
+
+    async testSoloStreakRun() {
+        console.log('🧪 Testing solo streak guesses, banking and bests...');
+
+        const tokens = [
+            this.createMockToken('center', 'Center', 500),
+            this.createMockToken('high', 'High', 800),
+            this.createMockToken('same', 'Same', 800),
+            this.createMockToken('low', 'Low', 200)
+        ];
+        let run = SoloStreak.startChallenge(SoloStreak.createRun('movies'), this.createMockChallenge(), tokens);
+        this.assertEquals(`${run.centerToken.id}:${run.draftPool.length}`, 'center:3', 'First token is the center, the rest the draft');
+
+        let step = SoloStreak.guess(run, 'high', 'higher');
+        this.assertEquals(`${step.result}:${step.run.streak}:${step.run.centerToken.id}`, 'correct:1:high', 'Correct guess grows the streak and moves the center');
+        step = SoloStreak.guess(step.run, 'same', 'higher');
+        this.assertEquals(`${step.result}:${step.run.streak}:${step.run.draftPool.length}`, 'tie:1:1', 'Tie discards the token and keeps the streak');
+
+        run = SoloStreak.bank(step.run);
+        this.assertEquals(`${run.score}:${run.streak}`, '1:0', 'Banking moves the streak into the score');
+
+        step = SoloStreak.guess(run, 'low', 'higher');
+        this.assertEquals(`${step.result}:${step.run.over}:${step.run.score}`, 'wrong:true:1', 'A miss ends the run, banked points stay');
+        this.assertTrue(SoloStreak.needsChallenge({ ...run, draftPool: [] }), 'Empty draft asks for a new challenge');
+
+        const first = SoloStreak.recordRun({}, step.run);
+        const second = SoloStreak.recordRun(first.bests, { ...step.run, score: 0 });
+        this.assertEquals(JSON.stringify(second.bests.movies), '{"bestScore":1,"bestStreak":1,"runs":2}', 'Bests are kept per category');
+        this.assertEquals(`${first.newBest}:${second.newBest}`, 'true:false', 'Only a higher score is a new best');
+    }
+
+    async testSoloRunOnPage() {
+        console.log('🧪 Testing a solo run on the page saves its best...');
+
+        if (typeof startSoloRun !== 'function') {
+            this.fail('startSoloRun() function not found', 'Function does not exist');
+            return;
+        }
+
+        const saved = localStorage.getItem(SoloStreak.STORAGE_KEY);
+        const pools = JSON.stringify(Object.keys(gameState.categoryPools).map(id => gameState.categoryPools[id].length));
+        try {
+            localStorage.removeItem(SoloStreak.STORAGE_KEY);
+            openSoloStreak();
+            document.getElementById('soloCategory').value = 'movies';
+            startSoloRun();
+
+            const stat = soloRun.challenge.stat;
+            const centerValue = soloRun.centerToken.stats[stat];
+            const token = soloRun.draftPool.find(t => t.stats[stat] !== centerValue);
+            this.assertEquals(soloRun.challenge.category, 'movies', 'Run deals a challenge from the picked category');
+
+            selectSoloToken(token.id);
+            soloGuess(token.stats[stat] > centerValue ? 'lower' : 'higher');
+            this.assertEquals(SoloStreak.loadBests().movies?.runs, 1, 'Missed run is saved to the bests');
+            this.assertEquals(JSON.stringify(Object.keys(gameState.categoryPools).map(id => gameState.categoryPools[id].length)), pools, 'Solo runs leave the game pools alone');
+        } finally {
+            if (saved === null) localStorage.removeItem(SoloStreak.STORAGE_KEY);
+            else localStorage.setItem(SoloStreak.STORAGE_KEY, saved);
+            showScreen('modeSelectionScreen');
+        }
+    }
+
+    // ==================== DAILY CHALLENGE ====================
+
+    async testDailyPuzzleSeededByDate() {
+        console.log('🧪 Testing the daily puzzle comes from the date...');
+
+        const sources = { challenges: CategoryPacks.getChallenges(), getTokens: id => CategoryPacks.getTokens(id) };
+        const describe = puzzle => `${puzzle.challenge.name}|${puzzle.tokens.map(t => t.id).join(',')}`;
+        const today = DailyChallenge.createPuzzle('2026-10-18', sources);
+
+        this.assertEquals(describe(DailyChallenge.createPuzzle('2026-10-18', sources)), describe(today), 'Same date builds the same puzzle');
+        this.assertTrue(describe(DailyChallenge.createPuzzle('2026-10-19', sources)) !== describe(today), 'Next day builds a different puzzle');
+        this.assertEquals(today.tokens.length, DailyChallenge.GUESSES + 1, 'Puzzle has a center and a token per guess');
+        this.assertEquals(`${DailyChallenge.getPuzzleNumber(DailyChallenge.EPOCH)}:${today.number}`, '1:291', 'Puzzles are numbered from the epoch');
+
+        let run = DailyChallenge.createRun(today);
+        for (let i = 0; i < DailyChallenge.GUESSES; i++) {
+            run = DailyChallenge.guess(run, i === 0 ? 'higher' : 'lower').run;
+        }
+        const result = DailyChallenge.toResult(run);
+        const share = DailyChallenge.buildShareText(result);
+        this.assertTrue(run.over && [...result.grid].length === DailyChallenge.GUESSES, 'One square per guess', result.grid);
+        this.assertTrue(share.startsWith(`4f4 Daily #291 ${result.score}/10`) && !share.includes(today.challenge.name), 'Share text is spoiler-free', share);
+    }
+
+    async testDailyStreakAndCalendar() {
+        console.log('🧪 Testing the daily streak and calendar...');
+
+        const played = { score: 7, total: 10 };
+        const results = { '2026-10-17': played, '2026-10-16': played, '2026-10-14': played };
+        this.assertEquals(DailyChallenge.getStreak(results, '2026-10-18'), 2, 'Streak counts back from yesterday while today is open');
+        this.assertEquals(DailyChallenge.getStreak({ ...results, '2026-10-18': played }, '2026-10-18'), 3, 'Playing today extends the streak');
+        this.assertEquals(DailyChallenge.shiftDateKey('2026-03-01', -1), '2026-02-28', 'Date keys step across month ends');
+
+        const calendar = DailyChallenge.getCalendar(results, '2026-10-18', 7);
+        this.assertEquals(calendar.map(day => (day.result ? 'x' : '.')).join(''), '..x.xx.', 'Calendar marks played days, oldest first');
+    }
+
+    async testDailyRunOnPage() {
+        console.log('🧪 Testing a daily run on the page is saved once...');
+
+        if (typeof openDailyChallenge !== 'function') {
+            this.fail('openDailyChallenge() function not found', 'Function does not exist');
+            return;
+        }
+
+        const saved = localStorage.getItem(DailyChallenge.STORAGE_KEY);
+        const todayKey = DailyChallenge.getDateKey();
+        try {
+            localStorage.removeItem(DailyChallenge.STORAGE_KEY);
+            openDailyChallenge();
+            for (let i = 0; i < DailyChallenge.GUESSES; i++) dailyGuess('higher');
+
+            const result = DailyChallenge.loadResults()[todayKey];
+            this.assertEquals(result?.total, DailyChallenge.GUESSES, 'Finished puzzle is saved under today');
+            this.assertEquals(document.getElementById('dailyShareText').textContent, DailyChallenge.buildShareText(result), 'Share text is shown');
+
+            openDailyChallenge();
+            this.assertEquals(document.getElementById('dailyPlay').style.display, 'none', 'Today cannot be played twice');
+        } finally {
+            if (saved === null) localStorage.removeItem(DailyChallenge.STORAGE_KEY);
+            else localStorage.setItem(DailyChallenge.STORAGE_KEY, saved);
+            showScreen('modeSelectionScreen');
+        }
+    }
+
+    // ==================== PLAYER PROFILES ====================
+
+    async testPlayerProfilesStats() {
+        console.log('🧪 Testing player profiles and lifetime stats...');
+
+        const saved = localStorage.getItem(PlayerProfiles.STORAGE_KEY);
+        try {
+            localStorage.removeItem(PlayerProfiles.STORAGE_KEY);
+            const ada = PlayerProfiles.add('Ada', '#ef4444').profile;
+            this.assertFalse(PlayerProfiles.add(' ada ').valid, 'Duplicate names are rejected (case-insensitive)');
+            this.assertFalse(PlayerProfiles.add('   ').valid, 'Empty names are rejected');
+
+            const challenge = { name: 'Box Office', category: 'movies' };
+            const log = [
+                { seq: 0, actor: null, action: { type: 'start_game' }, outcome: 'game_started', challenge: null },
+                { seq: 1, actor: 0, action: { type: 'guess' }, outcome: 'correct_guess', challenge },
+                { seq: 2, actor: 1, action: { type: 'guess' }, outcome: 'wrong_guess,player_eliminated', challenge },
+                { seq: 3, actor: 0, action: { type: 'guess' }, outcome: 'wrong_guess', challenge },
+                { seq: 4, actor: 0, action: { type: 'undo', undoneSeq: 3 }, outcome: 'undone', challenge },
+                { seq: 5, actor: 0, action: { type: 'guess' }, outcome: 'tie', challenge },
+                { seq: 6, actor: 0, action: { type: 'cash_out', tokenIds: ['a', 'b', 'c'] }, outcome: 'cash_out', challenge }
+            ];
+
+            const seats = PlayerProfiles.summarizeLog(log, 2);
+            this.assertEquals(`${seats[0].correctGuesses}/${seats[0].wrongGuesses}`, '1/0', 'Undone guesses and ties are not counted');
+            this.assertEquals(seats[1].challenges['movies|Box Office'].wrong, 1, 'Guesses are tallied per challenge');
+
+            const profiles = PlayerProfiles.recordGame(PlayerProfiles.load(), { profileIds: [ada.id, null], scores: [4, 4], log });
+            const stats = profiles[0].stats;
+            this.assertEquals(`${stats.games}:${stats.wins}:${stats.cashOuts[3]}`, '1:1:1', 'Game, shared win and cash-out by set size recorded');
+            this.assertEquals(PlayerProfiles.getAccuracy(stats.categories.movies), 1, 'Accuracy per category');
+        } finally {
+            if (saved === null) localStorage.removeItem(PlayerProfiles.STORAGE_KEY);
+            else localStorage.setItem(PlayerProfiles.STORAGE_KEY, saved);
+        }
+    }
+
+    async testProfileSeatsOnPage() {
+        this.resetGameState();
+        console.log('🧪 Testing profile seats and end-of-game recording...');
+
+        if (typeof recordProfileGame !== 'function') {
+            this.fail('recordProfileGame() function not found', 'Function does not exist');
+            return;
+        }
+
+        const saved = localStorage.getItem(PlayerProfiles.STORAGE_KEY);
+        const log = gameState.actionLog;
+        try {
+            localStorage.removeItem(PlayerProfiles.STORAGE_KEY);
+            const ada = PlayerProfiles.add('Ada').profile;
+            updatePlayerInputs();
+            const nameInput = document.getElementById('player0Name');
+            this.assertEquals(`${nameInput.value}:${nameInput.readOnly}`, 'Ada:true', 'First seat plays under the first profile');
+            this.assertEquals(document.getElementById('player1Profile').value, '', 'Seats without a profile are guests');
+            this.assertEquals(document.getElementById('player1Name').value, 'Player 2', 'Guest seats default to a numbered name');
+
+            gameState.profileIds = [ada.id, null];
+            gameState.profilesRecorded = false;
+            gameState.players[0].score = 3;
+            gameState.players[1].score = 1;
+            gameState.actionLog = [{ seq: 1, actor: 0, action: { type: 'guess' }, outcome: 'correct_guess', challenge: this.createMockChallenge() }];
+            recordProfileGame();
+            recordProfileGame();
+
+            const stats = PlayerProfiles.get(ada.id).stats;
+            this.assertEquals(`${stats.games}:${stats.wins}:${stats.correctGuesses}`, '1:1:1', 'Finished game is added to the profile once');
+        } finally {
+            if (saved === null) localStorage.removeItem(PlayerProfiles.STORAGE_KEY);
+            else localStorage.setItem(PlayerProfiles.STORAGE_KEY, saved);
+            gameState.actionLog = log;
+            gameState.profileIds = [];
+            updatePlayerInputs();
+            this.resetGameState();
+        }
+    }
+
+    // ==================== ROUND SUMMARY ====================
+
+    async testEngineRoundSummary() {
+        console.log('🧪 Testing engine round summary...');
+
+        let state = this.createEngineState();
+        state.players[1] = { ...state.players[1], thisRound: [this.createMockToken('kept', 'Kept', 300)] };
+
+        state = GameEngine.applyAction(state, { type: 'guess', direction: 'higher', tokenId: 'high' }).state; // P1 correct
+        state = GameEngine.applyAction(state, { type: 'guess', direction: 'higher', tokenId: 'low' }).state;  // P2 wrong, loses 1
+        state = GameEngine.applyAction(state, { type: 'pass' }).state;                                         // P1 banks 1
+        state = GameEngine.applyAction(state, { type: 'last_standing_bonus' }).state;
+        const { state: ended, events } = GameEngine.applyAction(state, { type: 'end_round' });
+
+        const summary = ended.roundSummary;
+        this.assertEquals(ended.phase, 'roundEnd', 'Round waits on the summary before the next challenge');
+        this.assertEquals(events[0].summary.round, 1, 'round_ended event carries the summary');
+        this.assertEquals(summary.players[0].points, 2, 'Points gained = correct guess + bonus');
+        this.assertEquals(summary.players[0].bonusPoints, 1, 'Bonus listed separately');
+        this.assertEquals(summary.players[0].tokensBanked, 1, 'Tokens banked on pass are counted');
+        this.assertEquals(summary.players[1].tokensLost, 1, 'Tokens lost on a wrong guess are counted');
+        this.assertEquals(summary.firstGuesser, 1, 'First player out becomes first guesser');
+
+        const next = GameEngine.applyAction(ended, { type: 'start_round', challenge: this.createMockChallenge(), tokens: [this.createMockToken('c2', 'C2', 1)] }).state;
+        this.assertEquals(next.players[0].roundStats.guessPoints, 0, 'Round tallies reset when the next round starts');
+    }
+
+    async testRoundSummaryContinueGate() {
+        this.resetGameState();
+        console.log('🧪 Testing round summary continue gate...');
+
+        if (typeof endRound === 'function' && typeof continueFromRoundSummary === 'function') {
+            gameState.challengeMode = 'cards';
+            gameState.drawnChallengeCards = [];
+            gameState.passedPlayers = new Set([0, 1]);
+            gameState.firstGuesser = 1;
+
+            endRound();
+            const modal = document.getElementById('roundSummaryModal');
+            this.assertEquals(gameState.phase, 'roundEnd', 'endRound() stops on the round summary');
+            this.assertTrue(modal.classList.contains('active'), 'Round summary is shown');
+            this.assertEquals(gameState.drawnChallengeCards.length, 0, 'Next challenge waits for Continue');
+
+            // Online, only the new first guesser may continue
+            const savedIds = window.playerIds;
+            const savedUser = window.currentUserId;
+            GameModeManager.setMode('online');
+            window.playerIds = ['uid-a', 'uid-b'];
+            window.currentUserId = 'uid-a';
+            this.assertFalse(canContinueRoundSummary(), 'Other players cannot continue online');
+            window.currentUserId = 'uid-b';
+            this.assertTrue(canContinueRoundSummary(), 'First guesser can continue online');
+            GameModeManager.setMode('local');
+            window.playerIds = savedIds;
+            window.currentUserId = savedUser;
+
+            continueFromRoundSummary();
+            this.assertEquals(gameState.phase, 'challenge', 'Continue leaves the summary');
+            this.assertFalse(modal.classList.contains('active'), 'Round summary is hidden after Continue');
+            this.assertTrue(gameState.drawnChallengeCards.length > 0, 'Continue starts the next round');
+
+            this.resetGameState();
+        } else {
+            this.fail('endRound() or continueFromRoundSummary() not found', 'Function does not exist');
+        }
+    }
+
+    // ==================== HOUSE RULES ====================
+
+    async testHouseRulesValidation() {
+        console.log('🧪 Testing house rules validation...');
+
+        const defaults = HouseRules.validate({});
+        this.assertTrue(defaults.valid, 'Empty input is valid (all defaults)');
+        this.assertEquals(defaults.rules.draftSize, 13, 'Default draft size is 13');
+        this.assertEquals(HouseRules.getCashOutPoints(defaults.rules, 4), 8, 'Default set of 4 pays 8');
+
+        const custom = HouseRules.validate({ draftSize: '9', minSetSize: 3, maxSetSize: 5, cashOutPoints: { 3: 4, 4: 7, 5: 12 } });
+        this.assertTrue(custom.valid, 'Custom rules with a payout for every set size are valid');
+        this.assertEquals(custom.rules.draftSize, 9, 'Numeric strings from inputs are parsed');
+        this.assertEquals(HouseRules.getCashOutPoints(custom.rules, 2), 0, 'Sets below the minimum pay nothing');
+
+        const invalid = HouseRules.validate({ draftSize: 1, minSetSize: 4, maxSetSize: 3, lastStandingBonus: -1 });
+        this.assertFalse(invalid.valid, 'Out-of-range rules are rejected');
+        this.assertEquals(invalid.errors.length, 3, 'Each bad value is reported');
+        this.assertEquals(invalid.rules.draftSize, 13, 'Rejected values fall back to the defaults');
+
+        // Firebase turns { 2: 2, 3: 5, 4: 8 } into a sparse array
+        const fromFirebase = HouseRules.resolve({ cashOutPoints: [null, null, 2, 5, 8] });
+        this.assertEquals(fromFirebase.cashOutPoints[3], 5, 'Payout table survives the Firebase array form');
+    }
+
+    async testEngineReadsHouseRules() {
+        console.log('🧪 Testing engine reads cash-out and round rules...');
+
+        const rules = HouseRules.resolve({ minSetSize: 3, maxSetSize: 3, cashOutPoints: { 3: 10 }, maxRounds: 2 });
+        const tagged = id => ({ ...this.createMockToken(id, id, 100), tags: ['A1'] });
+        const state = this.createEngineState({ rules });
+        state.players[0] = { ...state.players[0], hand: [tagged('t1'), tagged('t2'), tagged('t3')] };
+
+        let result = GameEngine.applyAction(state, { type: 'cash_out', tokenIds: ['t1', 't2'] });
+        this.assertEquals(result.events[0].type, 'invalid', 'Set smaller than rules.minSetSize is rejected');
+
+        result = GameEngine.applyAction(state, { type: 'cash_out', tokenIds: ['t1', 't2', 't3'] });
+        this.assertEquals(result.state.players[0].score, 10, 'Cash-out pays from rules.cashOutPoints');
+
+        result = GameEngine.applyAction({ ...state, round: 2 }, { type: 'end_round' });
+        this.assertEquals(result.state.phase, 'gameOver', 'Game ends after rules.maxRounds');
+
+        // The start entry carries the rules, so replays play by the same numbers
+        const config = { playerNames: ['A', 'B'], maxRounds: 2, rules, challengeMode: 'cards', firstGuesser: 0, seed: 'qa-rules' };
+        const replayed = ActionLog.replay([ActionLog.createStartEntry({ ...config, rngState: 0 })]);
+        this.assertEquals(replayed.rules.cashOutPoints[3], 10, 'Replayed game keeps the house rules');
+    }
+
+    async testDraftSizeRule() {
+        this.resetGameState();
+        console.log('🧪 Testing draft size rule limits playable challenges...');
+
+        if (typeof isChallengePlayable === 'function' && CategoryPacks.getTokens('movies').length > 0) {
+            const challenge = { category: 'movies', stat: 'box_office_gross', name: 'Box Office Gross' };
+            const originalPool = gameState.categoryPools.movies;
+
+            gameState.rules = HouseRules.resolve({ draftSize: 8 });
+            gameState.categoryPools.movies = CategoryPacks.getTokens('movies').slice(0, 8);
+            this.assertTrue(isChallengePlayable(challenge), 'Challenge is offered once rules.draftSize tokens are eligible');
+
+            gameState.categoryPools.movies = CategoryPacks.getTokens('movies').slice(0, 7);
+            this.assertFalse(isChallengePlayable(challenge), 'Challenge is hidden below rules.draftSize');
+
+            gameState.categoryPools.movies = originalPool;
+            this.resetGameState();
+        } else {
+            this.fail('isChallengePlayable() or movies pack not found', 'Function or dataset does not exist');
+        }
+    }
+
+    async testOnlineStartWritesPhaseLast() {
+        console.log('🧪 Testing startOnlineGame() writes rules and the log before the phase change...');
+
+        if (typeof startOnlineGame !== 'function') {
+            this.fail('startOnlineGame() function not found', 'Function does not exist');
+            return;
+        }
+
+        const saved = { database: GameModeManager.database, roomCode: localStorage.getItem('currentRoomCode') };
+        const writes = [];
+        const ref = path => ({
+            child: sub => ref(`${path}/${sub}`),
+            once: async () => ({ val: () => (path.endsWith('/players') ? { host: { name: 'Host' } } : null) }),
+            update: async data => { writes.push(`${path.split('/').pop()}:${Object.keys(data).includes('phase') ? 'phase' : 'update'}`); },
+            remove: async () => { writes.push(`${path.split('/').pop()}:remove`); },
+            push: async () => { writes.push(`${path.split('/').pop()}:push`); }
+        });
+
+        try {
+            GameModeManager.setMode('online');
+            GameModeManager.database = { ref };
+            localStorage.setItem('currentRoomCode', 'QAROOM');
+            await startOnlineGame();
+
+            this.assertEquals(writes[writes.length - 1], 'gameState:phase', 'Phase change is the last write', writes.join(' '));
+            this.assertTrue(writes.indexOf('config:update') < writes.indexOf('gameState:phase') && writes.includes('log:push'),
+                'Config and the log start entry are written before clients leave the lobby', writes.join(' '));
+        } finally {
+            GameModeManager.setMode('local');
+            GameModeManager.database = saved.database;
+            if (saved.roomCode === null) localStorage.removeItem('currentRoomCode');
+            else localStorage.setItem('currentRoomCode', saved.roomCode);
+        }
+    }
+
+    // ==================== LAST STANDING BONUS ====================
+
+    async testEngineLastStandingBonus() {
+        console.log('🧪 Testing engine last standing bonus...');
+
+        const roundOver = this.createEngineState({ passedPlayers: new Set([0, 1]), lastToPass: 1 });
+
+        let result = GameEngine.applyAction(roundOver, { type: 'last_standing_bonus' });
+        this.assertEquals(result.state.players[1].score, 1, 'Last standing player gets the default +1');
+        this.assertEquals(result.events[0].points, 1, 'Bonus event reports the points');
+        this.assertTrue(result.state.players[0] === roundOver.players[0], 'Other players are untouched');
+
+        result = GameEngine.applyAction(result.state, { type: 'last_standing_bonus' });
+        this.assertEquals(result.events[0].type, 'invalid', 'Bonus cannot be awarded twice in one round');
+
+        result = GameEngine.applyAction({ ...roundOver, passedPlayers: new Set([0]) }, { type: 'last_standing_bonus' });
+        this.assertEquals(result.events[0].type, 'invalid', 'Bonus waits until the round is over');
+
+        const bigBonus = { ...roundOver, rules: HouseRules.resolve({ lastStandingBonus: 3 }) };
+        result = GameEngine.applyAction(bigBonus, { type: 'last_standing_bonus' });
+        this.assertEquals(result.state.players[1].score, 3, 'Bonus size comes from rules.lastStandingBonus');
+    }
+
+    async testEndRoundAwardsLastStandingBonus() {
+        this.resetGameState();
+        console.log('🧪 Testing endRound() awards last standing bonus once...');
+
+        if (typeof endRound === 'function') {
+            gameState.actionLog = [];
+            gameState.passedPlayers = new Set([0, 1]);
+            gameState.lastToPass = 1;
+
+            endRound();
+
+            this.assertEquals(gameState.players[1].score, 1, 'endRound() adds the bonus to the last standing player');
+            this.assertEquals(gameState.players[0].score, 0, 'Other player gets no bonus');
+
+            const types = gameState.actionLog.slice(0, 2).map(e => e.action.type);
+            this.assertEquals(types.join(','), 'last_standing_bonus,end_round', 'Bonus has its own log entry before end_round');
+            this.assertEquals(gameState.actionLog[0].actor, 1, 'Bonus entry names the last standing player');
+
+            this.resetGameState();
+        } else {
+            this.fail('endRound() function not found', 'Function does not exist');
+        }
+    }
+
+    // ==================== ACTION LOG ====================
+
+    // Helper to play a short scripted game through the engine and log it
+    createMockActionLog() {
+        const config = { playerNames: ['Engine P1', 'Engine P2'], maxRounds: 5, challengeMode: 'cards', firstGuesser: 0, seed: 'qa-log' };
+        const log = [ActionLog.createStartEntry({ ...config, rngState: 0 })];
+        let state = GameEngine.createInitialState(config);
+
+        const tagged = (id, name, value) => ({ ...this.createMockToken(id, name, value), tags: ['A1'] });
+        const actions = [
+            {
+                type: 'start_round',
+                challenge: this.createMockChallenge(),
+                tokens: [tagged('center', 'Center', 500), tagged('high', 'High', 800), tagged('low', 'Low', 200)]
+            },
+            { type: 'guess', direction: 'higher', tokenId: 'high' },
+            { type: 'guess', direction: 'higher', tokenId: 'low' },
+            { type: 'pass' }
+        ];
+        actions.forEach(action => {
+            const result = GameEngine.applyAction(state, action);
+            log.push(ActionLog.createEntry({ seq: log.length, action, before: state, after: result.state, events: result.events, rngState: 0 }));
+            state = result.state;
+        });
+
+        return { log, state };
+    }
+
+    async testActionLogReplay() {
+        console.log('🧪 Testing ActionLog replays a game from its start entry...');
+
+        const { log, state } = this.createMockActionLog();
+
+        const guessEntry = log[2];
+        this.assertEquals(guessEntry.actorName, 'Engine P1', 'Log entry records the actor');
+        this.assertEquals(guessEntry.score, 1, 'Log entry records the resulting score');
+        this.assertEquals(guessEntry.challenge.name, 'Box Office', 'Log entry records the challenge');
+        this.assertTrue(guessEntry.tokens.includes('High'), 'Log entry records the tokens involved');
+
+        const replayed = ActionLog.replay(log);
+        this.assertEquals(JSON.stringify(replayed.players), JSON.stringify(state.players), 'Replay rebuilds the final players');
+        this.assertEquals(replayed.centerToken.id, state.centerToken.id, 'Replay rebuilds the center token');
+
+        this.assertEquals(ActionLog.replay(log, 2).draftPool.length, 2, 'Partial replay rebuilds the state at that point');
+
+        // Firebase returns the log as an object keyed by push id
+        const keyed = { b: log[2], a: log[0], c: log[1] };
+        this.assertEquals(ActionLog.replay(keyed).players[0].score, 1, 'Replay orders keyed log entries by seq');
+    }
+
+    async testActionsAreLogged() {
+        this.resetGameState();
+        console.log('🧪 Testing makeGuess() and passRound() append to the action log...');
+
+        if (typeof makeGuess === 'function' && typeof passRound === 'function') {
+            gameState.actionLog = [];
+            gameState.currentChallenge = this.createMockChallenge();
+            gameState.centerToken = this.createMockToken('center', 'Center', 500);
+            gameState.draftPool = [this.createMockToken('high', 'High', 800)];
+            gameState.selectedDraftToken = gameState.draftPool[0];
+
+            makeGuess('higher');
+            passRound();
+
+            this.assertEquals(gameState.actionLog.length, 2, 'Each move appends one log entry');
+            this.assertEquals(gameState.actionLog[0].action.tokenId, 'high', 'Guess entry names the drafted token');
+            this.assertEquals(gameState.actionLog[0].outcome, 'correct_guess', 'Guess entry records the outcome');
+            this.assertEquals(gameState.actionLog[1].action.type, 'pass', 'Pass entry records the action');
+            this.assertEquals(gameState.actionLog[1].actor, 1, 'Pass entry records the acting player');
+
+            this.resetGameState();
+        } else {
+            this.fail('makeGuess() or passRound() function not found', 'Function does not exist');
+        }
+    }
+
+    async testFailedLogWriteIsReported() {
+        console.log('🧪 Testing a failed action log write is reported...');
+
+        if (typeof appendLogEntry === 'function') {
+            const original = GameModeManager.appendLogEntry;
+            const originalError = console.error;
+            GameModeManager.appendLogEntry = () => Promise.reject(new Error('permission denied'));
+            console.error = () => {};
+            try {
+                appendLogEntry({ seq: 0 });
+                await new Promise(resolve => setTimeout(resolve, 0));
+                const shown = [...document.querySelectorAll('.notification.error')].some(el => el.textContent.includes('game log'));
+                this.assertTrue(shown, 'A rejected log write shows an error notification');
+            } finally {
+                GameModeManager.appendLogEntry = original;
+                console.error = originalError;
+            }
+        } else {
+            this.fail('appendLogEntry() function not found', 'Function does not exist');
+        }
+    }
+
+    // ==================== REPLAY VIEWER ====================
+
+    async testReplayViewerSteps() {
+        console.log('🧪 Testing replay viewer steps through an action log...');
+
+        if (typeof openReplayViewer === 'function') {
+            const { log } = this.createMockActionLog();
+            openReplayViewer(log, 'modeSelectionScreen');
+
+            this.assertTrue(document.getElementById('replayScreen').classList.contains('active'), 'Replay screen is shown');
+            this.assertTrue(document.getElementById('replayBackBtn').disabled, 'Back is disabled on the first step');
+
+            stepReplay(1);
+            this.assertTrue(document.getElementById('replayCenterToken').textContent.includes('Center'), 'Forward shows the round\'s center token');
+            this.assertEquals(document.querySelectorAll('#replayDraftPool .token').length, 2, 'Forward shows the draft pool');
+
+            goToReplayStep(99);
+            this.assertTrue(document.getElementById('replayForwardBtn').disabled, 'Scrubbing past the end stops on the last step');
+            this.assertTrue(document.getElementById('replayPlayersList').textContent.includes('Hand: Center'), 'Last step shows banked tokens in hand');
+
+            stepReplay(-1);
+            this.assertTrue(document.getElementById('replayPlayersList').textContent.includes('This Round: Center'), 'Back shows tokens still in thisRound');
+
+            closeReplayViewer();
+        } else {
+            this.fail('openReplayViewer() function not found', 'Function does not exist');
+        }
+    }
+
+    // ==================== UNDO ====================
+
+    async testUndoRestoresWrongGuess() {
+        this.resetGameState();
+        console.log('🧪 Testing undoLastAction() reverses a wrong guess...');
+
+        if (typeof undoLastAction === 'function') {
+            const player = getPlayerByIndex(0);
+            player.thisRound = [this.createMockToken('kept1', 'Kept 1'), this.createMockToken('kept2', 'Kept 2')];
+            gameState.passedPlayers = new Set([1]);
+            gameState.firstGuesser = 1;
+            gameState.lastToPass = 1;
+            gameState.retiredTokens = [this.createMockToken('retired', 'Retired')];
+            gameState.currentChallenge = this.createMockChallenge();
+            // Undo re-renders straight away, so these tokens need tags
+            gameState.centerToken = { ...this.createMockToken('center', 'Center', 500), tags: [] };
+            gameState.draftPool = [{ ...this.createMockToken('low', 'Low', 200), tags: [] }];
+            gameState.selectedDraftToken = gameState.draftPool[0];
+
+            makeGuess('higher');
+            this.assertEquals(player.thisRound.length, 0, 'Wrong guess wipes thisRound before undo');
+
+            undoLastAction();
+            this.assertEquals(player.thisRound.length, 2, 'Undo restores the lost thisRound tokens');
+            this.assertTrue(gameState.passedPlayers instanceof Set, 'Undo restores passedPlayers as a Set');
+            this.assertTrue(gameState.passedPlayers.has(1) && !gameState.passedPlayers.has(0), 'Undo restores who has passed');
+            this.assertEquals(gameState.firstGuesser, 1, 'Undo restores firstGuesser');
+            this.assertEquals(gameState.lastToPass, 1, 'Undo restores lastToPass');
+            this.assertEquals(gameState.retiredTokens.length, 1, 'Undo restores retiredTokens');
+            this.assertEquals(gameState.selectedDraftToken?.id, 'low', 'Undo restores the drafted token');
+            this.assertEquals(gameState.actionLog[gameState.actionLog.length - 1].action.type, 'undo', 'Undo is recorded in the action log');
+
+            this.resetGameState();
+        } else {
+            this.fail('undoLastAction() function not found', 'Function does not exist');
+        }
+    }
+
+    async testUndoCurrentTurnOnly() {
+        this.resetGameState();
+        console.log('🧪 Testing the undo-current-turn-only house rule...');
+
+        if (typeof undoLastAction === 'function') {
+            gameState.undoCurrentTurnOnly = true;
+
+            passRound();
+            this.assertTrue(canUndo(), 'A player can take back their move until the next player acts');
+
+            passRound();
+            this.assertEquals(gameState.undoStack.length, 1, 'The next player\'s move drops the earlier turn from the stack');
+
+            undoLastAction();
+            this.assertEquals(gameState.passedPlayers.size, 1, 'Undo takes back the last pass only');
+            this.assertEquals(gameState.currentPlayer, 1, 'Undo returns the turn to the player who passed');
+            this.assertFalse(canUndo(), 'The previous player\'s move cannot be undone once the next player acted');
+            this.assertTrue(gameState.passedPlayers.has(0), 'The earlier pass stays');
+
+            // Replaying a log with an undo entry skips the undone move
+            const { log } = this.createMockActionLog();
+            const passEntry = log[log.length - 1];
+            const before = ActionLog.replay(log, log.length - 1);
+            log.push(ActionLog.createUndoEntry({ seq: log.length, undoneEntry: passEntry, after: before, rngState: 0 }));
+            const replayed = ActionLog.replay(log);
+            this.assertEquals(replayed.passedPlayers.size, before.passedPlayers.size, 'Replay of an undo restores passedPlayers');
+            this.assertEquals(replayed.players[0].hand.length, 0, 'Replay of an undo un-banks the tokens');
+
+            this.resetGameState();
+        } else {
+            this.fail('undoLastAction() function not found', 'Function does not exist');
+        }
+    }
+
+    // ==================== TEST RUNNER ====================
+
+    async runAllTests() {
+        console.log('\n🧪 ========== STARTING INTEGRATION QA TEST SUITE ==========\n');
+
+        await this.setupLocalGame();
+
+        // Define test groups
+        const testGroups = [
+            {
+                name: 'Pass Function Integration',
+                tests: [
+                    () => this.testPassRoundFunction(),
+                    () => this.testPassRoundSkipsPassedPlayers(),
+                    () => this.testPassRoundBothPlayersPass(),
+                    () => this.testPlayerCannotPassTwice(),
+                    () => this.testRoundEndsWhenAllPlayersPass()
+                ]
+            },
+            {
+                name: 'Challenge Modal & Card Drawing (V4.44 Fixes)',
+                tests: [
+                    () => this.testChallengeModalAppearsAfterBothPass(),
+                    () => this.testChallengeCardsDrawnWhenSelectedCategoryNull()
+                ]
+            },
+            {
+                name: 'Visual Feedback (V4.42 Fixes)',
+                tests: [
+                    () => this.testLockedOutOverlayAppearsWhenPlayerPasses()
+                ]
+            },
+            {
+                name: 'Round State Management (V4.43 Fixes)',
+                tests: [
+                    () => this.testRoundAdvancementAndStateResetWhenAllPass()
+                ]
+            },
+            {
+                name: 'Correct Guess Integration',
+                tests: [
+                    () => this.testHandleCorrectGuess()
+                ]
+            },
+            // Removed Cash Out test - requires DOM elements that don't exist in test environment
+            {
+                name: 'Turn Advancement Integration',
+                tests: [
+                    () => this.testAdvanceTurnNormal(),
+                    () => this.testAdvanceTurnSkipsPassedPlayers()
+                ]
+            },
+            {
+                name: 'Round Management Integration',
+                tests: [
+                    () => this.testEndRoundClearsPassedPlayers()
+                ]
+            },
+            {
+                name: 'Complete Game Flow',
+                tests: [
+                    () => this.testCompleteGameFlow()
+                ]
+            },
+            {
+                name: 'Round Advancement (V4.81 Fixes)',
+                tests: [
+                    () => this.testRoundAdvancementAfterAllPass(),
+                    () => this.testNoConsecutiveTurnsAfterCorrectGuess(),
+                    () => this.testPassedPlayerCannotGuesss(),
+                    () => this.testEndRoundDoesNotCallStartNewRoundTwice()
+                ]
+            },
+            {
+                name: 'Game Engine (Pure Rules)',
+                tests: [
+                    () => this.testEngineDoesNotMutateInput(),
+                    () => this.testEngineCorrectGuess(),
+                    () => this.testEngineWrongGuess(),
+                    () => this.testEngineCashOut(),
+                    () => this.testEnginePassAndEndRound(),
+                    () => this.testEngineTiePolicies(),
+                    () => this.testEngineBetterWorseDirection()
+                ]
+            },
+            {
+                name: 'Seeded RNG',
+                tests: [
+                    () => this.testSeededRandomIsDeterministic(),
+                    () => this.testSeededTokenDraws(),
+                    () => this.testSeededChallengeCards(),
+                    () => this.testSeededRoomCodes()
+                ]
+            },
+            {
+                name: 'Better/Worse Direction',
+                tests: [
+                    () => this.testBetterWorseGuessButtons()
+                ]
+            },
+            {
+                name: 'Token Eligibility',
+                tests: [
+                    () => this.testDrawTokensSkipsMissingStats(),
+                    () => this.testChallengeNeedsThirteenEligibleTokens(),
+                    () => this.testCarryOverSkipsMissingStats()
+                ]
+            },
+            {
+                name: 'Namespaced Tags',
+                tests: [
+                    () => this.testEngineNamespacedSets(),
+                    () => this.testPlayerTagCountsByCategory(),
+                    () => this.testDatasetTagsAreNamespaced()
+                ]
+            },
+            {
+                name: 'Tag Definitions',
+                tests: [
+                    () => this.testTagDefinitionsCoverDataset(),
+                    () => this.testTagLabelsInUI()
+                ]
+            },
+            {
+                name: 'Tag Derivation',
+                tests: [
+                    () => this.testTagDerivationThresholds(),
+                    () => this.testTagDerivationReportAndRegenerate()
+                ]
+            },
+            {
+                name: 'Dataset Integrity',
+                tests: [
+                    () => this.testShippedDatasetsValidate(),
+                    () => this.testDatasetValidatorCatchesBadData()
+                ]
+            },
+            {
+                name: 'Token Identity',
+                tests: [
+                    () => this.testTokenIdsUniqueAcrossCategories(),
+                    () => this.testCashOutSameCodeAcrossCategories()
+                ]
+            },
+            {
+                name: 'Category Packs',
+                tests: [
+                    () => this.testCategoryPackRegistry(),
+                    () => this.testCustomPackTextIsEscaped(),
+                    () => this.testStartNewRoundOffersEveryPack(),
+                    () => this.testFallbackPacksArePlayable()
+                ]
+            },
+            {
+                name: 'Category Builder',
+                tests: [
+                    () => this.testCategoryBuilderCsvImport(),
+                    () => this.testCustomCategorySaveAndPick()
+                ]
+            },
+            {
+                name: 'Deck Builder',
+                tests: [
+                    () => this.testDeckBuilderFilters(),
+                    () => this.testDeckSeedsCategoryPools()
+                ]
+            },
+            {
+                name: 'Draw Difficulty',
+                tests: [
+                    () => this.testDrawDifficultyShapesSpread(),
+                    () => this.testDrawTokensUsesGameDifficulty()
+                ]
+            },
+            {
+                name: 'Bot Players',
+                tests: [
+                    () => this.testBotPlayerDecisions(),
+                    () => this.testBotPlaysThroughPage(),
+                    () => this.testBotsUseGameSeed(),
+                    () => this.testOnlineBotController(),
+                    () => this.testLobbyListsBotSeats()
+                ]
+            },
+            {
+                name: 'Solo Streak',
+                tests: [
+                    () => this.testSoloStreakRun(),
+                    () => this.testSoloRunOnPage()
+                ]
+            },
+            {
+                name: 'Daily Challenge',
+                tests: [
+                    () => this.testDailyPuzzleSeededByDate(),
+                    () => this.testDailyStreakAndCalendar(),
+                    () => this.testDailyRunOnPage()
+                ]
+            },
+            {
+                name: 'Player Profiles',
+                tests: [
+                    () => this.testPlayerProfilesStats(),
+                    () => this.testProfileSeatsOnPage()
+                ]
+            },
+            {
+                name: 'Round Summary',
+                tests: [
+                    () => this.testEngineRoundSummary(),
+                    () => this.testRoundSummaryContinueGate()
+                ]
+            },
+            {
+                name: 'Last Standing Bonus',
+                tests: [
+                    () => this.testEngineLastStandingBonus(),
+                    () => this.testEndRoundAwardsLastStandingBonus()
+                ]
+            },
+            {
+                name: 'House Rules',
+                tests: [
+                    () => this.testHouseRulesValidation(),
+                    () => this.testEngineReadsHouseRules(),
+                    () => this.testDraftSizeRule(),
+                    () => this.testOnlineStartWritesPhaseLast()
+                ]
+            },
+            {
+                name: 'Action Log',
+                tests: [
+                    () => this.testActionLogReplay(),
+                    () => this.testActionsAreLogged(),
+                    () => this.testFailedLogWriteIsReported()
+                ]
+            },
+            {
+                name: 'Replay Viewer',
+                tests: [
+                    () => this.testReplayViewerSteps()
+                ]
+            },
+            {
+                name: 'Undo (Local Mode)',
+                tests: [
+                    () => this.testUndoRestoresWrongGuess(),
+                    () => this.testUndoCurrentTurnOnly()
+                ]
+            }
+        ];
+
+        // Run all test groups
+        for (const group of testGroups) {
+            console.log(`\n📋 ${group.name} Tests:`);
+            for (const test of group.tests) {
+                await test();
+            }
+        }
+
+        // Generate report and return results
+        return this.generateReport();
+    }
+
+    generateReport() {
+        console.log('\n\n📊 ========== TEST RESULTS ==========\n');
+
+        const passed = this.results.filter(r => r.status === 'PASS').length;
+        const failed = this.results.filter(r => r.status === 'FAIL').length;
+        const total = this.results.length;
+
+        console.log(`Total Tests: ${total}`);
+        console.log(`✅ Passed: ${passed}`);
+        console.log(`❌ Failed: ${failed}`);
+        console.log(`Success Rate: ${((passed/total)*100).toFixed(1)}%`);
+
+        if (failed > 0) {
+            console.log('\n❌ Failed Tests:');
+            this.results
+                .filter(r => r.status === 'FAIL')
+                .forEach(r => console.log(`  - ${r.test}: ${r.message}`));
+        }
+
+        console.log('\n========================================\n');
+
+        return {
+            total,
+            passed,
+            failed,
+            successRate: (passed/total)*100,
+            results: this.results
+        };
+    }
+}
 
 // Global test runner
 window.QATestSuite = QATestSuite;
@@ -1052,4 +3084,11 @@ window.runQATests = async function() {
     return await qa.runAllTests();
 };
 
+// Dataset check: logs DatasetValidator's report and returns the result
+window.runDatasetValidation = function(options = {}) {
+    const result = DatasetValidator.validate(options);
+    console.log(DatasetValidator.formatReport(result));
+    return result;
+};
+
 console.log('✅ Integration QA Test Suite loaded. Run tests with: runQATests()');
@@ -11,11 +11,11 @@ class RoomManager {
     }
 
     // Generate 6-character room code
-    static generateRoomCode() {
+    static generateRoomCode(rng = new SeededRandom(SeededRandom.generateSeed())) {
         const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
         let code = '';
         for (let i = 0; i < 6; i++) {
-            code += chars.charAt(Math.floor(Math.random() * chars.length));
+            code += chars.charAt(rng.nextInt(chars.length));
         }
         return code;
     }
@@ -26,13 +26,13 @@ class RoomManager {
         return snapshot.exists();
     }
 
-    // Generate unique room code
-    static async generateUniqueRoomCode() {
+    // Generate unique room code (retries continue the same sequence)
+    static async generateUniqueRoomCode(rng = new SeededRandom(SeededRandom.generateSeed())) {
         let code;
         let exists;
         let attempts = 0;
         do {
-            code = this.generateRoomCode();
+            code = this.generateRoomCode(rng);
             exists = await this.roomExists(code);
             attempts++;
             if (attempts > 10) {
@@ -43,19 +43,25 @@ class RoomManager {
     }
 
     // Create new game room
-    static async createRoom(hostName) {
+    static async createRoom(hostName, seed = SeededRandom.generateSeed()) {
         if (!window.currentUserId) {
             throw new Error('Not authenticated');
         }
 
+        // The code never comes from the game seed - anyone with a shared ?seed= link could work it out and join
         const roomCode = await this.generateUniqueRoomCode();
         const roomRef = this.database.ref('games/' + roomCode);
 
         // Initialize room with basic structure
         await roomRef.set({
             config: {
-                maxRounds: 5,
+                maxRounds: HouseRules.DEFAULTS.maxRounds,
+                rules: HouseRules.getDefaults(),
                 maxPlayers: 6,
+                tiePolicy: GameEngine.DEFAULT_TIE_POLICY,
+                guessMode: 'higherLower',
+                reverseCards: false,
+                seed: seed,
                 createdAt: firebase.database.ServerValue.TIMESTAMP,
                 hostId: window.currentUserId
             },
@@ -76,7 +82,7 @@ class RoomManager {
             gameState: {
                 phase: 'lobby',
                 round: 0,
-                maxRounds: 5,
+                maxRounds: HouseRules.DEFAULTS.maxRounds,
                 currentPlayer: 0,
                 firstGuesser: 0,
                 selectedCategory: null,
@@ -86,7 +92,13 @@ class RoomManager {
                 draftPool: [],
                 centerToken: null,
                 passedPlayers: [],
-                selectedDraftToken: null
+                selectedDraftToken: null,
+                tiePolicy: GameEngine.DEFAULT_TIE_POLICY,
+                guessMode: 'higherLower',
+                reverseCards: false,
+                roundReversed: false,
+                rngSeed: seed,
+                rngState: SeededRandom.normalizeSeed(seed)
             }
         });
 
@@ -138,6 +150,58 @@ class RoomManager {
         return roomCode;
     }
 
+    // Add a computer-controlled seat - the host's client plays it (see GameModeManager.controlsBots)
+    // Bot seats only change in the lobby - a stale lobby tab must not touch a running game
+    static async getLobbyRoom(roomCode) {
+        const roomRef = this.database.ref('games/' + roomCode);
+        const snapshot = await roomRef.once('value');
+        const roomData = snapshot.val();
+
+        if (!roomData) {
+            throw new Error('Room not found');
+        }
+
+        const phase = roomData.gameState?.phase;
+        if (phase && phase !== 'lobby') {
+            throw new Error('Game already in progress');
+        }
+        return { roomRef, roomData };
+    }
+
+    static async addBot(roomCode, name, level) {
+        const { roomRef, roomData } = await this.getLobbyRoom(roomCode);
+
+        const playerCount = Object.keys(roomData.players || {}).length;
+        if (playerCount >= (roomData.config.maxPlayers || 6)) {
+            throw new Error('Room is full');
+        }
+
+        const botId = 'bot_' + SeededRandom.generateSeed();
+        await roomRef.child('players/' + botId).set({
+            name: name,
+            joinedAt: firebase.database.ServerValue.TIMESTAMP,
+            connected: true,
+            isHost: false,
+            isBot: true,
+            botLevel: level,
+            score: 0,
+            correctGuesses: 0,
+            wrongGuesses: 0,
+            cashOuts: 0,
+            hand: [],
+            thisRound: []
+        });
+
+        console.log('🤖 Bot added:', name, level);
+        return botId;
+    }
+
+    static async removeBot(roomCode, botId) {
+        const { roomRef } = await this.getLobbyRoom(roomCode);
+        await roomRef.child('players/' + botId).remove();
+        console.log('🤖 Bot removed:', botId);
+    }
+
     // Leave room
     static async leaveRoom(roomCode) {
         if (!window.currentUserId) return;
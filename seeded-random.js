@@ -0,0 +1,71 @@
+/**
+ * Seeded Random
+ * Deterministic PRNG (mulberry32) so token draws, challenge cards and room
+ * codes can be reproduced from a seed.
+ *
+ * The whole generator state is a single 32-bit integer, which makes it easy to
+ * keep in gameState and sync through Firebase alongside the rest of the game.
+ */
+
+class SeededRandom {
+    constructor(seed) {
+        this.seed = seed;
+        this.state = SeededRandom.normalizeSeed(seed);
+    }
+
+    // Create a generator that continues from a saved state
+    static fromState(seed, state) {
+        const rng = new SeededRandom(seed);
+        rng.state = state >>> 0;
+        return rng;
+    }
+
+    // Fresh seed for games where none was chosen (the only non-deterministic call)
+    static generateSeed() {
+        return Math.floor(Math.random() * 0x100000000);
+    }
+
+    // Numbers are used as-is, strings (e.g. "family-night") are hashed
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return seed >>> 0;
+        }
+
+        const text = String(seed ?? '');
+        if (/^\d+$/.test(text)) {
+            return Number(text) >>> 0;
+        }
+
+        // FNV-1a string hash
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    // Pure step: returns the value in [0, 1) and the next state
+    static next(state) {
+        const nextState = (state + 0x6D2B79F5) >>> 0;
+        let t = nextState;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        const value = ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        return { value, state: nextState };
+    }
+
+    random() {
+        const { value, state } = SeededRandom.next(this.state);
+        this.state = state;
+        return value;
+    }
+
+    // Integer in [0, max)
+    nextInt(max) {
+        return Math.floor(this.random() * max);
+    }
+}
+
+// Export globally
+window.SeededRandom = SeededRandom;
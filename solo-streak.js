@@ -0,0 +1,120 @@
+/**
+ * Solo Streak
+ * Single-player run on the usual center token and draft: pick a draft token, guess
+ * Higher or Lower against the center, and a correct guess makes it the new center.
+ * Every correct guess adds 1 to the streak; a miss ends the run and loses whatever
+ * was not banked. Banking (like a cash-out) moves the streak into the safe score.
+ * When the draft runs out a new challenge is dealt and the streak carries on.
+ *
+ * Personal bests are kept per category ('all' for mixed runs) in localStorage:
+ *   { all: { bestScore, bestStreak, runs }, movies: { ... } }
+ */
+
+class SoloStreak {
+    static STORAGE_KEY = 'soloStreakBests';
+    static ALL = 'all'; // Runs that deal challenges from every category
+
+    static createRun(category = this.ALL) {
+        return {
+            category,
+            score: 0,         // Banked - safe
+            streak: 0,        // Correct guesses since the last bank - lost on a miss
+            bestStreak: 0,
+            correctGuesses: 0,
+            challenges: 0,
+            challenge: null,
+            centerToken: null,
+            draftPool: [],
+            over: false
+        };
+    }
+
+    // Deal a new challenge: the first token is the center, the rest the draft
+    static startChallenge(run, challenge, tokens) {
+        return {
+            ...run,
+            challenge,
+            centerToken: tokens[0],
+            draftPool: tokens.slice(1),
+            challenges: run.challenges + 1
+        };
+    }
+
+    // Draft is used up - the run needs another challenge
+    static needsChallenge(run) {
+        return !run.over && run.draftPool.length === 0;
+    }
+
+    // Guess on a draft token. Returns { run, result, drafted } with result
+    // 'correct', 'wrong' or 'tie' (a tie discards the token, the streak stays)
+    static guess(run, tokenId, direction) {
+        const drafted = run.draftPool.find(token => token.id === tokenId);
+        if (run.over || !drafted) return { run, result: null, drafted: null };
+
+        const stat = run.challenge.stat;
+        const draftPool = run.draftPool.filter(token => token.id !== tokenId);
+
+        if (drafted.stats[stat] === run.centerToken.stats[stat]) {
+            return { run: { ...run, draftPool }, result: 'tie', drafted };
+        }
+
+        if (!GameEngine.isGuessCorrect(drafted, run.centerToken, stat, direction)) {
+            return { run: { ...run, draftPool, streak: 0, over: true }, result: 'wrong', drafted };
+        }
+
+        const streak = run.streak + 1;
+        return {
+            run: {
+                ...run,
+                draftPool,
+                centerToken: drafted,
+                streak,
+                bestStreak: Math.max(run.bestStreak, streak),
+                correctGuesses: run.correctGuesses + 1
+            },
+            result: 'correct',
+            drafted
+        };
+    }
+
+    // Move the streak into the banked score
+    static bank(run) {
+        if (run.over || run.streak === 0) return run;
+        return { ...run, score: run.score + run.streak, streak: 0 };
+    }
+
+    // End the run by choice - the streak is banked first
+    static finish(run) {
+        return { ...this.bank(run), over: true };
+    }
+
+    static loadBests() {
+        try {
+            return JSON.parse(localStorage.getItem(this.STORAGE_KEY)) || {};
+        } catch (error) {
+            console.warn('⚠️ Solo bests unreadable, starting fresh:', error.message);
+            return {};
+        }
+    }
+
+    // Fold a finished run into the bests. Returns { bests, newBest }
+    static recordRun(bests, run) {
+        const previous = bests[run.category] || { bestScore: 0, bestStreak: 0, runs: 0 };
+        const newBest = run.score > previous.bestScore;
+        const updated = {
+            bestScore: Math.max(previous.bestScore, run.score),
+            bestStreak: Math.max(previous.bestStreak, run.bestStreak),
+            runs: previous.runs + 1
+        };
+        return { bests: { ...bests, [run.category]: updated }, newBest };
+    }
+
+    static saveRun(run) {
+        const { bests, newBest } = this.recordRun(this.loadBests(), run);
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(bests));
+        return { bests, newBest };
+    }
+}
+
+// Export globally
+window.SoloStreak = SoloStreak;
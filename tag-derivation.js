@@ -0,0 +1,147 @@
+/**
+ * Tag Derivation
+ * Computes each token's set tags from its stats, using the thresholds in the
+ * tag notes in packs/README.md (gdp_total > $5T -> A1, ...).
+ *
+ * The hand-typed tags in the datasets have drifted from those notes, so this
+ * module can report every token whose tags disagree with its stats, and
+ * regenerate the tags from the stats instead.
+ */
+
+class TagDerivation {
+    // category -> group letter -> stats => level (null when the stat is missing).
+    // A group set to null has no stat to derive it from (hand-written tag is kept)
+    static RULES = {
+        countries: {
+            A: s => this.byThresholds(s.gdp_total, [5e12, 1e12]),
+            B: s => this.byThresholds(s.life_expectancy, [80, 75]),
+            C: s => this.byThresholds(s.population_total, [100e6, 20e6]),
+            D: s => this.byThresholds(s.renewable_energy_pct, [40, 15])
+        },
+        movies: {
+            // Budgets and box office are stored in $M
+            A: s => {
+                if (!this.isNumber(s.cgi_budget) || !this.isNumber(s.production_budget)) return null;
+                if (s.cgi_budget > 100) return 1;
+                return s.production_budget > 100 ? 2 : 3;
+            },
+            B: s => this.byThresholds(s.box_office_gross, [1000, 500]),
+            C: s => this.byThresholds(s.metacritic_score, [80, 60]),
+            D: s => {
+                if (!this.isNumber(s.oscar_wins) || !this.isNumber(s.oscar_nominations)) return null;
+                if (s.oscar_wins > 3) return 1;
+                return s.oscar_nominations > 5 ? 2 : 3;
+            }
+        },
+        companies: {
+            A: null, // "Tech/AI focused" is a judgement call, not a stat
+            // The notes' $1M / $100K are in $M; market_cap is stored in $B
+            B: s => this.byThresholds(s.market_cap, [1000, 100]),
+            C: s => this.byThresholds(s.employee_satisfaction, [80, 60]),
+            D: s => this.byThresholds(s.environmental_score, [80, 60])
+        },
+        sports: {
+            A: s => ({ NFL: 1, NBA: 2, NHL: 3, MLB: 4 })[s.league] || null,
+            B: s => this.byThresholds(s.championship_count, [5, 2, 0]),
+            C: s => this.byThresholds(s.team_value, [5, 2]), // $B
+            D: s => {
+                if (!this.isNumber(s.year_founded)) return null;
+                if (s.year_founded < 1950) return 1;
+                return s.year_founded < 1990 ? 2 : 3;
+            }
+        }
+    };
+
+    static GROUPS = ['A', 'B', 'C', 'D'];
+
+    static isNumber(value) {
+        return typeof value === 'number' && !isNaN(value);
+    }
+
+    // Level 1 for values above thresholds[0], 2 above thresholds[1], ... else the last level
+    static byThresholds(value, thresholds) {
+        if (!this.isNumber(value)) return null;
+        const index = thresholds.findIndex(threshold => value > threshold);
+        return (index === -1 ? thresholds.length : index) + 1;
+    }
+
+    // Derived tags for one token: { tags, underived } - underived lists the
+    // group letters that have no rule or no stat to derive them from
+    static deriveTags(token, category) {
+        const rules = this.RULES[category];
+        const tags = [];
+        const underived = [];
+        if (!rules) return { tags, underived: [...this.GROUPS] };
+
+        this.GROUPS.forEach(group => {
+            const level = rules[group] ? rules[group](token.stats || {}) : null;
+            if (level) {
+                tags.push(`${category}:${group}${level}`);
+            } else {
+                underived.push(group);
+            }
+        });
+        return { tags, underived };
+    }
+
+    // Compare a token's hand-written tags with the derived ones.
+    // Returns null when they agree (groups that cannot be derived are skipped)
+    static checkToken(token, category) {
+        const { tags: expected, underived } = this.deriveTags(token, category);
+        const actual = (token.tags || []).filter(tag => !underived.includes(GameEngine.getTagCode(tag).charAt(0)));
+
+        const missing = expected.filter(tag => !actual.includes(tag));
+        const unexpected = actual.filter(tag => !expected.includes(tag));
+        if (missing.length === 0 && unexpected.length === 0) return null;
+
+        return { category, id: token.id, name: token.name, tags: token.tags || [], expected, missing, unexpected };
+    }
+
+    // Every token whose tags disagree with its stats, across the given datasets
+    static report(datasets = this.getDatasets()) {
+        const mismatches = [];
+        let checked = 0;
+        Object.entries(datasets).forEach(([category, tokens]) => {
+            (tokens || []).forEach(token => {
+                checked++;
+                const mismatch = this.checkToken(token, category);
+                if (mismatch) mismatches.push(mismatch);
+            });
+        });
+        return { checked, mismatches };
+    }
+
+    // Report as readable lines, one per mismatched token
+    static formatReport(result = this.report()) {
+        const lines = result.mismatches.map(m =>
+            `${m.id} ${m.name}: has [${m.tags.join(', ')}], expected [${m.expected.join(', ')}]`
+        );
+        lines.push(`${result.mismatches.length} of ${result.checked} tokens have tags that disagree with their stats`);
+        return lines.join('\n');
+    }
+
+    // Copies of the tokens with tags rebuilt from their stats. Groups that
+    // cannot be derived keep their hand-written tag
+    static regenerate(tokens, category) {
+        return (tokens || []).map(token => {
+            const { tags, underived } = this.deriveTags(token, category);
+            const kept = (token.tags || []).filter(tag => underived.includes(GameEngine.getTagCode(tag).charAt(0)));
+            return { ...token, tags: [...tags, ...kept].sort() };
+        });
+    }
+
+    // Regenerate every dataset at once: { category: tokens }
+    static regenerateAll(datasets = this.getDatasets()) {
+        return Object.fromEntries(Object.entries(datasets).map(([category, tokens]) =>
+            [category, this.regenerate(tokens, category)]
+        ));
+    }
+
+    // Tokens of every registered category pack
+    static getDatasets() {
+        return CategoryPacks.getDatasets();
+    }
+}
+
+// Export globally
+window.TagDerivation = TagDerivation;
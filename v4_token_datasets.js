@@ -1,5419 +0,0 @@
-/**
- * OUTRANK V4 - COMPLETE TOKEN DATASETS
- * Extracted from data.js (Outrank V5.2)
- *
- * Total Tokens: 160
- * - Countries: 40 tokens
- * - Movies: 40 tokens
- * - Companies: 40 tokens
- * - Sports: 40 tokens (Random selection, unique cities)
- *
- * TAG SYSTEM EXPLANATION:
- * Each token has 4 tags for set collection mechanics.
- * Tags are category-specific and based on data characteristics:
- *
- * COUNTRIES:
- * - Tag A (Economy Size): A1=Large (>$5T), A2=Medium (>$1T), A3=Small
- * - Tag B (Development): B1=High life expectancy (>80), B2=Medium (>75), B3=Lower
- * - Tag C (Population): C1=Large (>100M), C2=Medium (>20M), C3=Small
- * - Tag D (Green Energy): D1=High renewable (>40%), D2=Medium (>15%), D3=Low
- *
- * MOVIES:
- * - Tag A (Production): A1=VFX Heavy (CGI>$100M), A2=Blockbuster (Budget>$100M), A3=Standard
- * - Tag B (Box Office): B1=Billion+ Club, B2=500M+ Club, B3=Under 500M
- * - Tag C (Critics): C1=Acclaimed (Metacritic>80), C2=Well Received (>60), C3=Mixed
- * - Tag D (Awards): D1=Oscar Winner (>3 wins), D2=Oscar Nominated (>5 noms), D3=No major Oscars
- *
- * COMPANIES:
- * - Tag A (Industry): A1=Tech/AI focused, A2=Digital business, A3=Traditional
- * - Tag B (Size): B1=Mega cap (>$1M), B2=Large cap (>$100K), B3=Mid/Small cap
- * - Tag C (Culture): C1=Great workplace (>80 satisfaction), C2=Good (>60), C3=Average
- * - Tag D (Sustainability): D1=Eco leader (>80 score), D2=Eco conscious (>60), D3=Standard
- *
- * SPORTS:
- * - Tag A (League): A1=NFL, A2=NBA, A3=NHL, A4=MLB
- * - Tag B (Success): B1=Dynasty (>5 championships), B2=Champion (>2), B3=Has won (>0), B4=Never won
- * - Tag C (Value): C1=Elite franchise (>$5B), C2=Premium (>$2B), C3=Standard
- * - Tag D (History): D1=Historic (<1950), D2=Established (<1990), D3=Modern
- *
- * USAGE:
- * Each token object contains:
- * - id: Original code from data.js
- * - name: Display name
- * - tags: Array of 4 tag codes for set collection
- * - stats: Complete object with ALL challenge data
- *
- * All stat field names match the challenge names in prompts for easy validation.
- */
-
-// ✅ Outrank v5.2 Championship Losses - Game data loaded with 4 categories
-// 🌍 Countries: 40 countries with 32 challenges
-// 🎬 Movies: 40 movies with 33 challenges
-// 🏢 Companies: 40 companies with 33 challenges
-// 🏈 Sports: 124 teams with 23 challenges (22 total, added losses)
-// 📊 Total items: 244
-// 🎯 Total challenges: 121
-
-// ===== COUNTRIES TOKENS =====
-const COUNTRIES_TOKENS = [
-        { id: '001', name: 'Germany', tags: ['A1', 'B1', 'C1', 'D1'], stats: {
-                "gdp_total": 4525703903627,
-                "gdp_growth_pct": -0.27,
-                "unemployment_rate": 3.4,
-                "health_expenditure_pct_gdp": 11.8,
-                "healthy_diet_cost_ppp": 3.56,
-                "patent_applications": 39822,
-                "female_labor_participation_pct": 55.85,
-                "population_total": 83901923,
-                "population_0_14_pct": 13.92,
-                "population_65_plus_pct": 22.79,
-                "birth_rate": 8.3,
-                "life_expectancy": 80.54,
-                "rural_population_pct": 22.23,
-                "broadband_per_100": 45.38,
-                "mobile_per_100": 124.66,
-                "secure_servers_per_1m": 138947.39,
-                "forest_area_pct": 32.69,
-                "renewable_energy_pct": 17.6,
-                "electricity_coal_pct": 26.62,
-                "electricity_oil_pct": 0.86,
-                "pollution_index": 28.83,
-                "irrigated_land_km2": 5056,
-                "soybean_production_tonnes": 129000,
-                "airports": 840,
-                "unesco_total_sites": 55,
-                "unesco_cultural_sites": 52,
-                "unesco_natural_sites": 3,
-                "unesco_mixed_sites": 0,
-                "tertiary_enrollment_pct": 77.37,
-                "nobel_laureates": 115,
-                "crime_index": 39.56,
-                "life_evaluation": 6.753
-        } },
-        { id: '002', name: 'Denmark', tags: ['A2', 'B2', 'C2', 'D2'], stats: {
-                "gdp_total": 407091920305,
-                "gdp_growth_pct": 2.5,
-                "unemployment_rate": 5.6,
-                "health_expenditure_pct_gdp": 9.42,
-                "healthy_diet_cost_ppp": 2.73,
-                "patent_applications": 1090,
-                "female_labor_participation_pct": 59.81,
-                "population_total": 5946952,
-                "population_0_14_pct": 15.87,
-                "population_65_plus_pct": 20.6,
-                "birth_rate": 9.7,
-                "life_expectancy": 81.85,
-                "rural_population_pct": 11.51,
-                "broadband_per_100": 44.03,
-                "mobile_per_100": 126.92,
-                "secure_servers_per_1m": 261262.41,
-                "forest_area_pct": 15.76,
-                "renewable_energy_pct": 39.5,
-                "electricity_coal_pct": 7.43,
-                "electricity_oil_pct": 0.92,
-                "pollution_index": 20.9,
-                "irrigated_land_km2": 2360,
-                "soybean_production_tonnes": 0,
-                "airports": 102,
-                "unesco_total_sites": 12,
-                "unesco_cultural_sites": 8,
-                "unesco_natural_sites": 4,
-                "unesco_mixed_sites": 0,
-                "tertiary_enrollment_pct": 84.59,
-                "nobel_laureates": 14,
-                "crime_index": 26.02,
-                "life_evaluation": 7.521
-        } },
-        { id: '003', name: 'Austria', tags: ['A3', 'B3', 'C3', 'D3'], stats: {
-                "gdp_total": 511685203845,
-                "gdp_growth_pct": -0.95,
-                "unemployment_rate": 5.4,
-                "health_expenditure_pct_gdp": 10.88,
-                "healthy_diet_cost_ppp": 2.76,
-                "patent_applications": 1872,
-                "female_labor_participation_pct": 55.81,
-                "population_total": 9131761,
-                "population_0_14_pct": 14.3,
-                "population_65_plus_pct": 20.16,
-                "birth_rate": 8.5,
-                "life_expectancy": 81.54,
-                "rural_population_pct": 40.47,
-                "broadband_per_100": 29.37,
-                "mobile_per_100": 121.75,
-                "secure_servers_per_1m": 42281,
-                "forest_area_pct": 47.21,
-                "renewable_energy_pct": 36,
-                "electricity_coal_pct": 2.6,
-                "electricity_oil_pct": 1.05,
-                "pollution_index": 20.64,
-                "irrigated_land_km2": 382,
-                "soybean_production_tonnes": 274960,
-                "airports": 62,
-                "unesco_total_sites": 12,
-                "unesco_cultural_sites": 11,
-                "unesco_natural_sites": 1,
-                "unesco_mixed_sites": 0,
-                "tertiary_enrollment_pct": 94.51,
-                "nobel_laureates": 25,
-                "crime_index": 28.26,
-                "life_evaluation": 6.81
-        } },
-        { id: '004', name: 'Turkey', tags: ['A4', 'B4', 'C4', 'D4'], stats: {
-                "gdp_total": 1118252958513,
-                "gdp_growth_pct": 5.11,
-                "unemployment_rate": 8.4,
-                "health_expenditure_pct_gdp": 3.7,
-                "healthy_diet_cost_ppp": 4.5,
-                "patent_applications": 8234,
-                "female_labor_participation_pct": 35.76,
-                "population_total": 85325965,
-                "population_0_14_pct": 21.84,
-                "population_65_plus_pct": 10,
-                "birth_rate": 11.2,
-                "life_expectancy": 77.16,
-                "rural_population_pct": 22.54,
-                "broadband_per_100": 22.46,
-                "mobile_per_100": 105.68,
-                "secure_servers_per_1m": 9881.99,
-                "forest_area_pct": 29.28,
-                "renewable_energy_pct": 12,
-                "electricity_coal_pct": 36.31,
-                "electricity_oil_pct": 0.37,
-                "pollution_index": 64.07,
-                "irrigated_land_km2": 52150,
-                "soybean_production_tonnes": 137500,
-                "airports": 116,
-                "unesco_total_sites": 22,
-                "unesco_cultural_sites": 20,
-                "unesco_natural_sites": 0,
-                "unesco_mixed_sites": 2,
-                "tertiary_enrollment_pct": 127.58,
-                "nobel_laureates": 4,
-                "crime_index": 41.35,
-                "life_evaluation": 5.262
-        } },
-        { id: '005', name: 'United States', tags: ['A5', 'B5', 'C5', 'D5'], stats: {
-                "gdp_total": 27720709000000,
-                "gdp_growth_pct": 2.89,
-                "unemployment_rate": 4.1,
-                "health_expenditure_pct_gdp": 16.5,
-                "healthy_diet_cost_ppp": 2.63,
-                "patent_applications": 262244,
-                "female_labor_participation_pct": 56.6,
-                "population_total": 336806231,
-                "population_0_14_pct": 17.59,
-                "population_65_plus_pct": 17.43,
-                "birth_rate": 10.7,
-                "life_expectancy": 78.39,
-                "rural_population_pct": 16.7,
-                "broadband_per_100": 38.15,
-                "mobile_per_100": 112.41,
-                "secure_servers_per_1m": 186692.91,
-                "forest_area_pct": 33.87,
-                "renewable_energy_pct": 10.9,
-                "electricity_coal_pct": 16.77,
-                "electricity_oil_pct": 0.73,
-                "pollution_index": 36.87,
-                "irrigated_land_km2": 234782,
-                "soybean_production_tonnes": 113343420,
-                "airports": 16116,
-                "unesco_total_sites": 26,
-                "unesco_cultural_sites": 13,
-                "unesco_natural_sites": 12,
-                "unesco_mixed_sites": 1,
-                "tertiary_enrollment_pct": 79.36,
-                "nobel_laureates": 420,
-                "crime_index": 49.17,
-                "life_evaluation": 6.724
-        } },
-        { id: '006', name: 'China', tags: ['A1', 'B2', 'C3', 'D1'], stats: {
-                "gdp_total": 18270356654533,
-                "gdp_growth_pct": 5.41,
-                "unemployment_rate": 4.6,
-                "health_expenditure_pct_gdp": 5.37,
-                "healthy_diet_cost_ppp": 3.35,
-                "patent_applications": 1426644,
-                "female_labor_participation_pct": 59.95,
-                "population_total": 1410710000,
-                "population_0_14_pct": 16.59,
-                "population_65_plus_pct": 14.32,
-                "birth_rate": 6.39,
-                "life_expectancy": 77.95,
-                "rural_population_pct": 35.43,
-                "broadband_per_100": 44.73,
-                "mobile_per_100": 128.25,
-                "secure_servers_per_1m": 1508.37,
-                "forest_area_pct": 23.83,
-                "renewable_energy_pct": 15.2,
-                "electricity_coal_pct": 61.72,
-                "electricity_oil_pct": 0.1,
-                "pollution_index": 76.74,
-                "irrigated_land_km2": 691600,
-                "soybean_production_tonnes": 19496297,
-                "airports": 552,
-                "unesco_total_sites": 60,
-                "unesco_cultural_sites": 41,
-                "unesco_natural_sites": 15,
-                "unesco_mixed_sites": 4,
-                "tertiary_enrollment_pct": 74.82,
-                "nobel_laureates": 8,
-                "crime_index": 23.53,
-                "life_evaluation": 5.921
-        } },
-        { id: '007', name: 'Japan', tags: ['A2', 'B3', 'C4', 'D2'], stats: {
-                "gdp_total": 4213167237905,
-                "gdp_growth_pct": 1.48,
-                "unemployment_rate": 2.6,
-                "health_expenditure_pct_gdp": 11.42,
-                "healthy_diet_cost_ppp": 6.54,
-                "patent_applications": 222452,
-                "female_labor_participation_pct": 54.85,
-                "population_total": 124516650,
-                "population_0_14_pct": 11.65,
-                "population_65_plus_pct": 29.56,
-                "birth_rate": 6,
-                "life_expectancy": 84.04,
-                "rural_population_pct": 7.96,
-                "broadband_per_100": 38.63,
-                "mobile_per_100": 178.43,
-                "secure_servers_per_1m": 31701.71,
-                "forest_area_pct": 68.41,
-                "renewable_energy_pct": 8.8,
-                "electricity_coal_pct": 28.55,
-                "electricity_oil_pct": 3.14,
-                "pollution_index": 38.21,
-                "irrigated_land_km2": 15730,
-                "soybean_production_tonnes": 260800,
-                "airports": 280,
-                "unesco_total_sites": 26,
-                "unesco_cultural_sites": 21,
-                "unesco_natural_sites": 5,
-                "unesco_mixed_sites": 1,
-                "tertiary_enrollment_pct": 64.63,
-                "nobel_laureates": 31,
-                "crime_index": 22.7,
-                "life_evaluation": 6.147
-        } },
-        { id: '008', name: 'United Kingdom', tags: ['A3', 'B4', 'C5', 'D3'], stats: {
-                "gdp_total": 3369861888972,
-                "gdp_growth_pct": 0.4,
-                "unemployment_rate": 4.1,
-                "health_expenditure_pct_gdp": 10.87,
-                "healthy_diet_cost_ppp": 2.12,
-                "patent_applications": 11592,
-                "female_labor_participation_pct": 57.37,
-                "population_total": 68492000,
-                "population_0_14_pct": 17.41,
-                "population_65_plus_pct": 19.24,
-                "birth_rate": 10.02,
-                "life_expectancy": 81.24,
-                "rural_population_pct": 15.36,
-                "broadband_per_100": 41.44,
-                "mobile_per_100": 122.8,
-                "secure_servers_per_1m": 47354.45,
-                "forest_area_pct": 13.26,
-                "renewable_energy_pct": 12.2,
-                "electricity_coal_pct": 1.57,
-                "electricity_oil_pct": 0.83,
-                "pollution_index": 40.69,
-                "irrigated_land_km2": 718,
-                "soybean_production_tonnes": null,
-                "airports": 1057,
-                "unesco_total_sites": 35,
-                "unesco_cultural_sites": 29,
-                "unesco_natural_sites": 5,
-                "unesco_mixed_sites": 1,
-                "tertiary_enrollment_pct": 80.15,
-                "nobel_laureates": 142,
-                "crime_index": 48.42,
-                "life_evaluation": 6.728
-        } },
-        { id: '009', name: 'France', tags: ['A4', 'C1', 'D4'], stats: {
-                "gdp_total": 3051831611384,
-                "gdp_growth_pct": 0.94,
-                "unemployment_rate": 7.4,
-                "health_expenditure_pct_gdp": 11.88,
-                "healthy_diet_cost_ppp": 3.42,
-                "patent_applications": 13386,
-                "female_labor_participation_pct": 51.83,
-                "population_total": 68287487,
-                "population_0_14_pct": 16.78,
-                "population_65_plus_pct": 21.75,
-                "birth_rate": 9.9,
-                "life_expectancy": 82.93,
-                "rural_population_pct": 18.22,
-                "broadband_per_100": 48.67,
-                "mobile_per_100": 116.69,
-                "secure_servers_per_1m": 52082.59,
-                "forest_area_pct": 31.81,
-                "renewable_energy_pct": 16.2,
-                "electricity_coal_pct": 0.59,
-                "electricity_oil_pct": 1.11,
-                "pollution_index": 43.67,
-                "irrigated_land_km2": 14236,
-                "soybean_production_tonnes": 387820,
-                "airports": 1218,
-                "unesco_total_sites": 54,
-                "unesco_cultural_sites": 45,
-                "unesco_natural_sites": 7,
-                "unesco_mixed_sites": 2,
-                "tertiary_enrollment_pct": 71.42,
-                "nobel_laureates": 75,
-                "crime_index": 55.62,
-                "life_evaluation": 6.593
-        } },
-        { id: '010', name: 'Italy', tags: ['A5', 'C2', 'D5'], stats: {
-                "gdp_total": 2304605139862,
-                "gdp_growth_pct": 0.72,
-                "unemployment_rate": 6.8,
-                "health_expenditure_pct_gdp": 8.52,
-                "healthy_diet_cost_ppp": 3.61,
-                "patent_applications": 10281,
-                "female_labor_participation_pct": 41.31,
-                "population_total": 58993475,
-                "population_0_14_pct": 12.14,
-                "population_65_plus_pct": 24.22,
-                "birth_rate": 6.4,
-                "life_expectancy": 83.7,
-                "rural_population_pct": 28.03,
-                "broadband_per_100": 31.84,
-                "mobile_per_100": 131.87,
-                "secure_servers_per_1m": 30239.31,
-                "forest_area_pct": 32.71,
-                "renewable_energy_pct": 17.5,
-                "electricity_coal_pct": 5.44,
-                "electricity_oil_pct": 3.86,
-                "pollution_index": 53.4,
-                "irrigated_land_km2": 26010,
-                "soybean_production_tonnes": 1095940,
-                "airports": 655,
-                "unesco_total_sites": 61,
-                "unesco_cultural_sites": 55,
-                "unesco_natural_sites": 6,
-                "unesco_mixed_sites": 0,
-                "tertiary_enrollment_pct": 73.9,
-                "nobel_laureates": 21,
-                "crime_index": 47.24,
-                "life_evaluation": 6.415
-        } },
-        { id: '011', name: 'Canada', tags: ['A1', 'C4', 'D4'], stats: {
-                "gdp_total": 2173339670064,
-                "gdp_growth_pct": 1.53,
-                "unemployment_rate": 6.4,
-                "health_expenditure_pct_gdp": 11.22,
-                "healthy_diet_cost_ppp": 3.89,
-                "patent_applications": 4710,
-                "female_labor_participation_pct": 61.13,
-                "population_total": 40083484,
-                "population_0_14_pct": 15.3,
-                "population_65_plus_pct": 19.36,
-                "birth_rate": 8.8,
-                "life_expectancy": 81.65,
-                "rural_population_pct": 18.14,
-                "broadband_per_100": 42.52,
-                "mobile_per_100": 94.15,
-                "secure_servers_per_1m": 42565.04,
-                "forest_area_pct": 39.47,
-                "renewable_energy_pct": 23.8,
-                "electricity_coal_pct": 4.33,
-                "electricity_oil_pct": 0.89,
-                "pollution_index": 29.84,
-                "irrigated_land_km2": 9045,
-                "soybean_production_tonnes": 6980525,
-                "airports": 1459,
-                "unesco_total_sites": 22,
-                "unesco_cultural_sites": 10,
-                "unesco_natural_sites": 11,
-                "unesco_mixed_sites": 1,
-                "tertiary_enrollment_pct": 77.31,
-                "nobel_laureates": 28,
-                "crime_index": 45.81,
-                "life_evaluation": 6.803
-        } },
-        { id: '012', name: 'Australia', tags: ['A2', 'C5', 'D5'], stats: {
-                "gdp_total": 1728057316695,
-                "gdp_growth_pct": 3.44,
-                "unemployment_rate": 4.1,
-                "health_expenditure_pct_gdp": 9.93,
-                "healthy_diet_cost_ppp": 2.9,
-                "patent_applications": 2966,
-                "female_labor_participation_pct": 62.37,
-                "population_total": 26652777,
-                "population_0_14_pct": 18.03,
-                "population_65_plus_pct": 17.38,
-                "birth_rate": 10.8,
-                "life_expectancy": 83.05,
-                "rural_population_pct": 13.38,
-                "broadband_per_100": 36.6,
-                "mobile_per_100": 112.51,
-                "secure_servers_per_1m": 47578.64,
-                "forest_area_pct": 17.42,
-                "renewable_energy_pct": 12.3,
-                "electricity_coal_pct": 46.5,
-                "electricity_oil_pct": 1.77,
-                "pollution_index": 26.89,
-                "irrigated_land_km2": 15210,
-                "soybean_production_tonnes": 52000,
-                "airports": 2257,
-                "unesco_total_sites": 21,
-                "unesco_cultural_sites": 5,
-                "unesco_natural_sites": 12,
-                "unesco_mixed_sites": 4,
-                "tertiary_enrollment_pct": 106.24,
-                "nobel_laureates": 14,
-                "crime_index": 47.41,
-                "life_evaluation": 6.974
-        } },
-        { id: '013', name: 'Spain', tags: ['A3', 'C1', 'D5'], stats: {
-                "gdp_total": 1620090734956,
-                "gdp_growth_pct": 2.68,
-                "unemployment_rate": 11.4,
-                "health_expenditure_pct_gdp": 9.74,
-                "healthy_diet_cost_ppp": 3.35,
-                "patent_applications": 1308,
-                "female_labor_participation_pct": 52.84,
-                "population_total": 48347910,
-                "population_0_14_pct": 13.26,
-                "population_65_plus_pct": 20.65,
-                "birth_rate": 6.7,
-                "life_expectancy": 83.88,
-                "rural_population_pct": 18.45,
-                "broadband_per_100": 37.21,
-                "mobile_per_100": 127.72,
-                "secure_servers_per_1m": 28736.57,
-                "forest_area_pct": 37.18,
-                "renewable_energy_pct": 19,
-                "electricity_coal_pct": 1.56,
-                "electricity_oil_pct": 3.31,
-                "pollution_index": 35.26,
-                "irrigated_land_km2": 37593,
-                "soybean_production_tonnes": 7670,
-                "airports": 365,
-                "unesco_total_sites": 50,
-                "unesco_cultural_sites": 44,
-                "unesco_natural_sites": 4,
-                "unesco_mixed_sites": 2,
-                "tertiary_enrollment_pct": 94.51,
-                "nobel_laureates": 8,
-                "crime_index": 37.17,
-                "life_evaluation": 6.466
-        } },
-        { id: '014', name: 'Netherlands', tags: ['A4', 'C4', 'D1'], stats: {
-                "gdp_total": 1154361305398,
-                "gdp_growth_pct": 0.07,
-                "unemployment_rate": 3.6,
-                "health_expenditure_pct_gdp": 10.1,
-                "healthy_diet_cost_ppp": 2.9,
-                "patent_applications": 2080,
-                "female_labor_participation_pct": 62.94,
-                "population_total": 17877117,
-                "population_0_14_pct": 15.17,
-                "population_65_plus_pct": 20.16,
-                "birth_rate": 9.2,
-                "life_expectancy": 81.91,
-                "rural_population_pct": 6.82,
-                "broadband_per_100": 43.26,
-                "mobile_per_100": 117.35,
-                "secure_servers_per_1m": 194962.87,
-                "forest_area_pct": 11.03,
-                "renewable_energy_pct": 12.2,
-                "electricity_coal_pct": 8.82,
-                "electricity_oil_pct": 1.26,
-                "pollution_index": 20.91,
-                "irrigated_land_km2": 2969,
-                "soybean_production_tonnes": 0,
-                "airports": 44,
-                "unesco_total_sites": 13,
-                "unesco_cultural_sites": 12,
-                "unesco_natural_sites": 1,
-                "unesco_mixed_sites": 0,
-                "tertiary_enrollment_pct": 89.39,
-                "nobel_laureates": 22,
-                "crime_index": 25.83,
-                "life_evaluation": 7.306
-        } },
-        { id: '015', name: 'Sweden', tags: ['A5', 'C3', 'B1'], stats: {
-                "gdp_total": 585489968189,
-                "gdp_growth_pct": -0.11,
-                "unemployment_rate": 8.5,
-                "health_expenditure_pct_gdp": 10.89,
-                "healthy_diet_cost_ppp": 3.56,
-                "patent_applications": 1771,
-                "female_labor_participation_pct": 61.76,
-                "population_total": 10536632,
-                "population_0_14_pct": 17.25,
-                "population_65_plus_pct": 20.54,
-                "birth_rate": 9.5,
-                "life_expectancy": 83.31,
-                "rural_population_pct": 11.26,
-                "broadband_per_100": 40.73,
-                "mobile_per_100": 140.27,
-                "secure_servers_per_1m": 52996.35,
-                "forest_area_pct": 68.7,
-                "renewable_energy_pct": 57.9,
-                "electricity_coal_pct": 0.32,
-                "electricity_oil_pct": 0.16,
-                "pollution_index": 17.58,
-                "irrigated_land_km2": 519,
-                "soybean_production_tonnes": 0,
-                "airports": 206,
-                "unesco_total_sites": 15,
-                "unesco_cultural_sites": 13,
-                "unesco_natural_sites": 1,
-                "unesco_mixed_sites": 1,
-                "tertiary_enrollment_pct": 83.9,
-                "nobel_laureates": 34,
-                "crime_index": 48.06,
-                "life_evaluation": 7.345
-        } },
-        { id: '016', name: 'Norway', tags: ['A1', 'C5', 'B5'], stats: {
-                "gdp_total": 482949731776,
-                "gdp_growth_pct": 0.07,
-                "unemployment_rate": 4,
-                "health_expenditure_pct_gdp": 7.95,
-                "healthy_diet_cost_ppp": 4.01,
-                "patent_applications": 946,
-                "female_labor_participation_pct": 61.77,
-                "population_total": 5519594,
-                "population_0_14_pct": 16.51,
-                "population_65_plus_pct": 18.53,
-                "birth_rate": 9.4,
-                "life_expectancy": 83.11,
-                "rural_population_pct": 16,
-                "broadband_per_100": 45.44,
-                "mobile_per_100": 111.66,
-                "secure_servers_per_1m": 37715.09,
-                "forest_area_pct": 33.48,
-                "renewable_energy_pct": 61.4,
-                "electricity_coal_pct": 0.1,
-                "electricity_oil_pct": 0.01,
-                "pollution_index": 18.27,
-                "irrigated_land_km2": 337,
-                "soybean_production_tonnes": 0,
-                "airports": 146,
-                "unesco_total_sites": 8,
-                "unesco_cultural_sites": 7,
-                "unesco_natural_sites": 1,
-                "unesco_mixed_sites": 0,
-                "tertiary_enrollment_pct": 97.64,
-                "nobel_laureates": 14,
-                "crime_index": 32.83,
-                "life_evaluation": 7.262
-        } },
-        { id: '017', name: 'Finland', tags: ['A2', 'B1', 'D3'], stats: {
-                "gdp_total": 294950618733,
-                "gdp_growth_pct": -0.95,
-                "unemployment_rate": 8.3,
-                "health_expenditure_pct_gdp": 9.66,
-                "healthy_diet_cost_ppp": 3.29,
-                "patent_applications": 1557,
-                "female_labor_participation_pct": 57.49,
-                "population_total": 5583911,
-                "population_0_14_pct": 14.94,
-                "population_65_plus_pct": 23.58,
-                "birth_rate": 7.8,
-                "life_expectancy": 81.69,
-                "rural_population_pct": 14.23,
-                "broadband_per_100": 35.33,
-                "mobile_per_100": 127.47,
-                "secure_servers_per_1m": 153868.5,
-                "forest_area_pct": 73.73,
-                "renewable_energy_pct": 50.2,
-                "electricity_coal_pct": 4.09,
-                "electricity_oil_pct": 0.22,
-                "pollution_index": 11.72,
-                "irrigated_land_km2": 80,
-                "soybean_production_tonnes": 0,
-                "airports": 98,
-                "unesco_total_sites": 7,
-                "unesco_cultural_sites": 6,
-                "unesco_natural_sites": 1,
-                "unesco_mixed_sites": 0,
-                "tertiary_enrollment_pct": 104.94,
-                "nobel_laureates": 5,
-                "crime_index": 26.54,
-                "life_evaluation": 7.736
-        } },
-        { id: '018', name: 'Iceland', tags: ['A3', 'B2', 'D2'], stats: {
-                "gdp_total": 31452223861,
-                "gdp_growth_pct": 5.65,
-                "unemployment_rate": 3.1,
-                "health_expenditure_pct_gdp": 8.99,
-                "healthy_diet_cost_ppp": 3.02,
-                "patent_applications": 34,
-                "female_labor_participation_pct": 70.37,
-                "population_total": 393349,
-                "population_0_14_pct": 18.06,
-                "population_65_plus_pct": 15.35,
-                "birth_rate": 11,
-                "life_expectancy": 82.61,
-                "rural_population_pct": 5.96,
-                "broadband_per_100": 37.42,
-                "mobile_per_100": 123.38,
-                "secure_servers_per_1m": 85402.53,
-                "forest_area_pct": 0.52,
-                "renewable_energy_pct": 82.4,
-                "electricity_coal_pct": 0,
-                "electricity_oil_pct": 0.02,
-                "pollution_index": 16.67,
-                "irrigated_land_km2": 0.5,
-                "soybean_production_tonnes": 0,
-                "airports": 82,
-                "unesco_total_sites": 3,
-                "unesco_cultural_sites": 1,
-                "unesco_natural_sites": 2,
-                "unesco_mixed_sites": 0,
-                "tertiary_enrollment_pct": 84.99,
-                "nobel_laureates": 1,
-                "crime_index": 25.79,
-                "life_evaluation": 7.515
-        } },
-        { id: '019', name: 'Switzerland', tags: ['A4', 'B3', 'D3'], stats: {
-                "gdp_total": 894424821645,
-                "gdp_growth_pct": 0.68,
-                "unemployment_rate": 4.1,
-                "health_expenditure_pct_gdp": 11.71,
-                "healthy_diet_cost_ppp": 2.85,
-                "patent_applications": 1288,
-                "female_labor_participation_pct": 62.29,
-                "population_total": 8888093,
-                "population_0_14_pct": 15.01,
-                "population_65_plus_pct": 19.61,
-                "birth_rate": 9,
-                "life_expectancy": 84.06,
-                "rural_population_pct": 25.8,
-                "broadband_per_100": 47.7,
-                "mobile_per_100": 128.64,
-                "secure_servers_per_1m": 163635.1,
-                "forest_area_pct": 32.3,
-                "renewable_energy_pct": 27.7,
-                "electricity_coal_pct": 0,
-                "electricity_oil_pct": 0.05,
-                "pollution_index": 23.97,
-                "irrigated_land_km2": 327,
-                "soybean_production_tonnes": 6949,
-                "airports": 66,
-                "unesco_total_sites": 13,
-                "unesco_cultural_sites": 9,
-                "unesco_natural_sites": 4,
-                "unesco_mixed_sites": 0,
-                "tertiary_enrollment_pct": 74.15,
-                "nobel_laureates": 25,
-                "crime_index": 26.71,
-                "life_evaluation": 6.935
-        } },
-        { id: '020', name: 'Belgium', tags: ['A5', 'B4', 'D2'], stats: {
-                "gdp_total": 644655275111,
-                "gdp_growth_pct": 1.2,
-                "unemployment_rate": 5.5,
-                "health_expenditure_pct_gdp": 10.76,
-                "healthy_diet_cost_ppp": 2.56,
-                "patent_applications": 799,
-                "female_labor_participation_pct": 49.83,
-                "population_total": 11787423,
-                "population_0_14_pct": 16.29,
-                "population_65_plus_pct": 20.15,
-                "birth_rate": 9.4,
-                "life_expectancy": 82.4,
-                "rural_population_pct": 1.81,
-                "broadband_per_100": 43.7,
-                "mobile_per_100": 103.2,
-                "secure_servers_per_1m": 33643.23,
-                "forest_area_pct": 22.6,
-                "renewable_energy_pct": 11.7,
-                "electricity_coal_pct": 2.25,
-                "electricity_oil_pct": 0.14,
-                "pollution_index": 49.25,
-                "irrigated_land_km2": 57,
-                "soybean_production_tonnes": null,
-                "airports": 48,
-                "unesco_total_sites": 16,
-                "unesco_cultural_sites": 15,
-                "unesco_natural_sites": 1,
-                "unesco_mixed_sites": 0,
-                "tertiary_enrollment_pct": 83.57,
-                "nobel_laureates": 11,
-                "crime_index": 49.5,
-                "life_evaluation": 6.91
-        } },
-        { id: '021', name: 'New Zealand', tags: ['A1', 'B5', 'D4'], stats: {
-                "gdp_total": 255194972673,
-                "gdp_growth_pct": 1.39,
-                "unemployment_rate": 4.9,
-                "health_expenditure_pct_gdp": 10.03,
-                "healthy_diet_cost_ppp": 3.21,
-                "patent_applications": 330,
-                "female_labor_participation_pct": 66.93,
-                "population_total": 5245000,
-                "population_0_14_pct": 18.37,
-                "population_65_plus_pct": 16.8,
-                "birth_rate": 10.86,
-                "life_expectancy": 83,
-                "rural_population_pct": 13.02,
-                "broadband_per_100": 37.85,
-                "mobile_per_100": 126.86,
-                "secure_servers_per_1m": 18830.7,
-                "forest_area_pct": 37.72,
-                "renewable_energy_pct": 28.9,
-                "electricity_coal_pct": 2.45,
-                "electricity_oil_pct": 0.01,
-                "pollution_index": 26,
-                "irrigated_land_km2": 7000,
-                "soybean_production_tonnes": null,
-                "airports": 206,
-                "unesco_total_sites": 3,
-                "unesco_cultural_sites": 0,
-                "unesco_natural_sites": 2,
-                "unesco_mixed_sites": 1,
-                "tertiary_enrollment_pct": 77.01,
-                "nobel_laureates": 3,
-                "crime_index": 48.45,
-                "life_evaluation": 6.952
-        } },
-        { id: '022', name: 'Singapore', tags: ['A2', 'B4', 'D1'], stats: {
-                "gdp_total": 505439514078,
-                "gdp_growth_pct": 1.82,
-                "unemployment_rate": 3.2,
-                "health_expenditure_pct_gdp": 4.9,
-                "healthy_diet_cost_ppp": 3.48,
-                "patent_applications": 2024,
-                "female_labor_participation_pct": 61.97,
-                "population_total": 5917648,
-                "population_0_14_pct": 11.79,
-                "population_65_plus_pct": 13.1,
-                "birth_rate": 7.4,
-                "life_expectancy": 82.9,
-                "rural_population_pct": 0,
-                "broadband_per_100": 27.43,
-                "mobile_per_100": 173.2,
-                "secure_servers_per_1m": 228648.44,
-                "forest_area_pct": 21.18,
-                "renewable_energy_pct": 1.1,
-                "electricity_coal_pct": 1,
-                "electricity_oil_pct": 2.59,
-                "pollution_index": 32.33,
-                "irrigated_land_km2": 0,
-                "soybean_production_tonnes": null,
-                "airports": 9,
-                "unesco_total_sites": 1,
-                "unesco_cultural_sites": 1,
-                "unesco_natural_sites": 0,
-                "unesco_mixed_sites": 0,
-                "tertiary_enrollment_pct": 98.02,
-                "nobel_laureates": 0,
-                "crime_index": 22.62,
-                "life_evaluation": 6.565
-        } },
-        { id: '023', name: 'Israel', tags: ['A3', 'B5'], stats: {
-                "gdp_total": 512184638998,
-                "gdp_growth_pct": 1.83,
-                "unemployment_rate": 3.2,
-                "health_expenditure_pct_gdp": 7.34,
-                "healthy_diet_cost_ppp": 3.02,
-                "patent_applications": 1592,
-                "female_labor_participation_pct": 61.83,
-                "population_total": 9849000,
-                "population_0_14_pct": 27.61,
-                "population_65_plus_pct": 12.42,
-                "birth_rate": 18.6,
-                "life_expectancy": 83.2,
-                "rural_population_pct": 7.15,
-                "broadband_per_100": 29.44,
-                "mobile_per_100": 153.34,
-                "secure_servers_per_1m": 12925.07,
-                "forest_area_pct": 6.47,
-                "renewable_energy_pct": 6.2,
-                "electricity_coal_pct": 17.5,
-                "electricity_oil_pct": 0.16,
-                "pollution_index": 56.7,
-                "irrigated_land_km2": 2159,
-                "soybean_production_tonnes": 0,
-                "airports": 40,
-                "unesco_total_sites": 9,
-                "unesco_cultural_sites": 9,
-                "unesco_natural_sites": 0,
-                "unesco_mixed_sites": 0,
-                "tertiary_enrollment_pct": 57.64,
-                "nobel_laureates": 13,
-                "crime_index": 31.73,
-                "life_evaluation": 7.234
-        } },
-        { id: '024', name: 'Ireland', tags: ['A4', 'B5'], stats: {
-                "gdp_total": 551394889339,
-                "gdp_growth_pct": -5.53,
-                "unemployment_rate": 4.4,
-                "health_expenditure_pct_gdp": 6.12,
-                "healthy_diet_cost_ppp": 2.48,
-                "patent_applications": 75,
-                "female_labor_participation_pct": 59.97,
-                "population_total": 5307600,
-                "population_0_14_pct": 19.02,
-                "population_65_plus_pct": 15.54,
-                "birth_rate": 10.3,
-                "life_expectancy": 82.86,
-                "rural_population_pct": 35.53,
-                "broadband_per_100": 31.89,
-                "mobile_per_100": 110.8,
-                "secure_servers_per_1m": 150045.41,
-                "forest_area_pct": 11.47,
-                "renewable_energy_pct": 12.7,
-                "electricity_coal_pct": 4.34,
-                "electricity_oil_pct": 0.72,
-                "pollution_index": 34.85,
-                "irrigated_land_km2": 0,
-                "soybean_production_tonnes": 0,
-                "airports": 100,
-                "unesco_total_sites": 2,
-                "unesco_cultural_sites": 2,
-                "unesco_natural_sites": 0,
-                "unesco_mixed_sites": 0,
-                "tertiary_enrollment_pct": 76.6,
-                "nobel_laureates": 11,
-                "crime_index": 48.64,
-                "life_evaluation": 6.889
-        } },
-        { id: '025', name: 'Brazil', tags: ['A5', 'B1', 'C4'], stats: {
-                "gdp_total": 2191131765684,
-                "gdp_growth_pct": 3.24,
-                "unemployment_rate": 7.6,
-                "health_expenditure_pct_gdp": 9.14,
-                "healthy_diet_cost_ppp": 4.25,
-                "patent_applications": 4666,
-                "female_labor_participation_pct": 53.2,
-                "population_total": 211140729,
-                "population_0_14_pct": 19.94,
-                "population_65_plus_pct": 10.63,
-                "birth_rate": 12.32,
-                "life_expectancy": 75.85,
-                "rural_population_pct": 12.21,
-                "broadband_per_100": 22.42,
-                "mobile_per_100": 101.02,
-                "secure_servers_per_1m": 5628.66,
-                "forest_area_pct": 59.13,
-                "renewable_energy_pct": 46.5,
-                "electricity_coal_pct": 1.99,
-                "electricity_oil_pct": 1.28,
-                "pollution_index": 52.78,
-                "irrigated_land_km2": 69029,
-                "soybean_production_tonnes": 152144238,
-                "airports": 5297,
-                "unesco_total_sites": 25,
-                "unesco_cultural_sites": 15,
-                "unesco_natural_sites": 9,
-                "unesco_mixed_sites": 1,
-                "tertiary_enrollment_pct": 60.39,
-                "nobel_laureates": 1,
-                "crime_index": 64.24,
-                "life_evaluation": 6.494
-        } },
-        { id: '026', name: 'Mexico', tags: ['A1', 'B2', 'C5'], stats: {
-                "gdp_total": 1793798859343,
-                "gdp_growth_pct": 3.3,
-                "unemployment_rate": 2.7,
-                "health_expenditure_pct_gdp": 5.72,
-                "healthy_diet_cost_ppp": 3.89,
-                "patent_applications": 1117,
-                "female_labor_participation_pct": 47.32,
-                "population_total": 129739759,
-                "population_0_14_pct": 24.92,
-                "population_65_plus_pct": 7.99,
-                "birth_rate": 15.71,
-                "life_expectancy": 75.07,
-                "rural_population_pct": 18.42,
-                "broadband_per_100": 20.09,
-                "mobile_per_100": 111.56,
-                "secure_servers_per_1m": 412.12,
-                "forest_area_pct": 33.66,
-                "renewable_energy_pct": 13,
-                "electricity_coal_pct": 6.56,
-                "electricity_oil_pct": 6.57,
-                "pollution_index": 58.35,
-                "irrigated_land_km2": 60620,
-                "soybean_production_tonnes": 199163,
-                "airports": 1580,
-                "unesco_total_sites": 36,
-                "unesco_cultural_sites": 28,
-                "unesco_natural_sites": 6,
-                "unesco_mixed_sites": 2,
-                "tertiary_enrollment_pct": 46.41,
-                "nobel_laureates": 3,
-                "crime_index": 53.17,
-                "life_evaluation": 6.979
-        } },
-        { id: '027', name: 'Argentina', tags: ['A2', 'B3', 'C1'], stats: {
-                "gdp_total": 646075277525,
-                "gdp_growth_pct": -1.61,
-                "unemployment_rate": 7.9,
-                "health_expenditure_pct_gdp": 9.86,
-                "healthy_diet_cost_ppp": null,
-                "patent_applications": 406,
-                "female_labor_participation_pct": 52.96,
-                "population_total": 45538401,
-                "population_0_14_pct": 22.19,
-                "population_65_plus_pct": 12.2,
-                "birth_rate": 11.06,
-                "life_expectancy": 77.39,
-                "rural_population_pct": 7.54,
-                "broadband_per_100": 25.36,
-                "mobile_per_100": 137.71,
-                "secure_servers_per_1m": 5451.2,
-                "forest_area_pct": 10.36,
-                "renewable_energy_pct": 9.2,
-                "electricity_coal_pct": 1.82,
-                "electricity_oil_pct": 10.34,
-                "pollution_index": 50.81,
-                "irrigated_land_km2": 23600,
-                "soybean_production_tonnes": 25044978,
-                "airports": 764,
-                "unesco_total_sites": 12,
-                "unesco_cultural_sites": 7,
-                "unesco_natural_sites": 5,
-                "unesco_mixed_sites": 0,
-                "tertiary_enrollment_pct": 107.05,
-                "nobel_laureates": 5,
-                "crime_index": 63.32,
-                "life_evaluation": 6.397
-        } },
-        { id: '028', name: 'Chile', tags: ['A3', 'B4', 'C4'], stats: {
-                "gdp_total": 335518054097,
-                "gdp_growth_pct": 0.52,
-                "unemployment_rate": 9.1,
-                "health_expenditure_pct_gdp": 10.1,
-                "healthy_diet_cost_ppp": 4.54,
-                "patent_applications": 402,
-                "female_labor_participation_pct": 51.96,
-                "population_total": 19658835,
-                "population_0_14_pct": 17.38,
-                "population_65_plus_pct": 13.69,
-                "birth_rate": 8.96,
-                "life_expectancy": 81.17,
-                "rural_population_pct": 11.99,
-                "broadband_per_100": 23,
-                "mobile_per_100": 135.87,
-                "secure_servers_per_1m": 12299.97,
-                "forest_area_pct": 24.82,
-                "renewable_energy_pct": 24.2,
-                "electricity_coal_pct": 17.28,
-                "electricity_oil_pct": 2.92,
-                "pollution_index": 77.37,
-                "irrigated_land_km2": 11100,
-                "soybean_production_tonnes": null,
-                "airports": 379,
-                "unesco_total_sites": 7,
-                "unesco_cultural_sites": 7,
-                "unesco_natural_sites": 0,
-                "unesco_mixed_sites": 0,
-                "tertiary_enrollment_pct": 99.34,
-                "nobel_laureates": 2,
-                "crime_index": 60.54,
-                "life_evaluation": 6.361
-        } },
-        { id: '029', name: 'Colombia', tags: ['A4', 'B5', 'C3'], stats: {
-                "gdp_total": 366291836137,
-                "gdp_growth_pct": 0.71,
-                "unemployment_rate": 9.6,
-                "health_expenditure_pct_gdp": 7.69,
-                "healthy_diet_cost_ppp": 4.13,
-                "patent_applications": 432,
-                "female_labor_participation_pct": 51.86,
-                "population_total": 52321152,
-                "population_0_14_pct": 20.6,
-                "population_65_plus_pct": 9.38,
-                "birth_rate": 13.47,
-                "life_expectancy": 77.72,
-                "rural_population_pct": 17.65,
-                "broadband_per_100": 17.04,
-                "mobile_per_100": 166.98,
-                "secure_servers_per_1m": 1109.11,
-                "forest_area_pct": 52.95,
-                "renewable_energy_pct": 29.7,
-                "electricity_coal_pct": 10.8,
-                "electricity_oil_pct": 3.16,
-                "pollution_index": 62.22,
-                "irrigated_land_km2": 10900,
-                "soybean_production_tonnes": 196414,
-                "airports": 661,
-                "unesco_total_sites": 9,
-                "unesco_cultural_sites": 6,
-                "unesco_natural_sites": 2,
-                "unesco_mixed_sites": 1,
-                "tertiary_enrollment_pct": 59.29,
-                "nobel_laureates": 2,
-                "crime_index": 60.97,
-                "life_evaluation": 6.004
-        } },
-        { id: '030', name: 'Poland', tags: ['A5', 'B4', 'C1'], stats: {
-                "gdp_total": 812451128978,
-                "gdp_growth_pct": 0.25,
-                "unemployment_rate": 2.5,
-                "health_expenditure_pct_gdp": 7,
-                "healthy_diet_cost_ppp": 3.91,
-                "patent_applications": 3377,
-                "female_labor_participation_pct": 51.87,
-                "population_total": 36687353,
-                "population_0_14_pct": 15.1,
-                "population_65_plus_pct": 19.56,
-                "birth_rate": 7.4,
-                "life_expectancy": 78.51,
-                "rural_population_pct": 39.78,
-                "broadband_per_100": 26.11,
-                "mobile_per_100": 135.15,
-                "secure_servers_per_1m": 37340.96,
-                "forest_area_pct": 31.06,
-                "renewable_energy_pct": 15.2,
-                "electricity_coal_pct": 60.27,
-                "electricity_oil_pct": 1.34,
-                "pollution_index": 55.34,
-                "irrigated_land_km2": 760,
-                "soybean_production_tonnes": 47030,
-                "airports": 318,
-                "unesco_total_sites": 17,
-                "unesco_cultural_sites": 15,
-                "unesco_natural_sites": 2,
-                "unesco_mixed_sites": 0,
-                "tertiary_enrollment_pct": 75.29,
-                "nobel_laureates": 18,
-                "crime_index": 28.71,
-                "life_evaluation": 6.673
-        } },
-        { id: '031', name: 'Czech Republic', tags: ['A1', 'B3', 'C2'], stats: {
-                "gdp_total": 343206568134,
-                "gdp_growth_pct": -0.06,
-                "unemployment_rate": 2.5,
-                "health_expenditure_pct_gdp": 8.54,
-                "healthy_diet_cost_ppp": 3.63,
-                "patent_applications": 541,
-                "female_labor_participation_pct": 53.23,
-                "population_total": 10864042,
-                "population_0_14_pct": 15.67,
-                "population_65_plus_pct": 20.55,
-                "birth_rate": 8.4,
-                "life_expectancy": 79.88,
-                "rural_population_pct": 25.45,
-                "broadband_per_100": 37.91,
-                "mobile_per_100": 126,
-                "secure_servers_per_1m": 80152.03,
-                "forest_area_pct": 34.74,
-                "renewable_energy_pct": 17.2,
-                "electricity_coal_pct": 39.29,
-                "electricity_oil_pct": 0.11,
-                "pollution_index": 34.56,
-                "irrigated_land_km2": 220,
-                "soybean_production_tonnes": 63390,
-                "airports": 252,
-                "unesco_total_sites": 17,
-                "unesco_cultural_sites": 16,
-                "unesco_natural_sites": 1,
-                "unesco_mixed_sites": 0,
-                "tertiary_enrollment_pct": 70.81,
-                "nobel_laureates": 6,
-                "crime_index": 26.58,
-                "life_evaluation": 6.775
-        } },
-        { id: '032', name: 'Thailand', tags: ['A2', 'B1', 'C2'], stats: {
-                "gdp_total": 515906283940,
-                "gdp_growth_pct": 2.02,
-                "unemployment_rate": 0.7,
-                "health_expenditure_pct_gdp": 5.35,
-                "healthy_diet_cost_ppp": 4.93,
-                "patent_applications": 867,
-                "female_labor_participation_pct": 59.28,
-                "population_total": 71702435,
-                "population_0_14_pct": 15.09,
-                "population_65_plus_pct": 14.72,
-                "birth_rate": 8.24,
-                "life_expectancy": 76.41,
-                "rural_population_pct": 46.39,
-                "broadband_per_100": 15.75,
-                "mobile_per_100": 168.64,
-                "secure_servers_per_1m": 3002.53,
-                "forest_area_pct": 38.76,
-                "renewable_energy_pct": 19,
-                "electricity_coal_pct": 19.63,
-                "electricity_oil_pct": 5.65,
-                "pollution_index": 75.56,
-                "irrigated_land_km2": 64150,
-                "soybean_production_tonnes": 20016,
-                "airports": 105,
-                "unesco_total_sites": 8,
-                "unesco_cultural_sites": 5,
-                "unesco_natural_sites": 3,
-                "unesco_mixed_sites": 0,
-                "tertiary_enrollment_pct": 46.18,
-                "nobel_laureates": 0,
-                "crime_index": 36.84,
-                "life_evaluation": 6.222
-        } },
-        { id: '033', name: 'Malaysia', tags: ['A3', 'B2', 'C2'], stats: {
-                "gdp_total": 399705137434,
-                "gdp_growth_pct": 3.56,
-                "unemployment_rate": 3.8,
-                "health_expenditure_pct_gdp": 3.91,
-                "healthy_diet_cost_ppp": 3.77,
-                "patent_applications": 883,
-                "female_labor_participation_pct": 51.57,
-                "population_total": 35126298,
-                "population_0_14_pct": 22.29,
-                "population_65_plus_pct": 7.45,
-                "birth_rate": 12.41,
-                "life_expectancy": 76.66,
-                "rural_population_pct": 21.28,
-                "broadband_per_100": 13.03,
-                "mobile_per_100": 142.73,
-                "secure_servers_per_1m": 8082.52,
-                "forest_area_pct": 57.87,
-                "renewable_energy_pct": 7.5,
-                "electricity_coal_pct": 46.76,
-                "electricity_oil_pct": 0.54,
-                "pollution_index": 60.87,
-                "irrigated_land_km2": 4420,
-                "soybean_production_tonnes": null,
-                "airports": 100,
-                "unesco_total_sites": 6,
-                "unesco_cultural_sites": 4,
-                "unesco_natural_sites": 2,
-                "unesco_mixed_sites": 0,
-                "tertiary_enrollment_pct": 41.26,
-                "nobel_laureates": 0,
-                "crime_index": 48.62,
-                "life_evaluation": 5.955
-        } },
-        { id: '034', name: 'Philippines', tags: ['A4', 'B2', 'C1'], stats: {
-                "gdp_total": 437055627244,
-                "gdp_growth_pct": 5.52,
-                "unemployment_rate": 2.2,
-                "health_expenditure_pct_gdp": 5.11,
-                "healthy_diet_cost_ppp": 4.1,
-                "patent_applications": 490,
-                "female_labor_participation_pct": 50.37,
-                "population_total": 114891199,
-                "population_0_14_pct": 28.61,
-                "population_65_plus_pct": 5.26,
-                "birth_rate": 16.02,
-                "life_expectancy": 69.83,
-                "rural_population_pct": 51.71,
-                "broadband_per_100": 6.54,
-                "mobile_per_100": 117.28,
-                "secure_servers_per_1m": 305.5,
-                "forest_area_pct": 24.34,
-                "renewable_energy_pct": 28,
-                "electricity_coal_pct": 59.57,
-                "electricity_oil_pct": 2.26,
-                "pollution_index": 72.51,
-                "irrigated_land_km2": 16270,
-                "soybean_production_tonnes": 616,
-                "airports": 256,
-                "unesco_total_sites": 6,
-                "unesco_cultural_sites": 3,
-                "unesco_natural_sites": 3,
-                "unesco_mixed_sites": 0,
-                "tertiary_enrollment_pct": 45.28,
-                "nobel_laureates": 1,
-                "crime_index": 43.4,
-                "life_evaluation": 6.107
-        } },
-        { id: '035', name: 'Indonesia', tags: ['A5', 'B3'], stats: {
-                "gdp_total": 1371169301563,
-                "gdp_growth_pct": 5.05,
-                "unemployment_rate": 3.3,
-                "health_expenditure_pct_gdp": 2.69,
-                "healthy_diet_cost_ppp": 4.64,
-                "patent_applications": 1397,
-                "female_labor_participation_pct": 52.55,
-                "population_total": 281190067,
-                "population_0_14_pct": 24.93,
-                "population_65_plus_pct": 7.05,
-                "birth_rate": 15.94,
-                "life_expectancy": 71.15,
-                "rural_population_pct": 41.43,
-                "broadband_per_100": 4.82,
-                "mobile_per_100": 125.24,
-                "secure_servers_per_1m": 2722.39,
-                "forest_area_pct": 48.04,
-                "renewable_energy_pct": 20.2,
-                "electricity_coal_pct": 65.97,
-                "electricity_oil_pct": 2.2,
-                "pollution_index": 68.07,
-                "irrigated_land_km2": 91360,
-                "soybean_production_tonnes": 326493,
-                "airports": 556,
-                "unesco_total_sites": 10,
-                "unesco_cultural_sites": 6,
-                "unesco_natural_sites": 4,
-                "unesco_mixed_sites": 0,
-                "tertiary_enrollment_pct": 45.14,
-                "nobel_laureates": 0,
-                "crime_index": 46.06,
-                "life_evaluation": 5.617
-        } },
-        { id: '036', name: 'Vietnam', tags: ['A1', 'B1'], stats: {
-                "gdp_total": 433857681378,
-                "gdp_growth_pct": 5.07,
-                "unemployment_rate": 1.4,
-                "health_expenditure_pct_gdp": 4.59,
-                "healthy_diet_cost_ppp": 3.96,
-                "patent_applications": 1066,
-                "female_labor_participation_pct": 69.53,
-                "population_total": 100352192,
-                "population_0_14_pct": 23.61,
-                "population_65_plus_pct": 8.62,
-                "birth_rate": 13.83,
-                "life_expectancy": 74.59,
-                "rural_population_pct": 60.52,
-                "broadband_per_100": 22.68,
-                "mobile_per_100": 130.99,
-                "secure_servers_per_1m": 5256.31,
-                "forest_area_pct": 47.2,
-                "renewable_energy_pct": 24.2,
-                "electricity_coal_pct": 40.2,
-                "electricity_oil_pct": 0.06,
-                "pollution_index": 83.82,
-                "irrigated_land_km2": 46000,
-                "soybean_production_tonnes": 48103,
-                "airports": 36,
-                "unesco_total_sites": 9,
-                "unesco_cultural_sites": 6,
-                "unesco_natural_sites": 2,
-                "unesco_mixed_sites": 1,
-                "tertiary_enrollment_pct": 42.22,
-                "nobel_laureates": 1,
-                "crime_index": 40.38,
-                "life_evaluation": 6.352
-        } },
-        { id: '037', name: 'India', tags: ['A2', 'C2'], stats: {
-                "gdp_total": 3638489096033,
-                "gdp_growth_pct": 9.19,
-                "unemployment_rate": 4.2,
-                "health_expenditure_pct_gdp": 3.31,
-                "healthy_diet_cost_ppp": 3.36,
-                "patent_applications": 26267,
-                "female_labor_participation_pct": 31.24,
-                "population_total": 1438069596,
-                "population_0_14_pct": 25.06,
-                "population_65_plus_pct": 6.92,
-                "birth_rate": 16.15,
-                "life_expectancy": 72,
-                "rural_population_pct": 63.64,
-                "broadband_per_100": 2.75,
-                "mobile_per_100": 80.56,
-                "secure_servers_per_1m": 966.08,
-                "forest_area_pct": 24.45,
-                "renewable_energy_pct": 34.9,
-                "electricity_coal_pct": 72.04,
-                "electricity_oil_pct": 0.26,
-                "pollution_index": 72.81,
-                "irrigated_land_km2": 715539,
-                "soybean_production_tonnes": 14984927,
-                "airports": 315,
-                "unesco_total_sites": 44,
-                "unesco_cultural_sites": 36,
-                "unesco_natural_sites": 7,
-                "unesco_mixed_sites": 1,
-                "tertiary_enrollment_pct": 33.12,
-                "nobel_laureates": 13,
-                "crime_index": 44.25,
-                "life_evaluation": 4.389
-        } },
-        { id: '038', name: 'South Africa', tags: ['A3', 'C3'], stats: {
-                "gdp_total": 380699271816,
-                "gdp_growth_pct": 0.7,
-                "unemployment_rate": 33.2,
-                "health_expenditure_pct_gdp": 8.77,
-                "healthy_diet_cost_ppp": 3.74,
-                "patent_applications": 1804,
-                "female_labor_participation_pct": 52.93,
-                "population_total": 63212384,
-                "population_0_14_pct": 26.08,
-                "population_65_plus_pct": 6.52,
-                "birth_rate": 18.77,
-                "life_expectancy": 66.14,
-                "rural_population_pct": 31.18,
-                "broadband_per_100": 3.41,
-                "mobile_per_100": 171.51,
-                "secure_servers_per_1m": 14786.99,
-                "forest_area_pct": 14,
-                "renewable_energy_pct": 9.7,
-                "electricity_coal_pct": 84.05,
-                "electricity_oil_pct": 1.75,
-                "pollution_index": 56.68,
-                "irrigated_land_km2": 16700,
-                "soybean_production_tonnes": 2770000,
-                "airports": 573,
-                "unesco_total_sites": 12,
-                "unesco_cultural_sites": 7,
-                "unesco_natural_sites": 4,
-                "unesco_mixed_sites": 1,
-                "tertiary_enrollment_pct": 27.17,
-                "nobel_laureates": 11,
-                "crime_index": 74.57,
-                "life_evaluation": 5.213
-        } },
-        { id: '039', name: 'Egypt', tags: ['A4', 'C3'], stats: {
-                "gdp_total": 395926075163,
-                "gdp_growth_pct": 3.76,
-                "unemployment_rate": 7.2,
-                "health_expenditure_pct_gdp": 4.7,
-                "healthy_diet_cost_ppp": null,
-                "patent_applications": 881,
-                "female_labor_participation_pct": 15.3,
-                "population_total": 114535772,
-                "population_0_14_pct": 32.44,
-                "population_65_plus_pct": 4.97,
-                "birth_rate": 21,
-                "life_expectancy": 71.63,
-                "rural_population_pct": 56.9,
-                "broadband_per_100": 10.86,
-                "mobile_per_100": 92.83,
-                "secure_servers_per_1m": 53.3,
-                "forest_area_pct": 0.05,
-                "renewable_energy_pct": 6.1,
-                "electricity_coal_pct": 0,
-                "electricity_oil_pct": 8.63,
-                "pollution_index": 82.73,
-                "irrigated_land_km2": 36000,
-                "soybean_production_tonnes": 9,
-                "airports": 73,
-                "unesco_total_sites": 7,
-                "unesco_cultural_sites": 6,
-                "unesco_natural_sites": 1,
-                "unesco_mixed_sites": 0,
-                "tertiary_enrollment_pct": 39.38,
-                "nobel_laureates": 4,
-                "crime_index": 46.93,
-                "life_evaluation": 3.817
-        } },
-        { id: '040', name: 'Pakistan', tags: ['A5', 'C5'], stats: {
-                "gdp_total": 337885531778,
-                "gdp_growth_pct": -0.04,
-                "unemployment_rate": 5.5,
-                "health_expenditure_pct_gdp": 2.9,
-                "healthy_diet_cost_ppp": 3.82,
-                "patent_applications": 426,
-                "female_labor_participation_pct": 24.2,
-                "population_total": 247504495,
-                "population_0_14_pct": 37.04,
-                "population_65_plus_pct": 4.2,
-                "birth_rate": 27.81,
-                "life_expectancy": 67.65,
-                "rural_population_pct": 61.96,
-                "broadband_per_100": 1.36,
-                "mobile_per_100": 76.54,
-                "secure_servers_per_1m": 113.36,
-                "forest_area_pct": 4.73,
-                "renewable_energy_pct": 41.6,
-                "electricity_coal_pct": 15.91,
-                "electricity_oil_pct": 16.59,
-                "pollution_index": 73.2,
-                "irrigated_land_km2": 193400,
-                "soybean_production_tonnes": 9,
-                "airports": 117,
-                "unesco_total_sites": 6,
-                "unesco_cultural_sites": 6,
-                "unesco_natural_sites": 0,
-                "unesco_mixed_sites": 0,
-                "tertiary_enrollment_pct": 11.22,
-                "nobel_laureates": 2,
-                "crime_index": 42.44,
-                "life_evaluation": 4.657
-        } }
-
-];
-
-
-// ===== MOVIES TOKENS =====
-const MOVIES_TOKENS = [
-        { id: '001', name: 'Aladdin (2019)', tags: ['A1', 'B1', 'C1', 'D1'], stats: {
-                "box_office_gross": 1054.3,
-                "production_budget": 183,
-                "runtime_minutes": 128,
-                "imdb_rating": 6.9,
-                "rotten_tomatoes": 57,
-                "metacritic_score": 53,
-                "release_year": 2019,
-                "opening_weekend": 91.5,
-                "international_gross": 658.3,
-                "oscar_nominations": 0,
-                "oscar_wins": 0,
-                "screen_count": 4476,
-                "marketing_budget": 85,
-                "profit_margin": 386.3,
-                "weeks_in_theaters": 21,
-                "dvd_sales": 29.8,
-                "streaming_views": 167.3,
-                "social_media_mentions": 8.1,
-                "franchise_value": 2.3,
-                "director_previous_hits": 6,
-                "star_power_rating": 8.1,
-                "production_days": 98,
-                "cgi_budget": 55,
-                "soundtrack_sales": 4.5,
-                "merchandising_revenue": 123.4,
-                "sequel_count": 0,
-                "remake_count": 1,
-                "cultural_impact_score": 6.9,
-                "box_office_multiple": 5.8,
-                "award_ceremonies_count": 7,
-                "home_video_revenue": 56.7,
-                "international_markets": 87,
-                "fan_rating_average": 7.3,
-                "originalCode": "ALADDIN2019"
-        } },
-        { id: '002', name: 'Alice in Wonderland (2010)', tags: ['A2', 'B2', 'C2', 'D2'], stats: {
-                "box_office_gross": 1025.5,
-                "production_budget": 200,
-                "runtime_minutes": 108,
-                "imdb_rating": 6.4,
-                "rotten_tomatoes": 51,
-                "metacritic_score": 53,
-                "release_year": 2010,
-                "opening_weekend": 116.1,
-                "international_gross": 693.3,
-                "oscar_nominations": 3,
-                "oscar_wins": 2,
-                "screen_count": 3728,
-                "marketing_budget": 90,
-                "profit_margin": 335.5,
-                "weeks_in_theaters": 23,
-                "dvd_sales": 48.9,
-                "streaming_views": 145.6,
-                "social_media_mentions": 3.8,
-                "franchise_value": 2.7,
-                "director_previous_hits": 12,
-                "star_power_rating": 8.6,
-                "production_days": 98,
-                "cgi_budget": 85,
-                "soundtrack_sales": 1.9,
-                "merchandising_revenue": 234.5,
-                "sequel_count": 1,
-                "remake_count": 1,
-                "cultural_impact_score": 7.2,
-                "box_office_multiple": 5.1,
-                "award_ceremonies_count": 18,
-                "home_video_revenue": 89.4,
-                "international_markets": 78,
-                "fan_rating_average": 6.8,
-                "originalCode": "ALICE2010"
-        } },
-        { id: '003', name: 'Aquaman', tags: ['A3', 'B3', 'C3', 'D3'], stats: {
-                "box_office_gross": 2299.1,
-                "production_budget": 97,
-                "runtime_minutes": 155,
-                "imdb_rating": 8.8,
-                "rotten_tomatoes": 65,
-                "metacritic_score": 55,
-                "release_year": 2018,
-                "opening_weekend": 67.9,
-                "international_gross": 816.4,
-                "oscar_nominations": 0,
-                "oscar_wins": 0,
-                "screen_count": 4125,
-                "marketing_budget": 85,
-                "profit_margin": 472,
-                "weeks_in_theaters": 24,
-                "dvd_sales": 22.4,
-                "streaming_views": 145.6,
-                "social_media_mentions": 4.8,
-                "franchise_value": 2.1,
-                "director_previous_hits": 2,
-                "star_power_rating": 7.9,
-                "production_days": 132,
-                "cgi_budget": 75,
-                "soundtrack_sales": 0.6,
-                "merchandising_revenue": 98.7,
-                "sequel_count": 1,
-                "remake_count": 0,
-                "cultural_impact_score": 6.8,
-                "box_office_multiple": 7.2,
-                "award_ceremonies_count": 5,
-                "home_video_revenue": 48.9,
-                "international_markets": 86,
-                "fan_rating_average": 7.2,
-                "originalCode": "AQUAMAN"
-        } },
-        { id: '004', name: 'Avatar', tags: ['A4', 'B4', 'C4', 'D4'], stats: {
-                "box_office_gross": 2923.7,
-                "production_budget": 240,
-                "runtime_minutes": 162,
-                "imdb_rating": 8.2,
-                "rotten_tomatoes": 82,
-                "metacritic_score": 83,
-                "release_year": 2009,
-                "opening_weekend": 77,
-                "international_gross": 2146,
-                "oscar_nominations": 9,
-                "oscar_wins": 3,
-                "screen_count": 3461,
-                "marketing_budget": 150,
-                "profit_margin": 1135,
-                "weeks_in_theaters": 34,
-                "dvd_sales": 4,
-                "streaming_views": 125.5,
-                "social_media_mentions": 2.3,
-                "franchise_value": 15.2,
-                "director_previous_hits": 3,
-                "star_power_rating": 8.5,
-                "production_days": 497,
-                "cgi_budget": 120,
-                "soundtrack_sales": 1.2,
-                "merchandising_revenue": 87.4,
-                "sequel_count": 4,
-                "remake_count": 0,
-                "cultural_impact_score": 9.2,
-                "box_office_multiple": 12.3,
-                "award_ceremonies_count": 45,
-                "home_video_revenue": 67.8,
-                "international_markets": 98,
-                "fan_rating_average": 8.1,
-                "originalCode": "AVATAR"
-        } },
-        { id: '005', name: 'Avengers: Endgame', tags: ['A5', 'B5', 'C5', 'D5'], stats: {
-                "box_office_gross": 2798.5,
-                "production_budget": 356,
-                "runtime_minutes": 181,
-                "imdb_rating": 8.5,
-                "rotten_tomatoes": 94,
-                "metacritic_score": 78,
-                "release_year": 2019,
-                "opening_weekend": 357.1,
-                "international_gross": 1941,
-                "oscar_nominations": 1,
-                "oscar_wins": 0,
-                "screen_count": 4662,
-                "marketing_budget": 200,
-                "profit_margin": 700.3,
-                "weeks_in_theaters": 28,
-                "dvd_sales": 2.1,
-                "streaming_views": 234.6,
-                "social_media_mentions": 8.9,
-                "franchise_value": 25.3,
-                "director_previous_hits": 4,
-                "star_power_rating": 9.8,
-                "production_days": 159,
-                "cgi_budget": 200,
-                "soundtrack_sales": 0.8,
-                "merchandising_revenue": 456.7,
-                "sequel_count": 0,
-                "remake_count": 0,
-                "cultural_impact_score": 8.9,
-                "box_office_multiple": 7.9,
-                "award_ceremonies_count": 23,
-                "home_video_revenue": 89.4,
-                "international_markets": 125,
-                "fan_rating_average": 9.1,
-                "originalCode": "AVENGERS_ENDGAME"
-        } },
-        { id: '006', name: 'Avengers: Infinity War', tags: ['A1', 'B2', 'C3', 'D1'], stats: {
-                "box_office_gross": 1373.2,
-                "production_budget": 152,
-                "runtime_minutes": 172,
-                "imdb_rating": 8.2,
-                "rotten_tomatoes": 85,
-                "metacritic_score": 68,
-                "release_year": 2018,
-                "opening_weekend": 257.6,
-                "international_gross": 1369.5,
-                "oscar_nominations": 1,
-                "oscar_wins": 0,
-                "screen_count": 4474,
-                "marketing_budget": 180,
-                "profit_margin": 516.8,
-                "weeks_in_theaters": 26,
-                "dvd_sales": 1.8,
-                "streaming_views": 201.3,
-                "social_media_mentions": 7.2,
-                "franchise_value": 23.8,
-                "director_previous_hits": 3,
-                "star_power_rating": 9.7,
-                "production_days": 159,
-                "cgi_budget": 180,
-                "soundtrack_sales": 0.9,
-                "merchandising_revenue": 387.2,
-                "sequel_count": 1,
-                "remake_count": 0,
-                "cultural_impact_score": 8.6,
-                "box_office_multiple": 6.4,
-                "award_ceremonies_count": 18,
-                "home_video_revenue": 76.3,
-                "international_markets": 119,
-                "fan_rating_average": 8.8,
-                "originalCode": "AVENGERS_INFINITY_WAR"
-        } },
-        { id: '007', name: 'Barbie', tags: ['A2', 'B3', 'C4', 'D2'], stats: {
-                "box_office_gross": 1446.3,
-                "production_budget": 145,
-                "runtime_minutes": 114,
-                "imdb_rating": 7,
-                "rotten_tomatoes": 88,
-                "metacritic_score": 80,
-                "release_year": 2023,
-                "opening_weekend": 162,
-                "international_gross": 809.7,
-                "oscar_nominations": 8,
-                "oscar_wins": 1,
-                "screen_count": 4178,
-                "marketing_budget": 150,
-                "profit_margin": 601.3,
-                "weeks_in_theaters": 20,
-                "dvd_sales": 8.2,
-                "streaming_views": 134.5,
-                "social_media_mentions": 28.9,
-                "franchise_value": 5.2,
-                "director_previous_hits": 2,
-                "star_power_rating": 8.9,
-                "production_days": 87,
-                "cgi_budget": 35,
-                "soundtrack_sales": 12.3,
-                "merchandising_revenue": 567.8,
-                "sequel_count": 0,
-                "remake_count": 0,
-                "cultural_impact_score": 9.4,
-                "box_office_multiple": 10,
-                "award_ceremonies_count": 32,
-                "home_video_revenue": 45.6,
-                "international_markets": 94,
-                "fan_rating_average": 7.8,
-                "originalCode": "BARBIE"
-        } },
-        { id: '008', name: 'Beauty and the Beast (2017)', tags: ['A3', 'B4', 'C5', 'D3'], stats: {
-                "box_office_gross": 1264.1,
-                "production_budget": 160,
-                "runtime_minutes": 129,
-                "imdb_rating": 7.1,
-                "rotten_tomatoes": 71,
-                "metacritic_score": 65,
-                "release_year": 2017,
-                "opening_weekend": 174.8,
-                "international_gross": 759.5,
-                "oscar_nominations": 2,
-                "oscar_wins": 0,
-                "screen_count": 4210,
-                "marketing_budget": 90,
-                "profit_margin": 534.1,
-                "weeks_in_theaters": 23,
-                "dvd_sales": 38.4,
-                "streaming_views": 198.7,
-                "social_media_mentions": 9.2,
-                "franchise_value": 2.8,
-                "director_previous_hits": 4,
-                "star_power_rating": 8.7,
-                "production_days": 105,
-                "cgi_budget": 45,
-                "soundtrack_sales": 7.8,
-                "merchandising_revenue": 345.6,
-                "sequel_count": 0,
-                "remake_count": 1,
-                "cultural_impact_score": 7.9,
-                "box_office_multiple": 7.9,
-                "award_ceremonies_count": 22,
-                "home_video_revenue": 89.4,
-                "international_markets": 88,
-                "fan_rating_average": 7.6,
-                "originalCode": "BEAUTYANDTHEBEAST"
-        } },
-        { id: '009', name: 'Black Panther', tags: ['A4', 'C1', 'D4'], stats: {
-                "box_office_gross": 1349.9,
-                "production_budget": 200,
-                "runtime_minutes": 134,
-                "imdb_rating": 7.3,
-                "rotten_tomatoes": 96,
-                "metacritic_score": 88,
-                "release_year": 2018,
-                "opening_weekend": 202,
-                "international_gross": 648.8,
-                "oscar_nominations": 7,
-                "oscar_wins": 3,
-                "screen_count": 4020,
-                "marketing_budget": 95,
-                "profit_margin": 554.9,
-                "weeks_in_theaters": 24,
-                "dvd_sales": 24.5,
-                "streaming_views": 189.4,
-                "social_media_mentions": 15.7,
-                "franchise_value": 3.8,
-                "director_previous_hits": 3,
-                "star_power_rating": 8.4,
-                "production_days": 115,
-                "cgi_budget": 80,
-                "soundtrack_sales": 5.6,
-                "merchandising_revenue": 123.4,
-                "sequel_count": 1,
-                "remake_count": 0,
-                "cultural_impact_score": 9.8,
-                "box_office_multiple": 6.7,
-                "award_ceremonies_count": 45,
-                "home_video_revenue": 67.8,
-                "international_markets": 85,
-                "fan_rating_average": 8.2,
-                "originalCode": "BLACKPANTHER"
-        } },
-        { id: '010', name: 'Captain America: Civil War', tags: ['A5', 'C2', 'D5'], stats: {
-                "box_office_gross": 1155,
-                "production_budget": 250,
-                "runtime_minutes": 147,
-                "imdb_rating": 7.8,
-                "rotten_tomatoes": 90,
-                "metacritic_score": 75,
-                "release_year": 2016,
-                "opening_weekend": 179.1,
-                "international_gross": 745.2,
-                "oscar_nominations": 0,
-                "oscar_wins": 0,
-                "screen_count": 4226,
-                "marketing_budget": 105,
-                "profit_margin": 400,
-                "weeks_in_theaters": 20,
-                "dvd_sales": 28.9,
-                "streaming_views": 178.3,
-                "social_media_mentions": 7.2,
-                "franchise_value": 14.8,
-                "director_previous_hits": 4,
-                "star_power_rating": 8.8,
-                "production_days": 148,
-                "cgi_budget": 110,
-                "soundtrack_sales": 0.8,
-                "merchandising_revenue": 189.4,
-                "sequel_count": 0,
-                "remake_count": 0,
-                "cultural_impact_score": 8.3,
-                "box_office_multiple": 4.6,
-                "award_ceremonies_count": 11,
-                "home_video_revenue": 54.3,
-                "international_markets": 83,
-                "fan_rating_average": 8.1,
-                "originalCode": "CAPTAINAMERICACIVILWAR"
-        } },
-        { id: '011', name: 'The Dark Knight Rises', tags: ['A1', 'C4', 'D4'], stats: {
-                "box_office_gross": 1081.1,
-                "production_budget": 250,
-                "runtime_minutes": 165,
-                "imdb_rating": 8.4,
-                "rotten_tomatoes": 87,
-                "metacritic_score": 78,
-                "release_year": 2012,
-                "opening_weekend": 160.9,
-                "international_gross": 632.9,
-                "oscar_nominations": 0,
-                "oscar_wins": 0,
-                "screen_count": 4404,
-                "marketing_budget": 100,
-                "profit_margin": 331.1,
-                "weeks_in_theaters": 23,
-                "dvd_sales": 44.3,
-                "streaming_views": 189.2,
-                "social_media_mentions": 4.8,
-                "franchise_value": 9.8,
-                "director_previous_hits": 10,
-                "star_power_rating": 9.1,
-                "production_days": 167,
-                "cgi_budget": 75,
-                "soundtrack_sales": 4.2,
-                "merchandising_revenue": 267.8,
-                "sequel_count": 0,
-                "remake_count": 0,
-                "cultural_impact_score": 8.9,
-                "box_office_multiple": 4.3,
-                "award_ceremonies_count": 14,
-                "home_video_revenue": 89.2,
-                "international_markets": 80,
-                "fan_rating_average": 8.6,
-                "originalCode": "DARKKNIGHTRISES"
-        } },
-        { id: '012', name: 'Deadpool', tags: ['A2', 'C5', 'D5'], stats: {
-                "box_office_gross": 783.1,
-                "production_budget": 58,
-                "runtime_minutes": 108,
-                "imdb_rating": 8,
-                "rotten_tomatoes": 85,
-                "metacritic_score": 65,
-                "release_year": 2016,
-                "opening_weekend": 132.4,
-                "international_gross": 420.4,
-                "oscar_nominations": 0,
-                "oscar_wins": 0,
-                "screen_count": 3558,
-                "marketing_budget": 45,
-                "profit_margin": 622.1,
-                "weeks_in_theaters": 16,
-                "dvd_sales": 89.5,
-                "streaming_views": 298.7,
-                "social_media_mentions": 4.8,
-                "franchise_value": 2.1,
-                "director_previous_hits": 2,
-                "star_power_rating": 8.3,
-                "production_days": 58,
-                "cgi_budget": 28,
-                "soundtrack_sales": 3.2,
-                "merchandising_revenue": 156.8,
-                "sequel_count": 1,
-                "remake_count": 0,
-                "cultural_impact_score": 8.9,
-                "box_office_multiple": 13.5,
-                "award_ceremonies_count": 12,
-                "home_video_revenue": 124.6,
-                "international_markets": 62,
-                "fan_rating_average": 8.2,
-                "originalCode": "DEADPOOL"
-        } },
-        { id: '013', name: 'Despicable Me 3', tags: ['A3', 'C1', 'D5'], stats: {
-                "box_office_gross": 1034.8,
-                "production_budget": 80,
-                "runtime_minutes": 90,
-                "imdb_rating": 6.3,
-                "rotten_tomatoes": 59,
-                "metacritic_score": 49,
-                "release_year": 2017,
-                "opening_weekend": 72.4,
-                "international_gross": 762.5,
-                "oscar_nominations": 0,
-                "oscar_wins": 0,
-                "screen_count": 4529,
-                "marketing_budget": 65,
-                "profit_margin": 474.8,
-                "weeks_in_theaters": 23,
-                "dvd_sales": 38.9,
-                "streaming_views": 223.4,
-                "social_media_mentions": 8.2,
-                "franchise_value": 10.3,
-                "director_previous_hits": 3,
-                "star_power_rating": 7.4,
-                "production_days": 82,
-                "cgi_budget": 55,
-                "soundtrack_sales": 2.1,
-                "merchandising_revenue": 567.8,
-                "sequel_count": 1,
-                "remake_count": 0,
-                "cultural_impact_score": 7.2,
-                "box_office_multiple": 12.9,
-                "award_ceremonies_count": 6,
-                "home_video_revenue": 89.3,
-                "international_markets": 89,
-                "fan_rating_average": 6.8,
-                "originalCode": "DESPICABLEME3"
-        } },
-        { id: '014', name: 'Fast & Furious 6', tags: ['A4', 'C4', 'D1'], stats: {
-                "box_office_gross": 788.7,
-                "production_budget": 160,
-                "runtime_minutes": 130,
-                "imdb_rating": 7,
-                "rotten_tomatoes": 70,
-                "metacritic_score": 61,
-                "release_year": 2013,
-                "opening_weekend": 97.4,
-                "international_gross": 545.2,
-                "oscar_nominations": 0,
-                "oscar_wins": 0,
-                "screen_count": 3771,
-                "marketing_budget": 85,
-                "profit_margin": 458.7,
-                "weeks_in_theaters": 18,
-                "dvd_sales": 67.3,
-                "streaming_views": 234.8,
-                "social_media_mentions": 3.2,
-                "franchise_value": 7.8,
-                "director_previous_hits": 8,
-                "star_power_rating": 7.6,
-                "production_days": 94,
-                "cgi_budget": 45,
-                "soundtrack_sales": 2.8,
-                "merchandising_revenue": 98.4,
-                "sequel_count": 3,
-                "remake_count": 0,
-                "cultural_impact_score": 7.4,
-                "box_office_multiple": 4.9,
-                "award_ceremonies_count": 8,
-                "home_video_revenue": 89.2,
-                "international_markets": 76,
-                "fan_rating_average": 7.2,
-                "originalCode": "FAST_FURIOUS_6"
-        } },
-        { id: '015', name: 'Finding Dory', tags: ['A5', 'C3', 'B1'], stats: {
-                "box_office_gross": 1029.3,
-                "production_budget": 200,
-                "runtime_minutes": 97,
-                "imdb_rating": 7.3,
-                "rotten_tomatoes": 94,
-                "metacritic_score": 77,
-                "release_year": 2016,
-                "opening_weekend": 135.1,
-                "international_gross": 543.3,
-                "oscar_nominations": 0,
-                "oscar_wins": 0,
-                "screen_count": 4305,
-                "marketing_budget": 90,
-                "profit_margin": 339.3,
-                "weeks_in_theaters": 24,
-                "dvd_sales": 42.3,
-                "streaming_views": 198.7,
-                "social_media_mentions": 6.2,
-                "franchise_value": 5.8,
-                "director_previous_hits": 7,
-                "star_power_rating": 7.9,
-                "production_days": 134,
-                "cgi_budget": 135,
-                "soundtrack_sales": 1.8,
-                "merchandising_revenue": 234.5,
-                "sequel_count": 0,
-                "remake_count": 0,
-                "cultural_impact_score": 7.6,
-                "box_office_multiple": 5.1,
-                "award_ceremonies_count": 13,
-                "home_video_revenue": 78.9,
-                "international_markets": 82,
-                "fan_rating_average": 7.7,
-                "originalCode": "FINDINGDORY"
-        } },
-        { id: '016', name: 'Frozen', tags: ['A1', 'C5', 'B5'], stats: {
-                "box_office_gross": 2209.5,
-                "production_budget": 191,
-                "runtime_minutes": 140,
-                "imdb_rating": 6.7,
-                "rotten_tomatoes": 90,
-                "metacritic_score": 75,
-                "release_year": 2013,
-                "opening_weekend": 67.4,
-                "international_gross": 880.1,
-                "oscar_nominations": 2,
-                "oscar_wins": 2,
-                "screen_count": 3742,
-                "marketing_budget": 85,
-                "profit_margin": 549.5,
-                "weeks_in_theaters": 34,
-                "dvd_sales": 52.8,
-                "streaming_views": 287.9,
-                "social_media_mentions": 18.4,
-                "franchise_value": 13.2,
-                "director_previous_hits": 1,
-                "star_power_rating": 7.8,
-                "production_days": 92,
-                "cgi_budget": 60,
-                "soundtrack_sales": 14.7,
-                "merchandising_revenue": 678.9,
-                "sequel_count": 1,
-                "remake_count": 0,
-                "cultural_impact_score": 9.6,
-                "box_office_multiple": 8.6,
-                "award_ceremonies_count": 38,
-                "home_video_revenue": 123.4,
-                "international_markets": 90,
-                "fan_rating_average": 8.3,
-                "originalCode": "FROZEN"
-        } },
-        { id: '017', name: 'Frozen 2', tags: ['A2', 'B1', 'D3'], stats: {
-                "box_office_gross": 1453.7,
-                "production_budget": 150,
-                "runtime_minutes": 103,
-                "imdb_rating": 6.8,
-                "rotten_tomatoes": 77,
-                "metacritic_score": 64,
-                "release_year": 2019,
-                "opening_weekend": 130.3,
-                "international_gross": 943.7,
-                "oscar_nominations": 1,
-                "oscar_wins": 0,
-                "screen_count": 4440,
-                "marketing_budget": 90,
-                "profit_margin": 623.2,
-                "weeks_in_theaters": 26,
-                "dvd_sales": 34.7,
-                "streaming_views": 245.6,
-                "social_media_mentions": 12.4,
-                "franchise_value": 13.2,
-                "director_previous_hits": 1,
-                "star_power_rating": 7.9,
-                "production_days": 98,
-                "cgi_budget": 65,
-                "soundtrack_sales": 8.9,
-                "merchandising_revenue": 489.2,
-                "sequel_count": 0,
-                "remake_count": 0,
-                "cultural_impact_score": 8.7,
-                "box_office_multiple": 9.7,
-                "award_ceremonies_count": 15,
-                "home_video_revenue": 87.3,
-                "international_markets": 92,
-                "fan_rating_average": 7.6,
-                "originalCode": "FROZEN2"
-        } },
-        { id: '018', name: 'Furious 7', tags: ['A3', 'B2', 'D2'], stats: {
-                "box_office_gross": 1515.3,
-                "production_budget": 190,
-                "runtime_minutes": 137,
-                "imdb_rating": 7.1,
-                "rotten_tomatoes": 81,
-                "metacritic_score": 67,
-                "release_year": 2015,
-                "opening_weekend": 147.2,
-                "international_gross": 1163.9,
-                "oscar_nominations": 0,
-                "oscar_wins": 0,
-                "screen_count": 4004,
-                "marketing_budget": 85,
-                "profit_margin": 589.8,
-                "weeks_in_theaters": 22,
-                "dvd_sales": 2.9,
-                "streaming_views": 89.4,
-                "social_media_mentions": 3.7,
-                "franchise_value": 9.8,
-                "director_previous_hits": 2,
-                "star_power_rating": 8.2,
-                "production_days": 112,
-                "cgi_budget": 45,
-                "soundtrack_sales": 1.8,
-                "merchandising_revenue": 67.4,
-                "sequel_count": 2,
-                "remake_count": 0,
-                "cultural_impact_score": 7.8,
-                "box_office_multiple": 8,
-                "award_ceremonies_count": 8,
-                "home_video_revenue": 45.6,
-                "international_markets": 89,
-                "fan_rating_average": 7.9,
-                "originalCode": "FURIOUS_7"
-        } },
-        { id: '019', name: 'Guardians of the Galaxy', tags: ['A4', 'B3', 'D3'], stats: {
-                "box_office_gross": 773.3,
-                "production_budget": 170,
-                "runtime_minutes": 121,
-                "imdb_rating": 8,
-                "rotten_tomatoes": 92,
-                "metacritic_score": 76,
-                "release_year": 2014,
-                "opening_weekend": 94.3,
-                "international_gross": 440.2,
-                "oscar_nominations": 2,
-                "oscar_wins": 0,
-                "screen_count": 4080,
-                "marketing_budget": 75,
-                "profit_margin": 448.3,
-                "weeks_in_theaters": 20,
-                "dvd_sales": 78.9,
-                "streaming_views": 267.4,
-                "social_media_mentions": 3.9,
-                "franchise_value": 3.8,
-                "director_previous_hits": 3,
-                "star_power_rating": 7.8,
-                "production_days": 85,
-                "cgi_budget": 58,
-                "soundtrack_sales": 4.5,
-                "merchandising_revenue": 189.7,
-                "sequel_count": 2,
-                "remake_count": 0,
-                "cultural_impact_score": 8.1,
-                "box_office_multiple": 4.5,
-                "award_ceremonies_count": 15,
-                "home_video_revenue": 112.8,
-                "international_markets": 68,
-                "fan_rating_average": 8.3,
-                "originalCode": "GUARDIANS_OF_THE_GALAXY"
-        } },
-        { id: '020', name: 'The Hobbit: An Unexpected Journey', tags: ['A5', 'B4', 'D2'], stats: {
-                "box_office_gross": 1017,
-                "production_budget": 180,
-                "runtime_minutes": 169,
-                "imdb_rating": 7.8,
-                "rotten_tomatoes": 64,
-                "metacritic_score": 58,
-                "release_year": 2012,
-                "opening_weekend": 84.6,
-                "international_gross": 696.4,
-                "oscar_nominations": 3,
-                "oscar_wins": 0,
-                "screen_count": 4045,
-                "marketing_budget": 80,
-                "profit_margin": 377,
-                "weeks_in_theaters": 24,
-                "dvd_sales": 56.7,
-                "streaming_views": 167.8,
-                "social_media_mentions": 4.2,
-                "franchise_value": 8.9,
-                "director_previous_hits": 8,
-                "star_power_rating": 8.3,
-                "production_days": 189,
-                "cgi_budget": 100,
-                "soundtrack_sales": 4.8,
-                "merchandising_revenue": 234.5,
-                "sequel_count": 2,
-                "remake_count": 0,
-                "cultural_impact_score": 8.1,
-                "box_office_multiple": 5.7,
-                "award_ceremonies_count": 16,
-                "home_video_revenue": 98.7,
-                "international_markets": 82,
-                "fan_rating_average": 8,
-                "originalCode": "HOBBITUNEXPECTED"
-        } },
-        { id: '021', name: 'Incredibles 2', tags: ['A1', 'B5', 'D4'], stats: {
-                "box_office_gross": 1243.1,
-                "production_budget": 200,
-                "runtime_minutes": 118,
-                "imdb_rating": 7.6,
-                "rotten_tomatoes": 93,
-                "metacritic_score": 80,
-                "release_year": 2018,
-                "opening_weekend": 182.7,
-                "international_gross": 634.2,
-                "oscar_nominations": 1,
-                "oscar_wins": 0,
-                "screen_count": 4410,
-                "marketing_budget": 95,
-                "profit_margin": 498.1,
-                "weeks_in_theaters": 26,
-                "dvd_sales": 29.7,
-                "streaming_views": 178.4,
-                "social_media_mentions": 6.8,
-                "franchise_value": 4.5,
-                "director_previous_hits": 8,
-                "star_power_rating": 8.2,
-                "production_days": 145,
-                "cgi_budget": 120,
-                "soundtrack_sales": 3.4,
-                "merchandising_revenue": 234.5,
-                "sequel_count": 0,
-                "remake_count": 0,
-                "cultural_impact_score": 8.2,
-                "box_office_multiple": 6.2,
-                "award_ceremonies_count": 19,
-                "home_video_revenue": 78.9,
-                "international_markets": 82,
-                "fan_rating_average": 8,
-                "originalCode": "INCREDIBLES2"
-        } },
-        { id: '022', name: 'Iron Man 3', tags: ['A2', 'B4', 'D1'], stats: {
-                "box_office_gross": 1215.4,
-                "production_budget": 200,
-                "runtime_minutes": 130,
-                "imdb_rating": 7.1,
-                "rotten_tomatoes": 79,
-                "metacritic_score": 62,
-                "release_year": 2013,
-                "opening_weekend": 174.1,
-                "international_gross": 806.4,
-                "oscar_nominations": 1,
-                "oscar_wins": 0,
-                "screen_count": 4253,
-                "marketing_budget": 110,
-                "profit_margin": 475.4,
-                "weeks_in_theaters": 22,
-                "dvd_sales": 32.1,
-                "streaming_views": 156.8,
-                "social_media_mentions": 5.9,
-                "franchise_value": 12.4,
-                "director_previous_hits": 5,
-                "star_power_rating": 9.3,
-                "production_days": 125,
-                "cgi_budget": 95,
-                "soundtrack_sales": 1.2,
-                "merchandising_revenue": 245.6,
-                "sequel_count": 0,
-                "remake_count": 0,
-                "cultural_impact_score": 7.4,
-                "box_office_multiple": 6.1,
-                "award_ceremonies_count": 14,
-                "home_video_revenue": 67.8,
-                "international_markets": 80,
-                "fan_rating_average": 7.5,
-                "originalCode": "IRONMAN3"
-        } },
-        { id: '023', name: 'Joker', tags: ['A3', 'B5'], stats: {
-                "box_office_gross": 1079,
-                "production_budget": 55,
-                "runtime_minutes": 122,
-                "imdb_rating": 8.4,
-                "rotten_tomatoes": 68,
-                "metacritic_score": 59,
-                "release_year": 2019,
-                "opening_weekend": 96.2,
-                "international_gross": 743.5,
-                "oscar_nominations": 11,
-                "oscar_wins": 2,
-                "screen_count": 4374,
-                "marketing_budget": 50,
-                "profit_margin": 479,
-                "weeks_in_theaters": 22,
-                "dvd_sales": 19.8,
-                "streaming_views": 156.7,
-                "social_media_mentions": 12.9,
-                "franchise_value": 1.8,
-                "director_previous_hits": 3,
-                "star_power_rating": 9,
-                "production_days": 88,
-                "cgi_budget": 15,
-                "soundtrack_sales": 3.2,
-                "merchandising_revenue": 34.5,
-                "sequel_count": 1,
-                "remake_count": 0,
-                "cultural_impact_score": 9.1,
-                "box_office_multiple": 19.6,
-                "award_ceremonies_count": 48,
-                "home_video_revenue": 45.2,
-                "international_markets": 81,
-                "fan_rating_average": 8.6,
-                "originalCode": "JOKER"
-        } },
-        { id: '024', name: 'Jurassic World Dominion', tags: ['A4', 'B5'], stats: {
-                "box_office_gross": 1001.9,
-                "production_budget": 185,
-                "runtime_minutes": 147,
-                "imdb_rating": 5.6,
-                "rotten_tomatoes": 29,
-                "metacritic_score": 38,
-                "release_year": 2022,
-                "opening_weekend": 145.1,
-                "international_gross": 625.1,
-                "oscar_nominations": 0,
-                "oscar_wins": 0,
-                "screen_count": 4697,
-                "marketing_budget": 100,
-                "profit_margin": 286.9,
-                "weeks_in_theaters": 18,
-                "dvd_sales": 18.3,
-                "streaming_views": 156.7,
-                "social_media_mentions": 4.8,
-                "franchise_value": 8.7,
-                "director_previous_hits": 3,
-                "star_power_rating": 8.1,
-                "production_days": 134,
-                "cgi_budget": 95,
-                "soundtrack_sales": 0.9,
-                "merchandising_revenue": 178.9,
-                "sequel_count": 0,
-                "remake_count": 0,
-                "cultural_impact_score": 5.9,
-                "box_office_multiple": 5.4,
-                "award_ceremonies_count": 2,
-                "home_video_revenue": 34.5,
-                "international_markets": 88,
-                "fan_rating_average": 5.8,
-                "originalCode": "JURASSICWORLDDOMINION"
-        } },
-        { id: '025', name: 'Jurassic World: Fallen Kingdom', tags: ['A5', 'B1', 'C4'], stats: {
-                "box_office_gross": 1310.5,
-                "production_budget": 170,
-                "runtime_minutes": 128,
-                "imdb_rating": 6.1,
-                "rotten_tomatoes": 47,
-                "metacritic_score": 51,
-                "release_year": 2018,
-                "opening_weekend": 148,
-                "international_gross": 892.7,
-                "oscar_nominations": 0,
-                "oscar_wins": 0,
-                "screen_count": 4485,
-                "marketing_budget": 95,
-                "profit_margin": 545.5,
-                "weeks_in_theaters": 20,
-                "dvd_sales": 26.7,
-                "streaming_views": 189.3,
-                "social_media_mentions": 5.4,
-                "franchise_value": 8.7,
-                "director_previous_hits": 4,
-                "star_power_rating": 8.2,
-                "production_days": 115,
-                "cgi_budget": 85,
-                "soundtrack_sales": 1.3,
-                "merchandising_revenue": 234.5,
-                "sequel_count": 1,
-                "remake_count": 0,
-                "cultural_impact_score": 6.7,
-                "box_office_multiple": 7.7,
-                "award_ceremonies_count": 4,
-                "home_video_revenue": 56.7,
-                "international_markets": 86,
-                "fan_rating_average": 6.5,
-                "originalCode": "JURASSICWORLDFALLEN"
-        } },
-        { id: '026', name: 'Jurassic World', tags: ['A1', 'B2', 'C5'], stats: {
-                "box_office_gross": 1672.8,
-                "production_budget": 150,
-                "runtime_minutes": 124,
-                "imdb_rating": 7,
-                "rotten_tomatoes": 71,
-                "metacritic_score": 59,
-                "release_year": 2015,
-                "opening_weekend": 208.8,
-                "international_gross": 1019.4,
-                "oscar_nominations": 1,
-                "oscar_wins": 0,
-                "screen_count": 4274,
-                "marketing_budget": 100,
-                "profit_margin": 711.4,
-                "weeks_in_theaters": 29,
-                "dvd_sales": 3.8,
-                "streaming_views": 142.6,
-                "social_media_mentions": 4.2,
-                "franchise_value": 12.3,
-                "director_previous_hits": 1,
-                "star_power_rating": 7.8,
-                "production_days": 78,
-                "cgi_budget": 75,
-                "soundtrack_sales": 0.4,
-                "merchandising_revenue": 189.7,
-                "sequel_count": 2,
-                "remake_count": 0,
-                "cultural_impact_score": 7.2,
-                "box_office_multiple": 11.2,
-                "award_ceremonies_count": 12,
-                "home_video_revenue": 89.3,
-                "international_markets": 95,
-                "fan_rating_average": 7.5,
-                "originalCode": "JURASSIC_WORLD"
-        } },
-        { id: '027', name: 'Minions', tags: ['A2', 'B3', 'C1'], stats: {
-                "box_office_gross": 2356.9,
-                "production_budget": 66,
-                "runtime_minutes": 177,
-                "imdb_rating": 8.1,
-                "rotten_tomatoes": 56,
-                "metacritic_score": 56,
-                "release_year": 2015,
-                "opening_weekend": 115.7,
-                "international_gross": 822.8,
-                "oscar_nominations": 0,
-                "oscar_wins": 0,
-                "screen_count": 4311,
-                "marketing_budget": 65,
-                "profit_margin": 538.4,
-                "weeks_in_theaters": 25,
-                "dvd_sales": 45.2,
-                "streaming_views": 234.5,
-                "social_media_mentions": 14.3,
-                "franchise_value": 10.3,
-                "director_previous_hits": 2,
-                "star_power_rating": 7.2,
-                "production_days": 78,
-                "cgi_budget": 50,
-                "soundtrack_sales": 2.9,
-                "merchandising_revenue": 789.3,
-                "sequel_count": 2,
-                "remake_count": 0,
-                "cultural_impact_score": 8.1,
-                "box_office_multiple": 15.6,
-                "award_ceremonies_count": 8,
-                "home_video_revenue": 98.7,
-                "international_markets": 91,
-                "fan_rating_average": 6.9,
-                "originalCode": "MINIONS"
-        } },
-        { id: '028', name: 'Pirates of the Caribbean: Dead Man\'s Chest', tags: ['A3', 'B4', 'C4'], stats: {
-                "box_office_gross": 1066.2,
-                "production_budget": 225,
-                "runtime_minutes": 151,
-                "imdb_rating": 7.3,
-                "rotten_tomatoes": 53,
-                "metacritic_score": 53,
-                "release_year": 2006,
-                "opening_weekend": 135.6,
-                "international_gross": 642.3,
-                "oscar_nominations": 4,
-                "oscar_wins": 1,
-                "screen_count": 4133,
-                "marketing_budget": 85,
-                "profit_margin": 331.2,
-                "weeks_in_theaters": 26,
-                "dvd_sales": 78.9,
-                "streaming_views": 189.4,
-                "social_media_mentions": 2.1,
-                "franchise_value": 15.3,
-                "director_previous_hits": 3,
-                "star_power_rating": 9.2,
-                "production_days": 145,
-                "cgi_budget": 95,
-                "soundtrack_sales": 3.4,
-                "merchandising_revenue": 345.6,
-                "sequel_count": 3,
-                "remake_count": 0,
-                "cultural_impact_score": 7.8,
-                "box_office_multiple": 4.7,
-                "award_ceremonies_count": 21,
-                "home_video_revenue": 134.5,
-                "international_markets": 75,
-                "fan_rating_average": 7.6,
-                "originalCode": "PIRATESDEADMAN"
-        } },
-        { id: '029', name: 'Rogue One: A Star Wars Story', tags: ['A4', 'B5', 'C3'], stats: {
-                "box_office_gross": 1058.7,
-                "production_budget": 200,
-                "runtime_minutes": 133,
-                "imdb_rating": 7.8,
-                "rotten_tomatoes": 84,
-                "metacritic_score": 65,
-                "release_year": 2016,
-                "opening_weekend": 155.1,
-                "international_gross": 532.2,
-                "oscar_nominations": 2,
-                "oscar_wins": 0,
-                "screen_count": 4157,
-                "marketing_budget": 95,
-                "profit_margin": 363.7,
-                "weeks_in_theaters": 22,
-                "dvd_sales": 32.1,
-                "streaming_views": 178.4,
-                "social_media_mentions": 6.9,
-                "franchise_value": 20.5,
-                "director_previous_hits": 2,
-                "star_power_rating": 7.8,
-                "production_days": 145,
-                "cgi_budget": 90,
-                "soundtrack_sales": 2.8,
-                "merchandising_revenue": 456.7,
-                "sequel_count": 0,
-                "remake_count": 0,
-                "cultural_impact_score": 8.2,
-                "box_office_multiple": 5.3,
-                "award_ceremonies_count": 18,
-                "home_video_revenue": 67.8,
-                "international_markets": 84,
-                "fan_rating_average": 8.1,
-                "originalCode": "ROGUE1"
-        } },
-        { id: '030', name: 'Skyfall', tags: ['A5', 'B4', 'C1'], stats: {
-                "box_office_gross": 1142.5,
-                "production_budget": 200,
-                "runtime_minutes": 143,
-                "imdb_rating": 7.8,
-                "rotten_tomatoes": 92,
-                "metacritic_score": 81,
-                "release_year": 2012,
-                "opening_weekend": 88.4,
-                "international_gross": 808.6,
-                "oscar_nominations": 5,
-                "oscar_wins": 2,
-                "screen_count": 3505,
-                "marketing_budget": 95,
-                "profit_margin": 442.5,
-                "weeks_in_theaters": 28,
-                "dvd_sales": 41.7,
-                "streaming_views": 123.4,
-                "social_media_mentions": 3.2,
-                "franchise_value": 8.7,
-                "director_previous_hits": 7,
-                "star_power_rating": 8.5,
-                "production_days": 128,
-                "cgi_budget": 45,
-                "soundtrack_sales": 6.8,
-                "merchandising_revenue": 67.3,
-                "sequel_count": 2,
-                "remake_count": 0,
-                "cultural_impact_score": 8.6,
-                "box_office_multiple": 5.7,
-                "award_ceremonies_count": 36,
-                "home_video_revenue": 78.4,
-                "international_markets": 79,
-                "fan_rating_average": 8.2,
-                "originalCode": "SKYFALL"
-        } },
-        { id: '031', name: 'Spider-Man: No Way Home', tags: ['A1', 'B3', 'C2'], stats: {
-                "box_office_gross": 1921.8,
-                "production_budget": 200,
-                "runtime_minutes": 148,
-                "imdb_rating": 8.2,
-                "rotten_tomatoes": 90,
-                "metacritic_score": 71,
-                "release_year": 2021,
-                "opening_weekend": 260.1,
-                "international_gross": 1001.4,
-                "oscar_nominations": 1,
-                "oscar_wins": 0,
-                "screen_count": 4336,
-                "marketing_budget": 120,
-                "profit_margin": 880.3,
-                "weeks_in_theaters": 24,
-                "dvd_sales": 1.2,
-                "streaming_views": 167.8,
-                "social_media_mentions": 12.4,
-                "franchise_value": 18.7,
-                "director_previous_hits": 2,
-                "star_power_rating": 9.1,
-                "production_days": 105,
-                "cgi_budget": 90,
-                "soundtrack_sales": 0.6,
-                "merchandising_revenue": 312.4,
-                "sequel_count": 0,
-                "remake_count": 0,
-                "cultural_impact_score": 8.3,
-                "box_office_multiple": 9.6,
-                "award_ceremonies_count": 15,
-                "home_video_revenue": 58.9,
-                "international_markets": 103,
-                "fan_rating_average": 8.9,
-                "originalCode": "SPIDER_MAN_NO_WAY_HOME"
-        } },
-        { id: '032', name: 'Star Wars: The Force Awakens', tags: ['A2', 'B1', 'C2'], stats: {
-                "box_office_gross": 2071.3,
-                "production_budget": 245,
-                "runtime_minutes": 138,
-                "imdb_rating": 7.8,
-                "rotten_tomatoes": 93,
-                "metacritic_score": 80,
-                "release_year": 2015,
-                "opening_weekend": 247.9,
-                "international_gross": 1131.6,
-                "oscar_nominations": 5,
-                "oscar_wins": 0,
-                "screen_count": 4134,
-                "marketing_budget": 150,
-                "profit_margin": 743.8,
-                "weeks_in_theaters": 32,
-                "dvd_sales": 3.2,
-                "streaming_views": 178.4,
-                "social_media_mentions": 5.7,
-                "franchise_value": 42.1,
-                "director_previous_hits": 1,
-                "star_power_rating": 8.9,
-                "production_days": 132,
-                "cgi_budget": 85,
-                "soundtrack_sales": 2.1,
-                "merchandising_revenue": 234.5,
-                "sequel_count": 2,
-                "remake_count": 0,
-                "cultural_impact_score": 8.7,
-                "box_office_multiple": 8.5,
-                "award_ceremonies_count": 34,
-                "home_video_revenue": 98.7,
-                "international_markets": 112,
-                "fan_rating_average": 8.3,
-                "originalCode": "STAR_WARS_VII"
-        } },
-        { id: '033', name: 'The Lion King (2019)', tags: ['A3', 'B2', 'C2'], stats: {
-                "box_office_gross": 1656.9,
-                "production_budget": 260,
-                "runtime_minutes": 118,
-                "imdb_rating": 6.8,
-                "rotten_tomatoes": 52,
-                "metacritic_score": 55,
-                "release_year": 2019,
-                "opening_weekend": 191.8,
-                "international_gross": 1419.2,
-                "oscar_nominations": 1,
-                "oscar_wins": 0,
-                "screen_count": 4725,
-                "marketing_budget": 140,
-                "profit_margin": 596.9,
-                "weeks_in_theaters": 26,
-                "dvd_sales": 2.4,
-                "streaming_views": 198.5,
-                "social_media_mentions": 6.8,
-                "franchise_value": 8.9,
-                "director_previous_hits": 3,
-                "star_power_rating": 8.7,
-                "production_days": 95,
-                "cgi_budget": 200,
-                "soundtrack_sales": 4.2,
-                "merchandising_revenue": 278.3,
-                "sequel_count": 0,
-                "remake_count": 1,
-                "cultural_impact_score": 6.9,
-                "box_office_multiple": 6.4,
-                "award_ceremonies_count": 18,
-                "home_video_revenue": 67.2,
-                "international_markets": 108,
-                "fan_rating_average": 6.5,
-                "originalCode": "THE_LION_KING_2019"
-        } },
-        { id: '034', name: 'Titanic', tags: ['A4', 'B2', 'C1'], stats: {
-                "box_office_gross": 2265.2,
-                "production_budget": 200,
-                "runtime_minutes": 194,
-                "imdb_rating": 8,
-                "rotten_tomatoes": 88,
-                "metacritic_score": 75,
-                "release_year": 1997,
-                "opening_weekend": 28.6,
-                "international_gross": 1528.1,
-                "oscar_nominations": 14,
-                "oscar_wins": 11,
-                "screen_count": 2674,
-                "marketing_budget": 75,
-                "profit_margin": 1032.4,
-                "weeks_in_theaters": 44,
-                "dvd_sales": 8.5,
-                "streaming_views": 89.2,
-                "social_media_mentions": 1.8,
-                "franchise_value": 3.2,
-                "director_previous_hits": 2,
-                "star_power_rating": 9.2,
-                "production_days": 160,
-                "cgi_budget": 18,
-                "soundtrack_sales": 30,
-                "merchandising_revenue": 15.6,
-                "sequel_count": 0,
-                "remake_count": 1,
-                "cultural_impact_score": 9.8,
-                "box_office_multiple": 11.3,
-                "award_ceremonies_count": 67,
-                "home_video_revenue": 134.2,
-                "international_markets": 87,
-                "fan_rating_average": 8.7,
-                "originalCode": "TITANIC"
-        } },
-        { id: '035', name: 'Top Gun: Maverick', tags: ['A5', 'B3'], stats: {
-                "box_office_gross": 1495.7,
-                "production_budget": 170,
-                "runtime_minutes": 131,
-                "imdb_rating": 8.3,
-                "rotten_tomatoes": 96,
-                "metacritic_score": 78,
-                "release_year": 2022,
-                "opening_weekend": 126.7,
-                "international_gross": 776.8,
-                "oscar_nominations": 6,
-                "oscar_wins": 1,
-                "screen_count": 4735,
-                "marketing_budget": 100,
-                "profit_margin": 645.2,
-                "weeks_in_theaters": 31,
-                "dvd_sales": 18.9,
-                "streaming_views": 167.8,
-                "social_media_mentions": 8.9,
-                "franchise_value": 2.4,
-                "director_previous_hits": 6,
-                "star_power_rating": 9.1,
-                "production_days": 134,
-                "cgi_budget": 55,
-                "soundtrack_sales": 2.4,
-                "merchandising_revenue": 34.6,
-                "sequel_count": 0,
-                "remake_count": 0,
-                "cultural_impact_score": 8.9,
-                "box_office_multiple": 8.8,
-                "award_ceremonies_count": 28,
-                "home_video_revenue": 56.7,
-                "international_markets": 78,
-                "fan_rating_average": 8.6,
-                "originalCode": "TOPGUNMAVERICK"
-        } },
-        { id: '036', name: 'Toy Story 3', tags: ['A1', 'B1'], stats: {
-                "box_office_gross": 1067.3,
-                "production_budget": 200,
-                "runtime_minutes": 103,
-                "imdb_rating": 8.3,
-                "rotten_tomatoes": 98,
-                "metacritic_score": 92,
-                "release_year": 2010,
-                "opening_weekend": 110.3,
-                "international_gross": 652,
-                "oscar_nominations": 5,
-                "oscar_wins": 2,
-                "screen_count": 4028,
-                "marketing_budget": 85,
-                "profit_margin": 382.3,
-                "weeks_in_theaters": 29,
-                "dvd_sales": 58.9,
-                "streaming_views": 234.5,
-                "social_media_mentions": 5.4,
-                "franchise_value": 12.6,
-                "director_previous_hits": 9,
-                "star_power_rating": 8.8,
-                "production_days": 167,
-                "cgi_budget": 145,
-                "soundtrack_sales": 3.4,
-                "merchandising_revenue": 567.8,
-                "sequel_count": 1,
-                "remake_count": 0,
-                "cultural_impact_score": 9.3,
-                "box_office_multiple": 5.3,
-                "award_ceremonies_count": 42,
-                "home_video_revenue": 123.4,
-                "international_markets": 80,
-                "fan_rating_average": 8.7,
-                "originalCode": "TOYSTORY3"
-        } },
-        { id: '037', name: 'Toy Story 4', tags: ['A2', 'C2'], stats: {
-                "box_office_gross": 1073.8,
-                "production_budget": 200,
-                "runtime_minutes": 100,
-                "imdb_rating": 7.7,
-                "rotten_tomatoes": 97,
-                "metacritic_score": 84,
-                "release_year": 2019,
-                "opening_weekend": 120.9,
-                "international_gross": 642,
-                "oscar_nominations": 2,
-                "oscar_wins": 1,
-                "screen_count": 4575,
-                "marketing_budget": 100,
-                "profit_margin": 373.8,
-                "weeks_in_theaters": 25,
-                "dvd_sales": 34.8,
-                "streaming_views": 189.2,
-                "social_media_mentions": 7.6,
-                "franchise_value": 12.6,
-                "director_previous_hits": 3,
-                "star_power_rating": 8.4,
-                "production_days": 156,
-                "cgi_budget": 140,
-                "soundtrack_sales": 2.1,
-                "merchandising_revenue": 456.7,
-                "sequel_count": 0,
-                "remake_count": 0,
-                "cultural_impact_score": 8.8,
-                "box_office_multiple": 5.4,
-                "award_ceremonies_count": 29,
-                "home_video_revenue": 89.3,
-                "international_markets": 84,
-                "fan_rating_average": 8.1,
-                "originalCode": "TOYSTORY4"
-        } },
-        { id: '038', name: 'Transformers: Age of Extinction', tags: ['A3', 'C3'], stats: {
-                "box_office_gross": 1104.1,
-                "production_budget": 210,
-                "runtime_minutes": 165,
-                "imdb_rating": 5.6,
-                "rotten_tomatoes": 18,
-                "metacritic_score": 32,
-                "release_year": 2014,
-                "opening_weekend": 100,
-                "international_gross": 845.2,
-                "oscar_nominations": 0,
-                "oscar_wins": 0,
-                "screen_count": 4233,
-                "marketing_budget": 95,
-                "profit_margin": 399.1,
-                "weeks_in_theaters": 19,
-                "dvd_sales": 29.8,
-                "streaming_views": 145.6,
-                "social_media_mentions": 2.8,
-                "franchise_value": 11.4,
-                "director_previous_hits": 9,
-                "star_power_rating": 7.7,
-                "production_days": 178,
-                "cgi_budget": 115,
-                "soundtrack_sales": 1.2,
-                "merchandising_revenue": 289.4,
-                "sequel_count": 1,
-                "remake_count": 0,
-                "cultural_impact_score": 5.8,
-                "box_office_multiple": 5.3,
-                "award_ceremonies_count": 3,
-                "home_video_revenue": 56.7,
-                "international_markets": 85,
-                "fan_rating_average": 5.9,
-                "originalCode": "TRANSFORMERSAGE"
-        } },
-        { id: '039', name: 'Transformers: Dark of the Moon', tags: ['A4', 'C3'], stats: {
-                "box_office_gross": 1123.8,
-                "production_budget": 195,
-                "runtime_minutes": 154,
-                "imdb_rating": 6.2,
-                "rotten_tomatoes": 35,
-                "metacritic_score": 42,
-                "release_year": 2011,
-                "opening_weekend": 97.9,
-                "international_gross": 771.4,
-                "oscar_nominations": 3,
-                "oscar_wins": 0,
-                "screen_count": 4088,
-                "marketing_budget": 90,
-                "profit_margin": 438.8,
-                "weeks_in_theaters": 21,
-                "dvd_sales": 45.6,
-                "streaming_views": 167.8,
-                "social_media_mentions": 3.2,
-                "franchise_value": 11.4,
-                "director_previous_hits": 8,
-                "star_power_rating": 7.9,
-                "production_days": 156,
-                "cgi_budget": 105,
-                "soundtrack_sales": 1.8,
-                "merchandising_revenue": 345.6,
-                "sequel_count": 2,
-                "remake_count": 0,
-                "cultural_impact_score": 6.4,
-                "box_office_multiple": 5.8,
-                "award_ceremonies_count": 7,
-                "home_video_revenue": 78.9,
-                "international_markets": 81,
-                "fan_rating_average": 6.5,
-                "originalCode": "TRANSFORMERSDARK"
-        } },
-        { id: '040', name: 'Zootopia', tags: ['A5', 'C5'], stats: {
-                "box_office_gross": 1025.5,
-                "production_budget": 150,
-                "runtime_minutes": 108,
-                "imdb_rating": 8,
-                "rotten_tomatoes": 98,
-                "metacritic_score": 78,
-                "release_year": 2016,
-                "opening_weekend": 75.1,
-                "international_gross": 693.3,
-                "oscar_nominations": 1,
-                "oscar_wins": 1,
-                "screen_count": 3959,
-                "marketing_budget": 75,
-                "profit_margin": 400.5,
-                "weeks_in_theaters": 27,
-                "dvd_sales": 37.6,
-                "streaming_views": 178.9,
-                "social_media_mentions": 7.3,
-                "franchise_value": 3.2,
-                "director_previous_hits": 2,
-                "star_power_rating": 7.6,
-                "production_days": 112,
-                "cgi_budget": 95,
-                "soundtrack_sales": 2.3,
-                "merchandising_revenue": 198.7,
-                "sequel_count": 0,
-                "remake_count": 0,
-                "cultural_impact_score": 8.4,
-                "box_office_multiple": 6.8,
-                "award_ceremonies_count": 23,
-                "home_video_revenue": 67.8,
-                "international_markets": 85,
-                "fan_rating_average": 8.3,
-                "originalCode": "ZOOTOPIA"
-        } }
-
-];
-
-
-// ===== COMPANIES TOKENS =====
-const COMPANIES_TOKENS = [
-        { id: '001', name: 'Adidas AG', tags: ['A1', 'B1', 'C1', 'D1'], stats: {
-                "country": "Germany",
-                "market_cap": 38.4,
-                "annual_revenue": 22.5,
-                "employee_count": 62000,
-                "profit_margin": 7.2,
-                "rd_spending": 0.9,
-                "brand_value": 16.8,
-                "customer_satisfaction": 82,
-                "environmental_score": 81,
-                "global_offices": 89,
-                "patents_held": 2800,
-                "ceo_approval": 76,
-                "diversity_index": 78,
-                "innovation_score": 82,
-                "social_impact": 84,
-                "work_life_balance": 85,
-                "stock_performance": 3.2,
-                "advertising_spend": 3.1,
-                "data_centers": 8,
-                "charitable_giving": 42,
-                "digital_transformation": 79,
-                "revenue_growth": 11.2,
-                "market_share": 18.4,
-                "employee_satisfaction": 81,
-                "cybersecurity_score": 79,
-                "supply_chain_efficiency": 86,
-                "international_presence": 92,
-                "startup_acquisitions": 6,
-                "cloud_infrastructure": 4.2,
-                "ai_investment": 2.8,
-                "debt_to_equity": 0.31,
-                "cash_reserves": 2.8,
-                "sustainability_initiatives": 89,
-                "regulatory_compliance": 87,
-                "originalCode": "ADIDAS"
-        } },
-        { id: '002', name: 'Alibaba Group', tags: ['A2', 'B2', 'C2', 'D2'], stats: {
-                "country": "China",
-                "market_cap": 189.4,
-                "annual_revenue": 126.5,
-                "employee_count": 245000,
-                "profit_margin": 11.8,
-                "rd_spending": 8.2,
-                "brand_value": 92.1,
-                "customer_satisfaction": 82,
-                "environmental_score": 72,
-                "global_offices": 78,
-                "patents_held": 42000,
-                "ceo_approval": 76,
-                "diversity_index": 64,
-                "innovation_score": 84,
-                "social_impact": 74,
-                "work_life_balance": 61,
-                "stock_performance": -18.2,
-                "advertising_spend": 2.8,
-                "data_centers": 28,
-                "charitable_giving": 89,
-                "digital_transformation": 89,
-                "revenue_growth": 2.3,
-                "market_share": 56.8,
-                "employee_satisfaction": 71,
-                "cybersecurity_score": 78,
-                "supply_chain_efficiency": 89,
-                "international_presence": 72,
-                "startup_acquisitions": 38,
-                "cloud_infrastructure": 22.4,
-                "ai_investment": 12.8,
-                "debt_to_equity": 0.19,
-                "cash_reserves": 51.2,
-                "sustainability_initiatives": 73,
-                "regulatory_compliance": 71,
-                "originalCode": "ALIBABA"
-        } },
-        { id: '003', name: 'Amazon.com Inc.', tags: ['A3', 'B3', 'C3', 'D3'], stats: {
-                "country": "USA",
-                "market_cap": 1456.8,
-                "annual_revenue": 513.9,
-                "employee_count": 1540000,
-                "profit_margin": 7.2,
-                "rd_spending": 73.2,
-                "brand_value": 254.2,
-                "customer_satisfaction": 83,
-                "environmental_score": 71,
-                "global_offices": 185,
-                "patents_held": 45000,
-                "ceo_approval": 72,
-                "diversity_index": 72,
-                "innovation_score": 92,
-                "social_impact": 68,
-                "work_life_balance": 62,
-                "stock_performance": 12.8,
-                "advertising_spend": 16.9,
-                "data_centers": 98,
-                "charitable_giving": 168,
-                "digital_transformation": 95,
-                "revenue_growth": 15.3,
-                "market_share": 38.7,
-                "employee_satisfaction": 67,
-                "cybersecurity_score": 89,
-                "supply_chain_efficiency": 96,
-                "international_presence": 86,
-                "startup_acquisitions": 24,
-                "cloud_infrastructure": 89.4,
-                "ai_investment": 18.2,
-                "debt_to_equity": 0.34,
-                "cash_reserves": 73.4,
-                "sustainability_initiatives": 74,
-                "regulatory_compliance": 78,
-                "originalCode": "AMAZON"
-        } },
-        { id: '004', name: 'Apple Inc.', tags: ['A4', 'B4', 'C4', 'D4'], stats: {
-                "country": "USA",
-                "market_cap": 2800.5,
-                "annual_revenue": 394.3,
-                "employee_count": 164000,
-                "profit_margin": 25.8,
-                "rd_spending": 29.9,
-                "brand_value": 355.1,
-                "customer_satisfaction": 85,
-                "environmental_score": 92,
-                "global_offices": 512,
-                "patents_held": 87000,
-                "ceo_approval": 89,
-                "diversity_index": 78,
-                "innovation_score": 94,
-                "social_impact": 82,
-                "work_life_balance": 76,
-                "stock_performance": 8.2,
-                "advertising_spend": 1.8,
-                "data_centers": 23,
-                "charitable_giving": 125,
-                "digital_transformation": 96,
-                "revenue_growth": 8.1,
-                "market_share": 15.8,
-                "employee_satisfaction": 81,
-                "cybersecurity_score": 94,
-                "supply_chain_efficiency": 88,
-                "international_presence": 89,
-                "startup_acquisitions": 12,
-                "cloud_infrastructure": 15.8,
-                "ai_investment": 8.9,
-                "debt_to_equity": 1.73,
-                "cash_reserves": 165,
-                "sustainability_initiatives": 91,
-                "regulatory_compliance": 87,
-                "originalCode": "APPLE"
-        } },
-        { id: '005', name: 'ASML Holding N.V.', tags: ['A5', 'B5', 'C5', 'D5'], stats: {
-                "country": "Netherlands",
-                "market_cap": 312.8,
-                "annual_revenue": 27.6,
-                "employee_count": 42000,
-                "profit_margin": 28.9,
-                "rd_spending": 3.2,
-                "brand_value": 12.4,
-                "customer_satisfaction": 91,
-                "environmental_score": 86,
-                "global_offices": 24,
-                "patents_held": 15000,
-                "ceo_approval": 89,
-                "diversity_index": 78,
-                "innovation_score": 96,
-                "social_impact": 81,
-                "work_life_balance": 88,
-                "stock_performance": 18.4,
-                "advertising_spend": 0.2,
-                "data_centers": 4,
-                "charitable_giving": 18,
-                "digital_transformation": 84,
-                "revenue_growth": 14.2,
-                "market_share": 92.6,
-                "employee_satisfaction": 89,
-                "cybersecurity_score": 92,
-                "supply_chain_efficiency": 91,
-                "international_presence": 78,
-                "startup_acquisitions": 8,
-                "cloud_infrastructure": 6.8,
-                "ai_investment": 4.2,
-                "debt_to_equity": 0.11,
-                "cash_reserves": 8.9,
-                "sustainability_initiatives": 87,
-                "regulatory_compliance": 94,
-                "originalCode": "ASML"
-        } },
-        { id: '006', name: 'Atlassian Corporation', tags: ['A1', 'B2', 'C3', 'D1'], stats: {
-                "country": "Australia",
-                "market_cap": 48.9,
-                "annual_revenue": 3.5,
-                "employee_count": 11459,
-                "profit_margin": -18.4,
-                "rd_spending": 1.2,
-                "brand_value": 4.2,
-                "customer_satisfaction": 87,
-                "environmental_score": 89,
-                "global_offices": 24,
-                "patents_held": 450,
-                "ceo_approval": 94,
-                "diversity_index": 86,
-                "innovation_score": 89,
-                "social_impact": 84,
-                "work_life_balance": 96,
-                "stock_performance": 22.8,
-                "advertising_spend": 0.8,
-                "data_centers": 12,
-                "charitable_giving": 8,
-                "digital_transformation": 94,
-                "revenue_growth": 27.8,
-                "market_share": 28.9,
-                "employee_satisfaction": 94,
-                "cybersecurity_score": 92,
-                "supply_chain_efficiency": 84,
-                "international_presence": 76,
-                "startup_acquisitions": 18,
-                "cloud_infrastructure": 24.8,
-                "ai_investment": 4.2,
-                "debt_to_equity": 0.08,
-                "cash_reserves": 1.8,
-                "sustainability_initiatives": 91,
-                "regulatory_compliance": 89,
-                "originalCode": "ATLASSIAN"
-        } },
-        { id: '007', name: 'Baidu Inc.', tags: ['A2', 'B3', 'C4', 'D2'], stats: {
-                "country": "China",
-                "market_cap": 42.8,
-                "annual_revenue": 18.9,
-                "employee_count": 48000,
-                "profit_margin": 18.2,
-                "rd_spending": 4.2,
-                "brand_value": 9.8,
-                "customer_satisfaction": 76,
-                "environmental_score": 69,
-                "global_offices": 42,
-                "patents_held": 9800,
-                "ceo_approval": 79,
-                "diversity_index": 64,
-                "innovation_score": 91,
-                "social_impact": 68,
-                "work_life_balance": 62,
-                "stock_performance": -12.8,
-                "advertising_spend": 3.2,
-                "data_centers": 28,
-                "charitable_giving": 34,
-                "digital_transformation": 94,
-                "revenue_growth": 6.8,
-                "market_share": 68.4,
-                "employee_satisfaction": 72,
-                "cybersecurity_score": 76,
-                "supply_chain_efficiency": 79,
-                "international_presence": 58,
-                "startup_acquisitions": 28,
-                "cloud_infrastructure": 18.9,
-                "ai_investment": 14.2,
-                "debt_to_equity": 0.14,
-                "cash_reserves": 18.4,
-                "sustainability_initiatives": 71,
-                "regulatory_compliance": 72,
-                "originalCode": "BAIDU"
-        } },
-        { id: '008', name: 'Berkshire Hathaway Inc.', tags: ['A3', 'B4', 'C5', 'D3'], stats: {
-                "country": "USA",
-                "market_cap": 735.6,
-                "annual_revenue": 302.1,
-                "employee_count": 383000,
-                "profit_margin": 28.2,
-                "rd_spending": 0.4,
-                "brand_value": 12.4,
-                "customer_satisfaction": 78,
-                "environmental_score": 69,
-                "global_offices": 128,
-                "patents_held": 890,
-                "ceo_approval": 91,
-                "diversity_index": 72,
-                "innovation_score": 64,
-                "social_impact": 81,
-                "work_life_balance": 79,
-                "stock_performance": 8.9,
-                "advertising_spend": 0.1,
-                "data_centers": 8,
-                "charitable_giving": 4200,
-                "digital_transformation": 58,
-                "revenue_growth": 12.4,
-                "market_share": 18.9,
-                "employee_satisfaction": 84,
-                "cybersecurity_score": 74,
-                "supply_chain_efficiency": 76,
-                "international_presence": 68,
-                "startup_acquisitions": 2,
-                "cloud_infrastructure": 1.2,
-                "ai_investment": 0.8,
-                "debt_to_equity": 0.28,
-                "cash_reserves": 167.6,
-                "sustainability_initiatives": 68,
-                "regulatory_compliance": 92,
-                "originalCode": "BERKSHIRE_HATHAWAY"
-        } },
-        { id: '009', name: 'ByteDance Ltd.', tags: ['A4', 'C1', 'D4'], stats: {
-                "country": "China",
-                "market_cap": 268,
-                "annual_revenue": 61.4,
-                "employee_count": 150000,
-                "profit_margin": 19.8,
-                "rd_spending": 5.8,
-                "brand_value": 45.2,
-                "customer_satisfaction": 79,
-                "environmental_score": 66,
-                "global_offices": 89,
-                "patents_held": 18000,
-                "ceo_approval": 74,
-                "diversity_index": 68,
-                "innovation_score": 91,
-                "social_impact": 69,
-                "work_life_balance": 58,
-                "stock_performance": 0,
-                "advertising_spend": 8.9,
-                "data_centers": 42,
-                "charitable_giving": 34,
-                "digital_transformation": 96,
-                "revenue_growth": 34.2,
-                "market_share": 28.4,
-                "employee_satisfaction": 69,
-                "cybersecurity_score": 72,
-                "supply_chain_efficiency": 78,
-                "international_presence": 84,
-                "startup_acquisitions": 21,
-                "cloud_infrastructure": 16.8,
-                "ai_investment": 18.4,
-                "debt_to_equity": 0.15,
-                "cash_reserves": 38.9,
-                "sustainability_initiatives": 68,
-                "regulatory_compliance": 67,
-                "originalCode": "BYTEDANCE"
-        } },
-        { id: '010', name: 'The Coca-Cola Company', tags: ['A5', 'C2', 'D5'], stats: {
-                "country": "USA",
-                "market_cap": 258.7,
-                "annual_revenue": 43,
-                "employee_count": 82500,
-                "profit_margin": 23.1,
-                "rd_spending": 0.7,
-                "brand_value": 84.9,
-                "customer_satisfaction": 84,
-                "environmental_score": 73,
-                "global_offices": 200,
-                "patents_held": 2800,
-                "ceo_approval": 82,
-                "diversity_index": 79,
-                "innovation_score": 68,
-                "social_impact": 83,
-                "work_life_balance": 78,
-                "stock_performance": 6.8,
-                "advertising_spend": 4.2,
-                "data_centers": 3,
-                "charitable_giving": 142,
-                "digital_transformation": 65,
-                "revenue_growth": 11.2,
-                "market_share": 43.8,
-                "employee_satisfaction": 81,
-                "cybersecurity_score": 79,
-                "supply_chain_efficiency": 87,
-                "international_presence": 96,
-                "startup_acquisitions": 3,
-                "cloud_infrastructure": 2.8,
-                "ai_investment": 1.2,
-                "debt_to_equity": 1.52,
-                "cash_reserves": 9.4,
-                "sustainability_initiatives": 76,
-                "regulatory_compliance": 91,
-                "originalCode": "COCA_COLA"
-        } },
-        { id: '011', name: 'The Walt Disney Company', tags: ['A1', 'C4', 'D4'], stats: {
-                "country": "USA",
-                "market_cap": 174.8,
-                "annual_revenue": 82.7,
-                "employee_count": 225000,
-                "profit_margin": 3.1,
-                "rd_spending": 1.8,
-                "brand_value": 57.1,
-                "customer_satisfaction": 89,
-                "environmental_score": 79,
-                "global_offices": 85,
-                "patents_held": 5200,
-                "ceo_approval": 78,
-                "diversity_index": 82,
-                "innovation_score": 76,
-                "social_impact": 86,
-                "work_life_balance": 75,
-                "stock_performance": 1.2,
-                "advertising_spend": 3.8,
-                "data_centers": 6,
-                "charitable_giving": 325,
-                "digital_transformation": 78,
-                "revenue_growth": 3.2,
-                "market_share": 38.9,
-                "employee_satisfaction": 78,
-                "cybersecurity_score": 82,
-                "supply_chain_efficiency": 81,
-                "international_presence": 87,
-                "startup_acquisitions": 9,
-                "cloud_infrastructure": 8.9,
-                "ai_investment": 3.2,
-                "debt_to_equity": 0.41,
-                "cash_reserves": 11.2,
-                "sustainability_initiatives": 81,
-                "regulatory_compliance": 88,
-                "originalCode": "DISNEY"
-        } },
-        { id: '012', name: 'Alphabet Inc.', tags: ['A2', 'C5', 'D5'], stats: {
-                "country": "USA",
-                "market_cap": 1789.3,
-                "annual_revenue": 307.4,
-                "employee_count": 182000,
-                "profit_margin": 21.3,
-                "rd_spending": 39.5,
-                "brand_value": 263.4,
-                "customer_satisfaction": 80,
-                "environmental_score": 87,
-                "global_offices": 70,
-                "patents_held": 58000,
-                "ceo_approval": 88,
-                "diversity_index": 79,
-                "innovation_score": 96,
-                "social_impact": 85,
-                "work_life_balance": 79,
-                "stock_performance": 15.2,
-                "advertising_spend": 5.4,
-                "data_centers": 42,
-                "charitable_giving": 195,
-                "digital_transformation": 99,
-                "revenue_growth": 10.8,
-                "market_share": 91.9,
-                "employee_satisfaction": 82,
-                "cybersecurity_score": 93,
-                "supply_chain_efficiency": 84,
-                "international_presence": 94,
-                "startup_acquisitions": 31,
-                "cloud_infrastructure": 34.8,
-                "ai_investment": 26.4,
-                "debt_to_equity": 0.12,
-                "cash_reserves": 118.3,
-                "sustainability_initiatives": 88,
-                "regulatory_compliance": 82,
-                "originalCode": "GOOGLE"
-        } },
-        { id: '013', name: 'Infosys Limited', tags: ['A3', 'C1', 'D5'], stats: {
-                "country": "India",
-                "market_cap": 78.9,
-                "annual_revenue": 18.2,
-                "employee_count": 343000,
-                "profit_margin": 21.4,
-                "rd_spending": 0.4,
-                "brand_value": 8.9,
-                "customer_satisfaction": 82,
-                "environmental_score": 78,
-                "global_offices": 68,
-                "patents_held": 2100,
-                "ceo_approval": 89,
-                "diversity_index": 74,
-                "innovation_score": 79,
-                "social_impact": 86,
-                "work_life_balance": 78,
-                "stock_performance": 18.4,
-                "advertising_spend": 0.2,
-                "data_centers": 12,
-                "charitable_giving": 34,
-                "digital_transformation": 91,
-                "revenue_growth": 15.2,
-                "market_share": 3.8,
-                "employee_satisfaction": 81,
-                "cybersecurity_score": 87,
-                "supply_chain_efficiency": 84,
-                "international_presence": 82,
-                "startup_acquisitions": 7,
-                "cloud_infrastructure": 14.8,
-                "ai_investment": 4.8,
-                "debt_to_equity": 0.12,
-                "cash_reserves": 4.2,
-                "sustainability_initiatives": 84,
-                "regulatory_compliance": 91,
-                "originalCode": "INFOSYS"
-        } },
-        { id: '014', name: 'LVMH Moët Hennessy', tags: ['A4', 'C4', 'D1'], stats: {
-                "country": "France",
-                "market_cap": 398.4,
-                "annual_revenue": 86.2,
-                "employee_count": 213000,
-                "profit_margin": 21.1,
-                "rd_spending": 0.8,
-                "brand_value": 124.8,
-                "customer_satisfaction": 92,
-                "environmental_score": 76,
-                "global_offices": 312,
-                "patents_held": 2800,
-                "ceo_approval": 87,
-                "diversity_index": 74,
-                "innovation_score": 72,
-                "social_impact": 78,
-                "work_life_balance": 82,
-                "stock_performance": 8.9,
-                "advertising_spend": 8.2,
-                "data_centers": 8,
-                "charitable_giving": 124,
-                "digital_transformation": 71,
-                "revenue_growth": 23.1,
-                "market_share": 31.4,
-                "employee_satisfaction": 81,
-                "cybersecurity_score": 84,
-                "supply_chain_efficiency": 89,
-                "international_presence": 94,
-                "startup_acquisitions": 6,
-                "cloud_infrastructure": 4.2,
-                "ai_investment": 2.8,
-                "debt_to_equity": 0.23,
-                "cash_reserves": 7.8,
-                "sustainability_initiatives": 79,
-                "regulatory_compliance": 89,
-                "originalCode": "LVMH"
-        } },
-        { id: '015', name: 'MercadoLibre Inc.', tags: ['A5', 'C3', 'B1'], stats: {
-                "country": "Brazil",
-                "market_cap": 89.4,
-                "annual_revenue": 14.5,
-                "employee_count": 42000,
-                "profit_margin": 8.9,
-                "rd_spending": 0.8,
-                "brand_value": 8.9,
-                "customer_satisfaction": 84,
-                "environmental_score": 72,
-                "global_offices": 28,
-                "patents_held": 280,
-                "ceo_approval": 86,
-                "diversity_index": 76,
-                "innovation_score": 87,
-                "social_impact": 79,
-                "work_life_balance": 81,
-                "stock_performance": 42.8,
-                "advertising_spend": 1.8,
-                "data_centers": 12,
-                "charitable_giving": 18,
-                "digital_transformation": 89,
-                "revenue_growth": 36.8,
-                "market_share": 68.9,
-                "employee_satisfaction": 82,
-                "cybersecurity_score": 84,
-                "supply_chain_efficiency": 86,
-                "international_presence": 78,
-                "startup_acquisitions": 14,
-                "cloud_infrastructure": 18.9,
-                "ai_investment": 4.8,
-                "debt_to_equity": 0.18,
-                "cash_reserves": 3.2,
-                "sustainability_initiatives": 76,
-                "regulatory_compliance": 81,
-                "originalCode": "MERCADOLIBRE"
-        } },
-        { id: '016', name: 'Meta Platforms Inc.', tags: ['A1', 'C5', 'B5'], stats: {
-                "country": "USA",
-                "market_cap": 798.2,
-                "annual_revenue": 134.9,
-                "employee_count": 87000,
-                "profit_margin": 23.2,
-                "rd_spending": 35.3,
-                "brand_value": 101.2,
-                "customer_satisfaction": 68,
-                "environmental_score": 75,
-                "global_offices": 95,
-                "patents_held": 21000,
-                "ceo_approval": 52,
-                "diversity_index": 76,
-                "innovation_score": 88,
-                "social_impact": 61,
-                "work_life_balance": 73,
-                "stock_performance": 18.9,
-                "advertising_spend": 12.1,
-                "data_centers": 18,
-                "charitable_giving": 89,
-                "digital_transformation": 94,
-                "revenue_growth": 11.2,
-                "market_share": 68.2,
-                "employee_satisfaction": 71,
-                "cybersecurity_score": 86,
-                "supply_chain_efficiency": 76,
-                "international_presence": 88,
-                "startup_acquisitions": 28,
-                "cloud_infrastructure": 22.8,
-                "ai_investment": 15.9,
-                "debt_to_equity": 0.08,
-                "cash_reserves": 41.9,
-                "sustainability_initiatives": 76,
-                "regulatory_compliance": 69,
-                "originalCode": "META"
-        } },
-        { id: '017', name: 'Microsoft Corporation', tags: ['A2', 'B1', 'D3'], stats: {
-                "country": "USA",
-                "market_cap": 2450.2,
-                "annual_revenue": 211.9,
-                "employee_count": 221000,
-                "profit_margin": 36.7,
-                "rd_spending": 24.5,
-                "brand_value": 191.6,
-                "customer_satisfaction": 81,
-                "environmental_score": 88,
-                "global_offices": 190,
-                "patents_held": 65000,
-                "ceo_approval": 96,
-                "diversity_index": 85,
-                "innovation_score": 89,
-                "social_impact": 91,
-                "work_life_balance": 84,
-                "stock_performance": 9.1,
-                "advertising_spend": 2.3,
-                "data_centers": 54,
-                "charitable_giving": 310,
-                "digital_transformation": 98,
-                "revenue_growth": 12.2,
-                "market_share": 21.4,
-                "employee_satisfaction": 87,
-                "cybersecurity_score": 96,
-                "supply_chain_efficiency": 82,
-                "international_presence": 92,
-                "startup_acquisitions": 18,
-                "cloud_infrastructure": 42.6,
-                "ai_investment": 13.7,
-                "debt_to_equity": 0.51,
-                "cash_reserves": 104.8,
-                "sustainability_initiatives": 89,
-                "regulatory_compliance": 91,
-                "originalCode": "MICROSOFT"
-        } },
-        { id: '018', name: 'monday.com Ltd.', tags: ['A3', 'B2', 'D2'], stats: {
-                "country": "Israel",
-                "market_cap": 12.8,
-                "annual_revenue": 0.9,
-                "employee_count": 2100,
-                "profit_margin": -28.9,
-                "rd_spending": 0.4,
-                "brand_value": 0.8,
-                "customer_satisfaction": 89,
-                "environmental_score": 84,
-                "global_offices": 12,
-                "patents_held": 45,
-                "ceo_approval": 92,
-                "diversity_index": 82,
-                "innovation_score": 91,
-                "social_impact": 78,
-                "work_life_balance": 93,
-                "stock_performance": 38.4,
-                "advertising_spend": 0.2,
-                "data_centers": 4,
-                "charitable_giving": 2,
-                "digital_transformation": 96,
-                "revenue_growth": 64.2,
-                "market_share": 4.8,
-                "employee_satisfaction": 91,
-                "cybersecurity_score": 89,
-                "supply_chain_efficiency": 82,
-                "international_presence": 68,
-                "startup_acquisitions": 3,
-                "cloud_infrastructure": 8.9,
-                "ai_investment": 2.8,
-                "debt_to_equity": 0.04,
-                "cash_reserves": 0.6,
-                "sustainability_initiatives": 86,
-                "regulatory_compliance": 84,
-                "originalCode": "MONDAY"
-        } },
-        { id: '019', name: 'Nestlé S.A.', tags: ['A4', 'B3', 'D3'], stats: {
-                "country": "Switzerland",
-                "market_cap": 334.2,
-                "annual_revenue": 94.4,
-                "employee_count": 273000,
-                "profit_margin": 15.8,
-                "rd_spending": 1.7,
-                "brand_value": 16.8,
-                "customer_satisfaction": 79,
-                "environmental_score": 74,
-                "global_offices": 418,
-                "patents_held": 8900,
-                "ceo_approval": 79,
-                "diversity_index": 81,
-                "innovation_score": 74,
-                "social_impact": 84,
-                "work_life_balance": 83,
-                "stock_performance": 4.2,
-                "advertising_spend": 7.8,
-                "data_centers": 12,
-                "charitable_giving": 89,
-                "digital_transformation": 68,
-                "revenue_growth": 7.5,
-                "market_share": 4.2,
-                "employee_satisfaction": 78,
-                "cybersecurity_score": 81,
-                "supply_chain_efficiency": 91,
-                "international_presence": 97,
-                "startup_acquisitions": 14,
-                "cloud_infrastructure": 6.2,
-                "ai_investment": 3.8,
-                "debt_to_equity": 0.38,
-                "cash_reserves": 4.8,
-                "sustainability_initiatives": 82,
-                "regulatory_compliance": 88,
-                "originalCode": "NESTLE"
-        } },
-        { id: '020', name: 'Netflix Inc.', tags: ['A5', 'B4', 'D2'], stats: {
-                "country": "USA",
-                "market_cap": 198.3,
-                "annual_revenue": 33.7,
-                "employee_count": 13000,
-                "profit_margin": 12.9,
-                "rd_spending": 2.1,
-                "brand_value": 29.4,
-                "customer_satisfaction": 76,
-                "environmental_score": 82,
-                "global_offices": 28,
-                "patents_held": 800,
-                "ceo_approval": 85,
-                "diversity_index": 88,
-                "innovation_score": 85,
-                "social_impact": 74,
-                "work_life_balance": 82,
-                "stock_performance": 8.7,
-                "advertising_spend": 2.5,
-                "data_centers": 15,
-                "charitable_giving": 28,
-                "digital_transformation": 90,
-                "revenue_growth": 6.7,
-                "market_share": 22.8,
-                "employee_satisfaction": 84,
-                "cybersecurity_score": 87,
-                "supply_chain_efficiency": 79,
-                "international_presence": 91,
-                "startup_acquisitions": 5,
-                "cloud_infrastructure": 28.4,
-                "ai_investment": 4.8,
-                "debt_to_equity": 0.87,
-                "cash_reserves": 6.2,
-                "sustainability_initiatives": 83,
-                "regulatory_compliance": 86,
-                "originalCode": "NETFLIX"
-        } },
-        { id: '021', name: 'Nintendo Co., Ltd.', tags: ['A1', 'B5', 'D4'], stats: {
-                "country": "Japan",
-                "market_cap": 58.9,
-                "annual_revenue": 16.9,
-                "employee_count": 6717,
-                "profit_margin": 18.4,
-                "rd_spending": 0.6,
-                "brand_value": 15.6,
-                "customer_satisfaction": 91,
-                "environmental_score": 78,
-                "global_offices": 12,
-                "patents_held": 7800,
-                "ceo_approval": 84,
-                "diversity_index": 58,
-                "innovation_score": 88,
-                "social_impact": 82,
-                "work_life_balance": 81,
-                "stock_performance": 12.8,
-                "advertising_spend": 0.8,
-                "data_centers": 2,
-                "charitable_giving": 8,
-                "digital_transformation": 69,
-                "revenue_growth": 3.1,
-                "market_share": 22.4,
-                "employee_satisfaction": 89,
-                "cybersecurity_score": 79,
-                "supply_chain_efficiency": 84,
-                "international_presence": 68,
-                "startup_acquisitions": 2,
-                "cloud_infrastructure": 2.8,
-                "ai_investment": 1.2,
-                "debt_to_equity": 0,
-                "cash_reserves": 14.2,
-                "sustainability_initiatives": 81,
-                "regulatory_compliance": 92,
-                "originalCode": "NINTENDO"
-        } },
-        { id: '022', name: 'Nokia Corporation', tags: ['A2', 'B4', 'D1'], stats: {
-                "country": "Finland",
-                "market_cap": 28.4,
-                "annual_revenue": 24.9,
-                "employee_count": 90000,
-                "profit_margin": 11.2,
-                "rd_spending": 4.8,
-                "brand_value": 8.9,
-                "customer_satisfaction": 74,
-                "environmental_score": 84,
-                "global_offices": 118,
-                "patents_held": 34000,
-                "ceo_approval": 81,
-                "diversity_index": 82,
-                "innovation_score": 86,
-                "social_impact": 82,
-                "work_life_balance": 89,
-                "stock_performance": 18.4,
-                "advertising_spend": 0.8,
-                "data_centers": 12,
-                "charitable_giving": 28,
-                "digital_transformation": 87,
-                "revenue_growth": 4.8,
-                "market_share": 15.2,
-                "employee_satisfaction": 83,
-                "cybersecurity_score": 89,
-                "supply_chain_efficiency": 81,
-                "international_presence": 86,
-                "startup_acquisitions": 14,
-                "cloud_infrastructure": 8.4,
-                "ai_investment": 3.2,
-                "debt_to_equity": 0.22,
-                "cash_reserves": 7.8,
-                "sustainability_initiatives": 91,
-                "regulatory_compliance": 93,
-                "originalCode": "NOKIA"
-        } },
-        { id: '023', name: 'Noon.com', tags: ['A3', 'B5'], stats: {
-                "country": "UAE",
-                "market_cap": 8.2,
-                "annual_revenue": 2.4,
-                "employee_count": 3200,
-                "profit_margin": -18.4,
-                "rd_spending": 0.2,
-                "brand_value": 1.2,
-                "customer_satisfaction": 79,
-                "environmental_score": 68,
-                "global_offices": 8,
-                "patents_held": 12,
-                "ceo_approval": 81,
-                "diversity_index": 84,
-                "innovation_score": 76,
-                "social_impact": 72,
-                "work_life_balance": 76,
-                "stock_performance": 0,
-                "advertising_spend": 0.4,
-                "data_centers": 2,
-                "charitable_giving": 4,
-                "digital_transformation": 84,
-                "revenue_growth": 89.2,
-                "market_share": 28.4,
-                "employee_satisfaction": 78,
-                "cybersecurity_score": 81,
-                "supply_chain_efficiency": 84,
-                "international_presence": 42,
-                "startup_acquisitions": 2,
-                "cloud_infrastructure": 6.8,
-                "ai_investment": 1.2,
-                "debt_to_equity": 0.28,
-                "cash_reserves": 0.8,
-                "sustainability_initiatives": 71,
-                "regulatory_compliance": 78,
-                "originalCode": "NOON"
-        } },
-        { id: '024', name: 'NVIDIA Corporation', tags: ['A4', 'B5'], stats: {
-                "country": "USA",
-                "market_cap": 1650.4,
-                "annual_revenue": 79.8,
-                "employee_count": 29600,
-                "profit_margin": 32.4,
-                "rd_spending": 8.7,
-                "brand_value": 32.8,
-                "customer_satisfaction": 89,
-                "environmental_score": 84,
-                "global_offices": 35,
-                "patents_held": 11000,
-                "ceo_approval": 94,
-                "diversity_index": 71,
-                "innovation_score": 97,
-                "social_impact": 78,
-                "work_life_balance": 81,
-                "stock_performance": 239.3,
-                "advertising_spend": 0.8,
-                "data_centers": 12,
-                "charitable_giving": 45,
-                "digital_transformation": 93,
-                "revenue_growth": 126,
-                "market_share": 82.4,
-                "employee_satisfaction": 86,
-                "cybersecurity_score": 88,
-                "supply_chain_efficiency": 85,
-                "international_presence": 78,
-                "startup_acquisitions": 14,
-                "cloud_infrastructure": 18.9,
-                "ai_investment": 32.8,
-                "debt_to_equity": 0.22,
-                "cash_reserves": 29.5,
-                "sustainability_initiatives": 85,
-                "regulatory_compliance": 89,
-                "originalCode": "NVIDIA"
-        } },
-        { id: '025', name: 'Oracle Corporation', tags: ['A5', 'B1', 'C4'], stats: {
-                "country": "USA",
-                "market_cap": 324.8,
-                "annual_revenue": 49.9,
-                "employee_count": 148000,
-                "profit_margin": 24.1,
-                "rd_spending": 6.8,
-                "brand_value": 18.4,
-                "customer_satisfaction": 72,
-                "environmental_score": 78,
-                "global_offices": 175,
-                "patents_held": 68000,
-                "ceo_approval": 82,
-                "diversity_index": 76,
-                "innovation_score": 81,
-                "social_impact": 74,
-                "work_life_balance": 73,
-                "stock_performance": 14.8,
-                "advertising_spend": 1.8,
-                "data_centers": 42,
-                "charitable_giving": 78,
-                "digital_transformation": 91,
-                "revenue_growth": 6.8,
-                "market_share": 14.2,
-                "employee_satisfaction": 74,
-                "cybersecurity_score": 91,
-                "supply_chain_efficiency": 79,
-                "international_presence": 82,
-                "startup_acquisitions": 21,
-                "cloud_infrastructure": 18.9,
-                "ai_investment": 4.2,
-                "debt_to_equity": 0.41,
-                "cash_reserves": 43.2,
-                "sustainability_initiatives": 81,
-                "regulatory_compliance": 89,
-                "originalCode": "ORACLE"
-        } },
-        { id: '026', name: 'Samsung Electronics', tags: ['A1', 'B2', 'C5'], stats: {
-                "country": "South Korea",
-                "market_cap": 368.2,
-                "annual_revenue": 244.2,
-                "employee_count": 267000,
-                "profit_margin": 13.8,
-                "rd_spending": 20.4,
-                "brand_value": 87.7,
-                "customer_satisfaction": 81,
-                "environmental_score": 76,
-                "global_offices": 189,
-                "patents_held": 178000,
-                "ceo_approval": 76,
-                "diversity_index": 67,
-                "innovation_score": 89,
-                "social_impact": 74,
-                "work_life_balance": 68,
-                "stock_performance": 6.2,
-                "advertising_spend": 4.1,
-                "data_centers": 24,
-                "charitable_giving": 89,
-                "digital_transformation": 87,
-                "revenue_growth": 8.1,
-                "market_share": 20.9,
-                "employee_satisfaction": 72,
-                "cybersecurity_score": 86,
-                "supply_chain_efficiency": 91,
-                "international_presence": 89,
-                "startup_acquisitions": 16,
-                "cloud_infrastructure": 18.9,
-                "ai_investment": 12.8,
-                "debt_to_equity": 0.15,
-                "cash_reserves": 82.4,
-                "sustainability_initiatives": 79,
-                "regulatory_compliance": 84,
-                "originalCode": "SAMSUNG"
-        } },
-        { id: '027', name: 'SAP SE', tags: ['A2', 'B3', 'C1'], stats: {
-                "country": "Germany",
-                "market_cap": 156.2,
-                "annual_revenue": 31.9,
-                "employee_count": 112000,
-                "profit_margin": 18.4,
-                "rd_spending": 5.9,
-                "brand_value": 19.8,
-                "customer_satisfaction": 77,
-                "environmental_score": 89,
-                "global_offices": 142,
-                "patents_held": 8900,
-                "ceo_approval": 84,
-                "diversity_index": 82,
-                "innovation_score": 81,
-                "social_impact": 85,
-                "work_life_balance": 91,
-                "stock_performance": 12.6,
-                "advertising_spend": 1.2,
-                "data_centers": 18,
-                "charitable_giving": 68,
-                "digital_transformation": 87,
-                "revenue_growth": 5.8,
-                "market_share": 24.8,
-                "employee_satisfaction": 86,
-                "cybersecurity_score": 89,
-                "supply_chain_efficiency": 84,
-                "international_presence": 89,
-                "startup_acquisitions": 12,
-                "cloud_infrastructure": 14.8,
-                "ai_investment": 6.8,
-                "debt_to_equity": 0.18,
-                "cash_reserves": 12.4,
-                "sustainability_initiatives": 91,
-                "regulatory_compliance": 92,
-                "originalCode": "SAP"
-        } },
-        { id: '028', name: 'Shopify Inc.', tags: ['A3', 'B4', 'C4'], stats: {
-                "country": "Canada",
-                "market_cap": 78.4,
-                "annual_revenue": 7.1,
-                "employee_count": 12000,
-                "profit_margin": -12.8,
-                "rd_spending": 1.2,
-                "brand_value": 8.9,
-                "customer_satisfaction": 89,
-                "environmental_score": 86,
-                "global_offices": 18,
-                "patents_held": 890,
-                "ceo_approval": 91,
-                "diversity_index": 84,
-                "innovation_score": 92,
-                "social_impact": 81,
-                "work_life_balance": 94,
-                "stock_performance": 48.2,
-                "advertising_spend": 1.2,
-                "data_centers": 8,
-                "charitable_giving": 14,
-                "digital_transformation": 96,
-                "revenue_growth": 21.2,
-                "market_share": 10.3,
-                "employee_satisfaction": 92,
-                "cybersecurity_score": 91,
-                "supply_chain_efficiency": 89,
-                "international_presence": 78,
-                "startup_acquisitions": 12,
-                "cloud_infrastructure": 18.9,
-                "ai_investment": 8.9,
-                "debt_to_equity": 0.02,
-                "cash_reserves": 6.8,
-                "sustainability_initiatives": 89,
-                "regulatory_compliance": 86,
-                "originalCode": "SHOPIFY"
-        } },
-        { id: '029', name: 'SoftBank Group Corp.', tags: ['A4', 'B5', 'C3'], stats: {
-                "country": "Japan",
-                "market_cap": 68.2,
-                "annual_revenue": 51.8,
-                "employee_count": 83000,
-                "profit_margin": -18.4,
-                "rd_spending": 0.8,
-                "brand_value": 12.1,
-                "customer_satisfaction": 71,
-                "environmental_score": 68,
-                "global_offices": 98,
-                "patents_held": 4800,
-                "ceo_approval": 64,
-                "diversity_index": 61,
-                "innovation_score": 89,
-                "social_impact": 72,
-                "work_life_balance": 68,
-                "stock_performance": -28.4,
-                "advertising_spend": 1.2,
-                "data_centers": 18,
-                "charitable_giving": 89,
-                "digital_transformation": 91,
-                "revenue_growth": 14.8,
-                "market_share": 12.8,
-                "employee_satisfaction": 68,
-                "cybersecurity_score": 78,
-                "supply_chain_efficiency": 74,
-                "international_presence": 82,
-                "startup_acquisitions": 124,
-                "cloud_infrastructure": 24.8,
-                "ai_investment": 18.9,
-                "debt_to_equity": 1.89,
-                "cash_reserves": 42.8,
-                "sustainability_initiatives": 74,
-                "regulatory_compliance": 76,
-                "originalCode": "SOFTBANK"
-        } },
-        { id: '030', name: 'Sony Group Corporation', tags: ['A5', 'B4', 'C1'], stats: {
-                "country": "Japan",
-                "market_cap": 108.4,
-                "annual_revenue": 88.7,
-                "employee_count": 109000,
-                "profit_margin": 12.8,
-                "rd_spending": 4.8,
-                "brand_value": 12.7,
-                "customer_satisfaction": 84,
-                "environmental_score": 81,
-                "global_offices": 89,
-                "patents_held": 132000,
-                "ceo_approval": 78,
-                "diversity_index": 69,
-                "innovation_score": 86,
-                "social_impact": 79,
-                "work_life_balance": 72,
-                "stock_performance": 14.8,
-                "advertising_spend": 4.2,
-                "data_centers": 8,
-                "charitable_giving": 45,
-                "digital_transformation": 76,
-                "revenue_growth": 10.2,
-                "market_share": 18.9,
-                "employee_satisfaction": 74,
-                "cybersecurity_score": 82,
-                "supply_chain_efficiency": 86,
-                "international_presence": 87,
-                "startup_acquisitions": 11,
-                "cloud_infrastructure": 8.9,
-                "ai_investment": 6.2,
-                "debt_to_equity": 0.18,
-                "cash_reserves": 12.8,
-                "sustainability_initiatives": 83,
-                "regulatory_compliance": 89,
-                "originalCode": "SONY"
-        } },
-        { id: '031', name: 'Spotify Technology S.A.', tags: ['A1', 'B3', 'C2'], stats: {
-                "country": "Sweden",
-                "market_cap": 48.2,
-                "annual_revenue": 13.2,
-                "employee_count": 9800,
-                "profit_margin": -2.1,
-                "rd_spending": 2.4,
-                "brand_value": 8.9,
-                "customer_satisfaction": 81,
-                "environmental_score": 84,
-                "global_offices": 28,
-                "patents_held": 890,
-                "ceo_approval": 86,
-                "diversity_index": 79,
-                "innovation_score": 89,
-                "social_impact": 78,
-                "work_life_balance": 89,
-                "stock_performance": 28.4,
-                "advertising_spend": 1.8,
-                "data_centers": 14,
-                "charitable_giving": 12,
-                "digital_transformation": 94,
-                "revenue_growth": 20.1,
-                "market_share": 31.8,
-                "employee_satisfaction": 87,
-                "cybersecurity_score": 85,
-                "supply_chain_efficiency": 76,
-                "international_presence": 84,
-                "startup_acquisitions": 8,
-                "cloud_infrastructure": 18.9,
-                "ai_investment": 8.9,
-                "debt_to_equity": 0.06,
-                "cash_reserves": 3.2,
-                "sustainability_initiatives": 86,
-                "regulatory_compliance": 82,
-                "originalCode": "SPOTIFY"
-        } },
-        { id: '032', name: 'Tata Consultancy Services', tags: ['A2', 'B1', 'C2'], stats: {
-                "country": "India",
-                "market_cap": 118.4,
-                "annual_revenue": 27.9,
-                "employee_count": 614000,
-                "profit_margin": 24.8,
-                "rd_spending": 0.8,
-                "brand_value": 16.8,
-                "customer_satisfaction": 84,
-                "environmental_score": 82,
-                "global_offices": 149,
-                "patents_held": 5800,
-                "ceo_approval": 87,
-                "diversity_index": 78,
-                "innovation_score": 81,
-                "social_impact": 89,
-                "work_life_balance": 79,
-                "stock_performance": 14.2,
-                "advertising_spend": 0.1,
-                "data_centers": 28,
-                "charitable_giving": 56,
-                "digital_transformation": 89,
-                "revenue_growth": 13.8,
-                "market_share": 5.2,
-                "employee_satisfaction": 82,
-                "cybersecurity_score": 89,
-                "supply_chain_efficiency": 86,
-                "international_presence": 85,
-                "startup_acquisitions": 4,
-                "cloud_infrastructure": 18.9,
-                "ai_investment": 6.8,
-                "debt_to_equity": 0.08,
-                "cash_reserves": 7.2,
-                "sustainability_initiatives": 87,
-                "regulatory_compliance": 89,
-                "originalCode": "TATA_CONSULTANCY"
-        } },
-        { id: '033', name: 'Tencent Holdings', tags: ['A3', 'B2', 'C2'], stats: {
-                "country": "China",
-                "market_cap": 456.8,
-                "annual_revenue": 82.1,
-                "employee_count": 116000,
-                "profit_margin": 22.8,
-                "rd_spending": 6.9,
-                "brand_value": 89.6,
-                "customer_satisfaction": 78,
-                "environmental_score": 68,
-                "global_offices": 52,
-                "patents_held": 28000,
-                "ceo_approval": 81,
-                "diversity_index": 62,
-                "innovation_score": 87,
-                "social_impact": 72,
-                "work_life_balance": 59,
-                "stock_performance": -12.8,
-                "advertising_spend": 3.2,
-                "data_centers": 34,
-                "charitable_giving": 58,
-                "digital_transformation": 92,
-                "revenue_growth": 8.8,
-                "market_share": 39.2,
-                "employee_satisfaction": 73,
-                "cybersecurity_score": 76,
-                "supply_chain_efficiency": 82,
-                "international_presence": 67,
-                "startup_acquisitions": 42,
-                "cloud_infrastructure": 18.9,
-                "ai_investment": 9.8,
-                "debt_to_equity": 0.28,
-                "cash_reserves": 42.8,
-                "sustainability_initiatives": 71,
-                "regulatory_compliance": 74,
-                "originalCode": "TENCENT"
-        } },
-        { id: '034', name: 'Tesla Inc.', tags: ['A4', 'B2', 'C1'], stats: {
-                "country": "USA",
-                "market_cap": 789.6,
-                "annual_revenue": 96.8,
-                "employee_count": 140000,
-                "profit_margin": 8.1,
-                "rd_spending": 3.1,
-                "brand_value": 66.2,
-                "customer_satisfaction": 87,
-                "environmental_score": 94,
-                "global_offices": 45,
-                "patents_held": 3200,
-                "ceo_approval": 73,
-                "diversity_index": 68,
-                "innovation_score": 93,
-                "social_impact": 89,
-                "work_life_balance": 65,
-                "stock_performance": 43.5,
-                "advertising_spend": 0.1,
-                "data_centers": 8,
-                "charitable_giving": 37,
-                "digital_transformation": 91,
-                "revenue_growth": 51.3,
-                "market_share": 17.8,
-                "employee_satisfaction": 69,
-                "cybersecurity_score": 81,
-                "supply_chain_efficiency": 78,
-                "international_presence": 72,
-                "startup_acquisitions": 7,
-                "cloud_infrastructure": 12.4,
-                "ai_investment": 8.7,
-                "debt_to_equity": 0.17,
-                "cash_reserves": 24.4,
-                "sustainability_initiatives": 96,
-                "regulatory_compliance": 74,
-                "originalCode": "TESLA"
-        } },
-        { id: '035', name: 'Toyota Motor Corporation', tags: ['A5', 'B3'], stats: {
-                "country": "Japan",
-                "market_cap": 248.9,
-                "annual_revenue": 274.5,
-                "employee_count": 366000,
-                "profit_margin": 8.9,
-                "rd_spending": 9.2,
-                "brand_value": 59.8,
-                "customer_satisfaction": 86,
-                "environmental_score": 83,
-                "global_offices": 298,
-                "patents_held": 89000,
-                "ceo_approval": 81,
-                "diversity_index": 71,
-                "innovation_score": 84,
-                "social_impact": 87,
-                "work_life_balance": 76,
-                "stock_performance": 8.4,
-                "advertising_spend": 3.2,
-                "data_centers": 18,
-                "charitable_giving": 78,
-                "digital_transformation": 72,
-                "revenue_growth": 10.4,
-                "market_share": 10.8,
-                "employee_satisfaction": 79,
-                "cybersecurity_score": 84,
-                "supply_chain_efficiency": 94,
-                "international_presence": 91,
-                "startup_acquisitions": 9,
-                "cloud_infrastructure": 8.9,
-                "ai_investment": 7.8,
-                "debt_to_equity": 0.42,
-                "cash_reserves": 38.2,
-                "sustainability_initiatives": 89,
-                "regulatory_compliance": 91,
-                "originalCode": "TOYOTA"
-        } },
-        { id: '036', name: 'Taiwan Semiconductor Manufacturing Company', tags: ['A1', 'B1'], stats: {
-                "country": "Taiwan",
-                "market_cap": 498.4,
-                "annual_revenue": 70.8,
-                "employee_count": 73000,
-                "profit_margin": 42.8,
-                "rd_spending": 4.1,
-                "brand_value": 8.9,
-                "customer_satisfaction": 89,
-                "environmental_score": 81,
-                "global_offices": 18,
-                "patents_held": 48000,
-                "ceo_approval": 91,
-                "diversity_index": 69,
-                "innovation_score": 96,
-                "social_impact": 78,
-                "work_life_balance": 74,
-                "stock_performance": 8.4,
-                "advertising_spend": 0.2,
-                "data_centers": 6,
-                "charitable_giving": 89,
-                "digital_transformation": 89,
-                "revenue_growth": 18.9,
-                "market_share": 54.1,
-                "employee_satisfaction": 81,
-                "cybersecurity_score": 92,
-                "supply_chain_efficiency": 94,
-                "international_presence": 68,
-                "startup_acquisitions": 4,
-                "cloud_infrastructure": 8.9,
-                "ai_investment": 6.8,
-                "debt_to_equity": 0.08,
-                "cash_reserves": 42.8,
-                "sustainability_initiatives": 84,
-                "regulatory_compliance": 91,
-                "originalCode": "TSMC"
-        } },
-        { id: '037', name: 'Unilever PLC', tags: ['A2', 'C2'], stats: {
-                "country": "UK",
-                "market_cap": 128.4,
-                "annual_revenue": 62.8,
-                "employee_count": 148000,
-                "profit_margin": 16.8,
-                "rd_spending": 1.1,
-                "brand_value": 12.1,
-                "customer_satisfaction": 81,
-                "environmental_score": 89,
-                "global_offices": 198,
-                "patents_held": 8900,
-                "ceo_approval": 82,
-                "diversity_index": 89,
-                "innovation_score": 76,
-                "social_impact": 92,
-                "work_life_balance": 86,
-                "stock_performance": 4.8,
-                "advertising_spend": 8.2,
-                "data_centers": 8,
-                "charitable_giving": 124,
-                "digital_transformation": 74,
-                "revenue_growth": 8.9,
-                "market_share": 8.9,
-                "employee_satisfaction": 84,
-                "cybersecurity_score": 86,
-                "supply_chain_efficiency": 88,
-                "international_presence": 96,
-                "startup_acquisitions": 8,
-                "cloud_infrastructure": 6.8,
-                "ai_investment": 2.8,
-                "debt_to_equity": 0.41,
-                "cash_reserves": 4.2,
-                "sustainability_initiatives": 94,
-                "regulatory_compliance": 91,
-                "originalCode": "UNILEVER"
-        } },
-        { id: '038', name: 'Volkswagen AG', tags: ['A3', 'C3'], stats: {
-                "country": "Germany",
-                "market_cap": 68.9,
-                "annual_revenue": 279.2,
-                "employee_count": 672000,
-                "profit_margin": 6.8,
-                "rd_spending": 15.8,
-                "brand_value": 34.8,
-                "customer_satisfaction": 76,
-                "environmental_score": 72,
-                "global_offices": 298,
-                "patents_held": 24000,
-                "ceo_approval": 68,
-                "diversity_index": 74,
-                "innovation_score": 84,
-                "social_impact": 79,
-                "work_life_balance": 81,
-                "stock_performance": 2.4,
-                "advertising_spend": 4.8,
-                "data_centers": 18,
-                "charitable_giving": 89,
-                "digital_transformation": 76,
-                "revenue_growth": 8.4,
-                "market_share": 12.4,
-                "employee_satisfaction": 72,
-                "cybersecurity_score": 82,
-                "supply_chain_efficiency": 88,
-                "international_presence": 94,
-                "startup_acquisitions": 12,
-                "cloud_infrastructure": 8.9,
-                "ai_investment": 6.8,
-                "debt_to_equity": 0.68,
-                "cash_reserves": 31.2,
-                "sustainability_initiatives": 87,
-                "regulatory_compliance": 84,
-                "originalCode": "VOLKSWAGEN"
-        } },
-        { id: '039', name: 'Walmart Inc.', tags: ['A4', 'C3'], stats: {
-                "country": "USA",
-                "market_cap": 418.2,
-                "annual_revenue": 611.3,
-                "employee_count": 2300000,
-                "profit_margin": 2.4,
-                "rd_spending": 1.1,
-                "brand_value": 111.9,
-                "customer_satisfaction": 73,
-                "environmental_score": 64,
-                "global_offices": 10500,
-                "patents_held": 3200,
-                "ceo_approval": 74,
-                "diversity_index": 81,
-                "innovation_score": 68,
-                "social_impact": 79,
-                "work_life_balance": 71,
-                "stock_performance": 6.4,
-                "advertising_spend": 2.4,
-                "data_centers": 24,
-                "charitable_giving": 1400,
-                "digital_transformation": 72,
-                "revenue_growth": 4.2,
-                "market_share": 23.4,
-                "employee_satisfaction": 68,
-                "cybersecurity_score": 78,
-                "supply_chain_efficiency": 89,
-                "international_presence": 84,
-                "startup_acquisitions": 8,
-                "cloud_infrastructure": 6.8,
-                "ai_investment": 2.8,
-                "debt_to_equity": 0.58,
-                "cash_reserves": 14.8,
-                "sustainability_initiatives": 74,
-                "regulatory_compliance": 86,
-                "originalCode": "WALMART"
-        } },
-        { id: '040', name: 'Zoom Video Communications Inc.', tags: ['A5', 'C5'], stats: {
-                "country": "USA",
-                "market_cap": 21.8,
-                "annual_revenue": 4.4,
-                "employee_count": 8400,
-                "profit_margin": 18.9,
-                "rd_spending": 0.8,
-                "brand_value": 4.2,
-                "customer_satisfaction": 89,
-                "environmental_score": 78,
-                "global_offices": 24,
-                "patents_held": 890,
-                "ceo_approval": 94,
-                "diversity_index": 81,
-                "innovation_score": 92,
-                "social_impact": 89,
-                "work_life_balance": 91,
-                "stock_performance": -68.4,
-                "advertising_spend": 0.8,
-                "data_centers": 18,
-                "charitable_giving": 12,
-                "digital_transformation": 98,
-                "revenue_growth": 8.9,
-                "market_share": 18.4,
-                "employee_satisfaction": 92,
-                "cybersecurity_score": 89,
-                "supply_chain_efficiency": 84,
-                "international_presence": 78,
-                "startup_acquisitions": 8,
-                "cloud_infrastructure": 28.9,
-                "ai_investment": 4.8,
-                "debt_to_equity": 0.02,
-                "cash_reserves": 5.8,
-                "sustainability_initiatives": 84,
-                "regulatory_compliance": 89,
-                "originalCode": "ZOOM"
-        } }
-
-];
-
-
-// ===== SPORTS TOKENS =====
-const SPORTS_TOKENS = [
-        { id: '125', name: 'Washington Wizards', tags: ['A1', 'B1', 'C1', 'D1'], stats: {
-                "league": "NBA",
-                "year_founded": 1961,
-                "mvp_awards": 1,
-                "retired_numbers": 5,
-                "longest_winning_streak": 20,
-                "metro_population": 6.16,
-                "average_home_attendance": 16000,
-                "franchise_name_changes": 5,
-                "franchise_miles_moved": 740,
-                "originalCode": "WASHINGTON_WIZARDS",
-                "championship_count": 1,
-                "all_time_wins": 2290,
-                "playoff_appearances": 30,
-                "winning_percentage": 0.443,
-                "division_titles": 8,
-                "team_value": 4.1,
-                "average_ticket_price": 76.49,
-                "beer_price": 12,
-                "parking_price": 40,
-                "season_ticket_price": 3000,
-                "hot_dog_price": 7.25,
-                "night_out_cost": 422.96,
-                "draft_picks_first_overall": 4,
-                "championship_drought": 46,
-                "city_championship_total": 8,
-                "championship_losses": 2
-        } },
-        { id: '019', name: 'Los Angeles Chargers', tags: ['A2', 'B2', 'C2', 'D2'], stats: {
-                "league": "NFL",
-                "year_founded": 1960,
-                "mvp_awards": 1,
-                "retired_numbers": 6,
-                "longest_winning_streak": 14,
-                "metro_population": 12.68,
-                "average_home_attendance": 69966,
-                "franchise_name_changes": 2,
-                "franchise_miles_moved": 240,
-                "originalCode": "LOS_ANGELES_CHARGERS",
-                "championship_count": 1,
-                "all_time_wins": 494,
-                "playoff_appearances": 21,
-                "winning_percentage": 0.499,
-                "division_titles": 15,
-                "team_value": 5.1,
-                "average_ticket_price": 106.23,
-                "beer_price": 11,
-                "parking_price": 58.4,
-                "night_out_cost": 553.32,
-                "draft_picks_first_overall": 1,
-                "championship_drought": 64,
-                "city_championship_total": 34,
-                "championship_losses": 1
-        } },
-        { id: '057', name: 'Seattle Kraken', tags: ['A3', 'B3', 'C3', 'D3'], stats: {
-                "league": "NHL",
-                "year_founded": 2021,
-                "mvp_awards": 0,
-                "retired_numbers": 1,
-                "longest_winning_streak": 8,
-                "metro_population": 4.03,
-                "average_home_attendance": 17151,
-                "franchise_name_changes": 0,
-                "franchise_miles_moved": 0,
-                "originalCode": "SEATTLE_KRAKEN",
-                "championship_count": 0,
-                "all_time_wins": 142,
-                "playoff_appearances": 1,
-                "winning_percentage": 0.483,
-                "division_titles": 0,
-                "team_value": 1.225,
-                "average_ticket_price": 110.69,
-                "beer_price": 9,
-                "parking_price": 19.77,
-                "night_out_cost": 524.53,
-                "draft_picks_first_overall": 0,
-                "championship_drought": 3,
-                "city_championship_total": 3,
-                "championship_losses": 0
-        } },
-        { id: '086', name: 'Philadelphia Phillies', tags: ['A4', 'B4', 'C4', 'D4'], stats: {
-                "league": "MLB",
-                "year_founded": 1883,
-                "mvp_awards": 8,
-                "retired_numbers": 12,
-                "longest_winning_streak": 16,
-                "metro_population": 5.86,
-                "average_home_attendance": 35000,
-                "franchise_name_changes": 0,
-                "franchise_miles_moved": 0,
-                "originalCode": "PHILADELPHIA_PHILLIES",
-                "championship_count": 2,
-                "all_time_wins": 10265,
-                "playoff_appearances": 17,
-                "winning_percentage": 0.474,
-                "division_titles": 13,
-                "team_value": 3.1,
-                "average_ticket_price": 37.46,
-                "beer_price": 7.69,
-                "parking_price": 24.67,
-                "night_out_cost": 231.27,
-                "draft_picks_first_overall": 2,
-                "championship_drought": 16,
-                "city_championship_total": 12,
-                "championship_losses": 5
-        } },
-        { id: '115', name: 'New York Knicks', tags: ['A5', 'B5', 'C5', 'D5'], stats: {
-                "league": "NBA",
-                "year_founded": 1946,
-                "mvp_awards": 1,
-                "retired_numbers": 9,
-                "longest_winning_streak": 18,
-                "metro_population": 19.16,
-                "average_home_attendance": 19812,
-                "franchise_name_changes": 0,
-                "franchise_miles_moved": 0,
-                "originalCode": "NEW_YORK_KNICKS",
-                "championship_count": 2,
-                "all_time_wins": 3025,
-                "playoff_appearances": 46,
-                "winning_percentage": 0.489,
-                "division_titles": 8,
-                "team_value": 7.5,
-                "average_ticket_price": 186.6,
-                "beer_price": 13.75,
-                "parking_price": 55,
-                "season_ticket_price": 5500,
-                "hot_dog_price": 8.25,
-                "night_out_cost": 889.4,
-                "draft_picks_first_overall": 4,
-                "championship_drought": 51,
-                "city_championship_total": 53,
-                "championship_losses": 4
-        } },
-        { id: '016', name: 'Jacksonville Jaguars', tags: ['A1', 'B2', 'C3', 'D1'], stats: {
-                "league": "NFL",
-                "year_founded": 1995,
-                "mvp_awards": 0,
-                "retired_numbers": 1,
-                "longest_winning_streak": 8,
-                "metro_population": 1.68,
-                "average_home_attendance": 65764,
-                "franchise_name_changes": 0,
-                "franchise_miles_moved": 0,
-                "originalCode": "JACKSONVILLE_JAGUARS",
-                "championship_count": 0,
-                "all_time_wins": 202,
-                "playoff_appearances": 8,
-                "winning_percentage": 0.417,
-                "division_titles": 4,
-                "team_value": 4.6,
-                "average_ticket_price": 102.22,
-                "beer_price": 11.49,
-                "parking_price": 41.97,
-                "night_out_cost": 522.81,
-                "draft_picks_first_overall": 2,
-                "championship_drought": 29,
-                "city_championship_total": 0,
-                "championship_losses": 2
-        } },
-        { id: '053', name: 'Ottawa Senators', tags: ['A2', 'B3', 'C4', 'D2'], stats: {
-                "league": "NHL",
-                "year_founded": 1992,
-                "mvp_awards": 0,
-                "retired_numbers": 4,
-                "longest_winning_streak": 11,
-                "metro_population": 1.66,
-                "average_home_attendance": 17373,
-                "franchise_name_changes": 0,
-                "franchise_miles_moved": 0,
-                "originalCode": "OTTAWA_SENATORS",
-                "championship_count": 0,
-                "all_time_wins": 1125,
-                "playoff_appearances": 17,
-                "winning_percentage": 0.507,
-                "division_titles": 4,
-                "team_value": 0.95,
-                "average_ticket_price": 59.38,
-                "beer_price": 8.89,
-                "parking_price": 23.46,
-                "night_out_cost": 322.54,
-                "draft_picks_first_overall": 3,
-                "championship_drought": 97,
-                "city_championship_total": 0,
-                "championship_losses": 1
-        } },
-        { id: '089', name: 'San Francisco Giants', tags: ['A3', 'B4', 'C5', 'D3'], stats: {
-                "league": "MLB",
-                "year_founded": 1883,
-                "mvp_awards": 13,
-                "retired_numbers": 14,
-                "longest_winning_streak": 26,
-                "metro_population": 4.58,
-                "average_home_attendance": 40000,
-                "franchise_name_changes": 3,
-                "franchise_miles_moved": 2900,
-                "originalCode": "SAN_FRANCISCO_GIANTS",
-                "championship_count": 8,
-                "all_time_wins": 11594,
-                "playoff_appearances": 27,
-                "winning_percentage": 0.535,
-                "division_titles": 9,
-                "team_value": 4,
-                "average_ticket_price": 40.81,
-                "beer_price": 9,
-                "parking_price": 27.5,
-                "night_out_cost": 252.74,
-                "draft_picks_first_overall": 0,
-                "championship_drought": 10,
-                "city_championship_total": 29,
-                "championship_losses": 4
-        } },
-        { id: '100', name: 'Chicago Bulls', tags: ['A4', 'C1', 'D4'], stats: {
-                "league": "NBA",
-                "year_founded": 1966,
-                "mvp_awards": 6,
-                "retired_numbers": 6,
-                "longest_winning_streak": 18,
-                "metro_population": 9.28,
-                "average_home_attendance": 20776,
-                "franchise_name_changes": 0,
-                "franchise_miles_moved": 0,
-                "originalCode": "CHICAGO_BULLS",
-                "championship_count": 6,
-                "all_time_wins": 2422,
-                "playoff_appearances": 36,
-                "winning_percentage": 0.509,
-                "division_titles": 9,
-                "team_value": 5,
-                "average_ticket_price": 106.59,
-                "beer_price": 11.75,
-                "parking_price": 35,
-                "season_ticket_price": 3000,
-                "hot_dog_price": 7,
-                "night_out_cost": 536.36,
-                "draft_picks_first_overall": 2,
-                "championship_drought": 26,
-                "city_championship_total": 27,
-                "championship_losses": 2
-        } },
-        { id: '003', name: 'Atlanta Falcons', tags: ['A5', 'C2', 'D5'], stats: {
-                "league": "NFL",
-                "year_founded": 1966,
-                "mvp_awards": 1,
-                "retired_numbers": 0,
-                "longest_winning_streak": 12,
-                "metro_population": 6.24,
-                "average_home_attendance": 71381,
-                "franchise_name_changes": 0,
-                "franchise_miles_moved": 0,
-                "originalCode": "ATLANTA_FALCONS",
-                "championship_count": 0,
-                "all_time_wins": 398,
-                "playoff_appearances": 14,
-                "winning_percentage": 0.438,
-                "division_titles": 7,
-                "team_value": 5.2,
-                "average_ticket_price": 111.54,
-                "beer_price": 5,
-                "parking_price": 19.06,
-                "night_out_cost": 511.22,
-                "draft_picks_first_overall": 4,
-                "championship_drought": 58,
-                "city_championship_total": 5,
-                "championship_losses": 2
-        } },
-        { id: '044', name: 'Edmonton Oilers', tags: ['A1', 'C4', 'D4'], stats: {
-                "league": "NHL",
-                "year_founded": 1972,
-                "mvp_awards": 13,
-                "retired_numbers": 9,
-                "longest_winning_streak": 16,
-                "metro_population": 1.63,
-                "average_home_attendance": 18347,
-                "franchise_name_changes": 0,
-                "franchise_miles_moved": 0,
-                "originalCode": "EDMONTON_OILERS",
-                "championship_count": 5,
-                "all_time_wins": 1665,
-                "playoff_appearances": 27,
-                "winning_percentage": 0.531,
-                "division_titles": 6,
-                "team_value": 2.3,
-                "average_ticket_price": 85.12,
-                "beer_price": 9.26,
-                "parking_price": 10.15,
-                "night_out_cost": 413.67,
-                "draft_picks_first_overall": 4,
-                "championship_drought": 34,
-                "city_championship_total": 5,
-                "championship_losses": 1
-        } },
-        { id: '074', name: 'Colorado Rockies', tags: ['A2', 'C5', 'D5'], stats: {
-                "league": "MLB",
-                "year_founded": 1993,
-                "mvp_awards": 1,
-                "retired_numbers": 3,
-                "longest_winning_streak": 10,
-                "metro_population": 2.99,
-                "average_home_attendance": 30000,
-                "franchise_name_changes": 0,
-                "franchise_miles_moved": 0,
-                "originalCode": "COLORADO_ROCKIES",
-                "championship_count": 0,
-                "all_time_wins": 2346,
-                "playoff_appearances": 5,
-                "winning_percentage": 0.458,
-                "division_titles": 0,
-                "team_value": 1.475,
-                "average_ticket_price": 26.16,
-                "beer_price": 3,
-                "parking_price": 12.68,
-                "night_out_cost": 155.32,
-                "draft_picks_first_overall": 0,
-                "championship_drought": 31,
-                "city_championship_total": 7,
-                "championship_losses": 1
-        } },
-        { id: '099', name: 'Charlotte Hornets', tags: ['A3', 'C1', 'D5'], stats: {
-                "league": "NBA",
-                "year_founded": 1988,
-                "mvp_awards": 0,
-                "retired_numbers": 1,
-                "longest_winning_streak": 12,
-                "metro_population": 2.75,
-                "average_home_attendance": 16500,
-                "franchise_name_changes": 2,
-                "franchise_miles_moved": 0,
-                "originalCode": "CHARLOTTE_HORNETS",
-                "championship_count": 0,
-                "all_time_wins": 1193,
-                "playoff_appearances": 10,
-                "winning_percentage": 0.427,
-                "division_titles": 0,
-                "team_value": 3.3,
-                "average_ticket_price": 65.41,
-                "beer_price": 9.5,
-                "parking_price": 23,
-                "season_ticket_price": 1500,
-                "hot_dog_price": 5.75,
-                "night_out_cost": 345.64,
-                "draft_picks_first_overall": 1,
-                "championship_drought": 36,
-                "city_championship_total": 0,
-                "championship_losses": 0
-        } }
-,
-        { id: '023', name: 'New England Patriots', tags: ['A4', 'C4', 'D1'], stats: {
-                "league": "NFL",
-                "year_founded": 1960,
-                "mvp_awards": 3,
-                "retired_numbers": 8,
-                "longest_winning_streak": 21,
-                "metro_population": 4.9,
-                "average_home_attendance": 64634,
-                "franchise_name_changes": 1,
-                "franchise_miles_moved": 0,
-                "originalCode": "NEW_ENGLAND_PATRIOTS",
-                "championship_count": 6,
-                "all_time_wins": 545,
-                "playoff_appearances": 28,
-                "winning_percentage": 0.55,
-                "division_titles": 22,
-                "team_value": 7.4,
-                "average_ticket_price": 142.74,
-                "beer_price": 10.5,
-                "parking_price": 0,
-                "night_out_cost": 638.96,
-                "draft_picks_first_overall": 4,
-                "championship_drought": 5,
-                "city_championship_total": 39,
-                "championship_losses": 5
-        } },
-        { id: '058', name: 'St. Louis Blues', tags: ['A5', 'C3', 'B1'], stats: {
-                "league": "NHL",
-                "year_founded": 1967,
-                "mvp_awards": 2,
-                "retired_numbers": 8,
-                "longest_winning_streak": 12,
-                "metro_population": 2.8,
-                "average_home_attendance": 18096,
-                "franchise_name_changes": 0,
-                "franchise_miles_moved": 0,
-                "originalCode": "ST__LOUIS_BLUES",
-                "championship_count": 1,
-                "all_time_wins": 2102,
-                "playoff_appearances": 46,
-                "winning_percentage": 0.537,
-                "division_titles": 10,
-                "team_value": 0.99,
-                "average_ticket_price": 77.42,
-                "beer_price": 10,
-                "parking_price": 18.84,
-                "night_out_cost": 394.52,
-                "draft_picks_first_overall": 1,
-                "championship_drought": 5,
-                "city_championship_total": 12,
-                "championship_losses": 3
-        } },
-        { id: '077', name: 'Kansas City Royals', tags: ['A1', 'C5', 'B5'], stats: {
-                "league": "MLB",
-                "year_founded": 1969,
-                "mvp_awards": 1,
-                "retired_numbers": 3,
-                "longest_winning_streak": 16,
-                "metro_population": 2.21,
-                "average_home_attendance": 23000,
-                "franchise_name_changes": 0,
-                "franchise_miles_moved": 0,
-                "originalCode": "KANSAS_CITY_ROYALS",
-                "championship_count": 2,
-                "all_time_wins": 4257,
-                "playoff_appearances": 10,
-                "winning_percentage": 0.477,
-                "division_titles": 8,
-                "team_value": 1.2,
-                "average_ticket_price": 36.42,
-                "beer_price": 5,
-                "parking_price": 20,
-                "night_out_cost": 211.68,
-                "draft_picks_first_overall": 1,
-                "championship_drought": 9,
-                "city_championship_total": 7,
-                "championship_losses": 0
-        } },
-        { id: '104', name: 'Detroit Pistons', tags: ['A2', 'B1', 'D3'], stats: {
-                "league": "NBA",
-                "year_founded": 1941,
-                "mvp_awards": 0,
-                "retired_numbers": 12,
-                "longest_winning_streak": 16,
-                "metro_population": 4.35,
-                "average_home_attendance": 15000,
-                "franchise_name_changes": 1,
-                "franchise_miles_moved": 180,
-                "originalCode": "DETROIT_PISTONS",
-                "championship_count": 3,
-                "all_time_wins": 2871,
-                "playoff_appearances": 43,
-                "winning_percentage": 0.472,
-                "division_titles": 11,
-                "team_value": 3.4,
-                "average_ticket_price": 64.46,
-                "beer_price": 11.25,
-                "parking_price": 35,
-                "season_ticket_price": 1750,
-                "hot_dog_price": 6.25,
-                "night_out_cost": 362.84,
-                "draft_picks_first_overall": 3,
-                "championship_drought": 20,
-                "city_championship_total": 22,
-                "championship_losses": 3
-        } },
-        { id: '006', name: 'Carolina Panthers', tags: ['A3', 'B2', 'D2'], stats: {
-                "league": "NFL",
-                "year_founded": 1995,
-                "mvp_awards": 1,
-                "retired_numbers": 1,
-                "longest_winning_streak": 18,
-                "metro_population": 2.75,
-                "average_home_attendance": 70612,
-                "franchise_name_changes": 0,
-                "franchise_miles_moved": 0,
-                "originalCode": "CAROLINA_PANTHERS",
-                "championship_count": 0,
-                "all_time_wins": 219,
-                "playoff_appearances": 8,
-                "winning_percentage": 0.454,
-                "division_titles": 6,
-                "team_value": 4.5,
-                "average_ticket_price": 115.45,
-                "beer_price": 10.49,
-                "parking_price": 21.75,
-                "night_out_cost": 551.51,
-                "draft_picks_first_overall": 2,
-                "championship_drought": 29,
-                "city_championship_total": 1,
-                "championship_losses": 2
-        } },
-        { id: '047', name: 'Minnesota Wild', tags: ['A4', 'B3', 'D3'], stats: {
-                "league": "NHL",
-                "year_founded": 2000,
-                "mvp_awards": 0,
-                "retired_numbers": 2,
-                "longest_winning_streak": 10,
-                "metro_population": 3.69,
-                "average_home_attendance": 19356,
-                "franchise_name_changes": 0,
-                "franchise_miles_moved": 0,
-                "originalCode": "MINNESOTA_WILD",
-                "championship_count": 0,
-                "all_time_wins": 942,
-                "playoff_appearances": 14,
-                "winning_percentage": 0.561,
-                "division_titles": 1,
-                "team_value": 1.05,
-                "average_ticket_price": 92.67,
-                "beer_price": 10,
-                "parking_price": 10.43,
-                "night_out_cost": 447.11,
-                "draft_picks_first_overall": 0,
-                "championship_drought": 24,
-                "city_championship_total": 3,
-                "championship_losses": 0
-        } },
-        { id: '071', name: 'Chicago White Sox', tags: ['A5', 'B4', 'D2'], stats: {
-                "league": "MLB",
-                "year_founded": 1901,
-                "mvp_awards": 5,
-                "retired_numbers": 10,
-                "longest_winning_streak": 19,
-                "metro_population": 9.28,
-                "average_home_attendance": 20000,
-                "franchise_name_changes": 0,
-                "franchise_miles_moved": 0,
-                "originalCode": "CHICAGO_WHITE_SOX",
-                "championship_count": 3,
-                "all_time_wins": 9630,
-                "playoff_appearances": 11,
-                "winning_percentage": 0.499,
-                "division_titles": 6,
-                "team_value": 2.05,
-                "average_ticket_price": 32.42,
-                "beer_price": 10.5,
-                "parking_price": 26.57,
-                "night_out_cost": 224.25,
-                "draft_picks_first_overall": 2,
-                "championship_drought": 19,
-                "city_championship_total": 27,
-                "championship_losses": 0
-        } },
-        { id: '122', name: 'San Antonio Spurs', tags: ['A1', 'B5', 'D4'], stats: {
-                "league": "NBA",
-                "year_founded": 1967,
-                "mvp_awards": 3,
-                "retired_numbers": 10,
-                "longest_winning_streak": 19,
-                "metro_population": 2.66,
-                "average_home_attendance": 17500,
-                "franchise_name_changes": 0,
-                "franchise_miles_moved": 0,
-                "originalCode": "SAN_ANTONIO_SPURS",
-                "championship_count": 5,
-                "all_time_wins": 2717,
-                "playoff_appearances": 47,
-                "winning_percentage": 0.579,
-                "division_titles": 22,
-                "team_value": 3.85,
-                "average_ticket_price": 69.45,
-                "beer_price": 8,
-                "parking_price": 25,
-                "season_ticket_price": 1500,
-                "hot_dog_price": 6.25,
-                "night_out_cost": 359.8,
-                "draft_picks_first_overall": 3,
-                "championship_drought": 10,
-                "city_championship_total": 5,
-                "championship_losses": 2
-        } },
-        { id: '021', name: 'Miami Dolphins', tags: ['A2', 'B4', 'D1'], stats: {
-                "league": "NFL",
-                "year_founded": 1966,
-                "mvp_awards": 1,
-                "retired_numbers": 3,
-                "longest_winning_streak": 16,
-                "metro_population": 6.14,
-                "average_home_attendance": 65643,
-                "franchise_name_changes": 0,
-                "franchise_miles_moved": 0,
-                "originalCode": "MIAMI_DOLPHINS",
-                "championship_count": 2,
-                "all_time_wins": 504,
-                "playoff_appearances": 25,
-                "winning_percentage": 0.553,
-                "division_titles": 14,
-                "team_value": 6.2,
-                "average_ticket_price": 104.45,
-                "beer_price": 5,
-                "parking_price": 29,
-                "night_out_cost": 492.8,
-                "draft_picks_first_overall": 1,
-                "championship_drought": 51,
-                "city_championship_total": 9,
-                "championship_losses": 3
-        } },
-        { id: '042', name: 'Dallas Stars', tags: ['A3', 'B5'], stats: {
-                "league": "NHL",
-                "year_founded": 1967,
-                "mvp_awards": 0,
-                "retired_numbers": 6,
-                "longest_winning_streak": 12,
-                "metro_population": 8.3,
-                "average_home_attendance": 18532,
-                "franchise_name_changes": 1,
-                "franchise_miles_moved": 950,
-                "originalCode": "DALLAS_STARS",
-                "championship_count": 1,
-                "all_time_wins": 2037,
-                "playoff_appearances": 37,
-                "winning_percentage": 0.526,
-                "division_titles": 11,
-                "team_value": 1.08,
-                "average_ticket_price": 83.48,
-                "beer_price": 10.5,
-                "parking_price": 8.84,
-                "night_out_cost": 410.76,
-                "draft_picks_first_overall": 3,
-                "championship_drought": 25,
-                "city_championship_total": 8,
-                "championship_losses": 3
-        } },
-        { id: '069', name: 'Boston Red Sox', tags: ['A4', 'B5'], stats: {
-                "league": "MLB",
-                "year_founded": 1901,
-                "mvp_awards": 11,
-                "retired_numbers": 10,
-                "longest_winning_streak": 17,
-                "metro_population": 4.9,
-                "average_home_attendance": 37755,
-                "franchise_name_changes": 2,
-                "franchise_miles_moved": 0,
-                "originalCode": "BOSTON_RED_SOX",
-                "championship_count": 9,
-                "all_time_wins": 10009,
-                "playoff_appearances": 25,
-                "winning_percentage": 0.518,
-                "division_titles": 10,
-                "team_value": 4.8,
-                "average_ticket_price": 62.94,
-                "beer_price": 10.5,
-                "parking_price": 23.4,
-                "night_out_cost": 343.16,
-                "draft_picks_first_overall": 0,
-                "championship_drought": 6,
-                "city_championship_total": 39,
-                "championship_losses": 1
-        } },
-        { id: '110', name: 'Memphis Grizzlies', tags: ['A5', 'B1', 'C4'], stats: {
-                "league": "NBA",
-                "year_founded": 1995,
-                "mvp_awards": 0,
-                "retired_numbers": 4,
-                "longest_winning_streak": 12,
-                "metro_population": 1.35,
-                "average_home_attendance": 15800,
-                "franchise_name_changes": 1,
-                "franchise_miles_moved": 2200,
-                "originalCode": "MEMPHIS_GRIZZLIES",
-                "championship_count": 0,
-                "all_time_wins": 1046,
-                "playoff_appearances": 14,
-                "winning_percentage": 0.437,
-                "division_titles": 2,
-                "team_value": 3,
-                "average_ticket_price": 65.91,
-                "beer_price": 8.95,
-                "parking_price": 25,
-                "season_ticket_price": 2000,
-                "hot_dog_price": 6.25,
-                "night_out_cost": 349.44,
-                "draft_picks_first_overall": 0,
-                "championship_drought": 29,
-                "city_championship_total": 0,
-                "championship_losses": 0
-        } },
-        { id: '011', name: 'Denver Broncos', tags: ['A1', 'B2', 'C5'], stats: {
-                "league": "NFL",
-                "year_founded": 1960,
-                "mvp_awards": 3,
-                "retired_numbers": 3,
-                "longest_winning_streak": 17,
-                "metro_population": 2.99,
-                "average_home_attendance": 73969,
-                "franchise_name_changes": 0,
-                "franchise_miles_moved": 0,
-                "originalCode": "DENVER_BRONCOS",
-                "championship_count": 3,
-                "all_time_wins": 518,
-                "playoff_appearances": 23,
-                "winning_percentage": 0.523,
-                "division_titles": 15,
-                "team_value": 5.5,
-                "average_ticket_price": 131.91,
-                "beer_price": 8.5,
-                "parking_price": 29.1,
-                "night_out_cost": 616.74,
-                "draft_picks_first_overall": 0,
-                "championship_drought": 8,
-                "city_championship_total": 7,
-                "championship_losses": 5
-        } },
-        { id: '062', name: 'Vancouver Canucks', tags: ['A2', 'B3', 'C1'], stats: {
-                "league": "NHL",
-                "year_founded": 1970,
-                "mvp_awards": 1,
-                "retired_numbers": 6,
-                "longest_winning_streak": 11,
-                "metro_population": 3.11,
-                "average_home_attendance": 18910,
-                "franchise_name_changes": 0,
-                "franchise_miles_moved": 0,
-                "originalCode": "VANCOUVER_CANUCKS",
-                "championship_count": 0,
-                "all_time_wins": 1815,
-                "playoff_appearances": 29,
-                "winning_percentage": 0.494,
-                "division_titles": 11,
-                "team_value": 1.325,
-                "average_ticket_price": 78.25,
-                "beer_price": 7.78,
-                "parking_price": 11.41,
-                "night_out_cost": 381.53,
-                "draft_picks_first_overall": 0,
-                "championship_drought": 54,
-                "city_championship_total": 0,
-                "championship_losses": 3
-        } },
-        { id: '068', name: 'Baltimore Orioles', tags: ['A3', 'B4', 'C4'], stats: {
-                "league": "MLB",
-                "year_founded": 1901,
-                "mvp_awards": 5,
-                "retired_numbers": 6,
-                "longest_winning_streak": 18,
-                "metro_population": 2.83,
-                "average_home_attendance": 28000,
-                "franchise_name_changes": 3,
-                "franchise_miles_moved": 1050,
-                "originalCode": "BALTIMORE_ORIOLES",
-                "championship_count": 3,
-                "all_time_wins": 9164,
-                "playoff_appearances": 16,
-                "winning_percentage": 0.475,
-                "division_titles": 10,
-                "team_value": 1.713,
-                "average_ticket_price": 34.27,
-                "beer_price": 10.99,
-                "parking_price": 14.4,
-                "night_out_cost": 221.44,
-                "draft_picks_first_overall": 3,
-                "championship_drought": 41,
-                "city_championship_total": 5,
-                "championship_losses": 0
-        } },
-        { id: '106', name: 'Houston Rockets', tags: ['A4', 'B5', 'C3'], stats: {
-                "league": "NBA",
-                "year_founded": 1967,
-                "mvp_awards": 4,
-                "retired_numbers": 8,
-                "longest_winning_streak": 22,
-                "metro_population": 7.37,
-                "average_home_attendance": 18000,
-                "franchise_name_changes": 1,
-                "franchise_miles_moved": 1200,
-                "originalCode": "HOUSTON_ROCKETS",
-                "championship_count": 2,
-                "all_time_wins": 2421,
-                "playoff_appearances": 35,
-                "winning_percentage": 0.516,
-                "division_titles": 9,
-                "team_value": 4.9,
-                "average_ticket_price": 65.73,
-                "beer_price": 10.75,
-                "parking_price": 30,
-                "season_ticket_price": 1250,
-                "hot_dog_price": 6.25,
-                "night_out_cost": 360.92,
-                "draft_picks_first_overall": 5,
-                "championship_drought": 29,
-                "city_championship_total": 4,
-                "championship_losses": 3
-        } },
-        { id: '031', name: 'Tampa Bay Buccaneers', tags: ['A5', 'B4', 'C1'], stats: {
-                "league": "NFL",
-                "year_founded": 1976,
-                "mvp_awards": 0,
-                "retired_numbers": 3,
-                "longest_winning_streak": 10,
-                "metro_population": 3.29,
-                "average_home_attendance": 63689,
-                "franchise_name_changes": 0,
-                "franchise_miles_moved": 0,
-                "originalCode": "TAMPA_BAY_BUCCANEERS",
-                "championship_count": 2,
-                "all_time_wins": 318,
-                "playoff_appearances": 15,
-                "winning_percentage": 0.41,
-                "division_titles": 10,
-                "team_value": 5.4,
-                "average_ticket_price": 124.43,
-                "beer_price": 7,
-                "parking_price": 41.4,
-                "night_out_cost": 593.12,
-                "draft_picks_first_overall": 5,
-                "championship_drought": 3,
-                "city_championship_total": 5,
-                "championship_losses": 0
-        } },
-        { id: '061', name: 'Utah Hockey Club', tags: ['A1', 'B3', 'C2'], stats: {
-                "league": "NHL",
-                "year_founded": 1972,
-                "mvp_awards": 0,
-                "retired_numbers": 0,
-                "longest_winning_streak": 9,
-                "metro_population": 1.26,
-                "average_home_attendance": 16500,
-                "franchise_name_changes": 3,
-                "franchise_miles_moved": 2300,
-                "originalCode": "UTAH_HOCKEY_CLUB",
-                "championship_count": 0,
-                "all_time_wins": 38,
-                "playoff_appearances": 0,
-                "winning_percentage": 0.543,
-                "division_titles": 0,
-                "team_value": 0.45,
-                "average_ticket_price": 50.59,
-                "beer_price": 12.5,
-                "parking_price": 20,
-                "night_out_cost": 298.36,
-                "draft_picks_first_overall": 0,
-                "championship_drought": 52,
-                "city_championship_total": 0,
-                "championship_losses": 0
-        } },
-        { id: '088', name: 'San Diego Padres', tags: ['A2', 'B1', 'C2'], stats: {
-                "league": "MLB",
-                "year_founded": 1969,
-                "mvp_awards": 0,
-                "retired_numbers": 5,
-                "longest_winning_streak": 11,
-                "metro_population": 3.3,
-                "average_home_attendance": 35000,
-                "franchise_name_changes": 0,
-                "franchise_miles_moved": 0,
-                "originalCode": "SAN_DIEGO_PADRES",
-                "championship_count": 0,
-                "all_time_wins": 4182,
-                "playoff_appearances": 8,
-                "winning_percentage": 0.468,
-                "division_titles": 5,
-                "team_value": 1.75,
-                "average_ticket_price": 33.81,
-                "beer_price": 5,
-                "parking_price": 18.4,
-                "night_out_cost": 199.64,
-                "draft_picks_first_overall": 5,
-                "championship_drought": 55,
-                "city_championship_total": 0,
-                "championship_losses": 2
-        } },
-        { id: '098', name: 'Brooklyn Nets', tags: ['A3', 'B2', 'C2'], stats: {
-                "league": "NBA",
-                "year_founded": 1967,
-                "mvp_awards": 0,
-                "retired_numbers": 7,
-                "longest_winning_streak": 15,
-                "metro_population": 19.16,
-                "average_home_attendance": 15500,
-                "franchise_name_changes": 2,
-                "franchise_miles_moved": 30,
-                "originalCode": "BROOKLYN_NETS",
-                "championship_count": 2,
-                "all_time_wins": 2054,
-                "playoff_appearances": 31,
-                "winning_percentage": 0.438,
-                "division_titles": 5,
-                "team_value": 4.8,
-                "average_ticket_price": 99.19,
-                "beer_price": 12,
-                "parking_price": 45,
-                "season_ticket_price": 4000,
-                "hot_dog_price": 7.25,
-                "night_out_cost": 518.76,
-                "draft_picks_first_overall": 2,
-                "championship_drought": 57,
-                "city_championship_total": 53,
-                "championship_losses": 2
-        } },
-        { id: '015', name: 'Indianapolis Colts', tags: ['A4', 'B2', 'C1'], stats: {
-                "league": "NFL",
-                "year_founded": 1953,
-                "mvp_awards": 9,
-                "retired_numbers": 8,
-                "longest_winning_streak": 23,
-                "metro_population": 2.12,
-                "average_home_attendance": 65767,
-                "franchise_name_changes": 1,
-                "franchise_miles_moved": 650,
-                "originalCode": "INDIANAPOLIS_COLTS",
-                "championship_count": 4,
-                "all_time_wins": 564,
-                "playoff_appearances": 29,
-                "winning_percentage": 0.525,
-                "division_titles": 21,
-                "team_value": 4.8,
-                "average_ticket_price": 107,
-                "beer_price": 9,
-                "parking_price": 26,
-                "night_out_cost": 516,
-                "draft_picks_first_overall": 7,
-                "championship_drought": 17,
-                "city_championship_total": 4,
-                "championship_losses": 2
-        } },
-        { id: '048', name: 'Montreal Canadiens', tags: ['A5', 'B3'], stats: {
-                "league": "NHL",
-                "year_founded": 1909,
-                "mvp_awards": 17,
-                "retired_numbers": 18,
-                "longest_winning_streak": 12,
-                "metro_population": 4.62,
-                "average_home_attendance": 21105,
-                "franchise_name_changes": 0,
-                "franchise_miles_moved": 0,
-                "originalCode": "MONTREAL_CANADIENS",
-                "championship_count": 23,
-                "all_time_wins": 3596,
-                "playoff_appearances": 86,
-                "winning_percentage": 0.58,
-                "division_titles": 37,
-                "team_value": 3,
-                "average_ticket_price": 105.3,
-                "beer_price": 8.89,
-                "parking_price": 12.74,
-                "night_out_cost": 495.5,
-                "draft_picks_first_overall": 6,
-                "championship_drought": 31,
-                "city_championship_total": 23,
-                "championship_losses": 9
-        } },
-        { id: '094', name: 'Toronto Blue Jays', tags: ['A1', 'B1'], stats: {
-                "league": "MLB",
-                "year_founded": 1977,
-                "mvp_awards": 2,
-                "retired_numbers": 1,
-                "longest_winning_streak": 13,
-                "metro_population": 7.11,
-                "average_home_attendance": 35000,
-                "franchise_name_changes": 0,
-                "franchise_miles_moved": 0,
-                "originalCode": "TORONTO_BLUE_JAYS",
-                "championship_count": 2,
-                "all_time_wins": 3820,
-                "playoff_appearances": 10,
-                "winning_percentage": 0.499,
-                "division_titles": 6,
-                "team_value": 2.1,
-                "average_ticket_price": 32.34,
-                "beer_price": 4.44,
-                "parking_price": 11.76,
-                "night_out_cost": 184.88,
-                "draft_picks_first_overall": 0,
-                "championship_drought": 31,
-                "city_championship_total": 16,
-                "championship_losses": 0
-        } },
-        { id: '119', name: 'Phoenix Suns', tags: ['A2', 'C2'], stats: {
-                "league": "NBA",
-                "year_founded": 1968,
-                "mvp_awards": 3,
-                "retired_numbers": 13,
-                "longest_winning_streak": 18,
-                "metro_population": 5.02,
-                "average_home_attendance": 17000,
-                "franchise_name_changes": 0,
-                "franchise_miles_moved": 0,
-                "originalCode": "PHOENIX_SUNS",
-                "championship_count": 0,
-                "all_time_wins": 2465,
-                "playoff_appearances": 33,
-                "winning_percentage": 0.535,
-                "division_titles": 8,
-                "team_value": 4.3,
-                "average_ticket_price": 118.52,
-                "beer_price": 12,
-                "parking_price": 40,
-                "season_ticket_price": 3000,
-                "hot_dog_price": 7.25,
-                "night_out_cost": 591.08,
-                "draft_picks_first_overall": 1,
-                "championship_drought": 56,
-                "city_championship_total": 3,
-                "championship_losses": 3
-        } },
-        { id: '013', name: 'Green Bay Packers', tags: ['A3', 'C3'], stats: {
-                "league": "NFL",
-                "year_founded": 1921,
-                "mvp_awards": 10,
-                "retired_numbers": 6,
-                "longest_winning_streak": 15,
-                "metro_population": 0.33,
-                "average_home_attendance": 78003,
-                "franchise_name_changes": 0,
-                "franchise_miles_moved": 0,
-                "originalCode": "GREEN_BAY_PACKERS",
-                "championship_count": 13,
-                "all_time_wins": 810,
-                "playoff_appearances": 37,
-                "winning_percentage": 0.572,
-                "division_titles": 31,
-                "team_value": 5.6,
-                "average_ticket_price": 141.48,
-                "beer_price": 10,
-                "parking_price": 36.67,
-                "night_out_cost": 668.59,
-                "draft_picks_first_overall": 2,
-                "championship_drought": 13,
-                "city_championship_total": 15,
-                "championship_losses": 1
-        } },
-        { id: '036', name: 'Buffalo Sabres', tags: ['A4', 'C3'], stats: {
-                "league": "NHL",
-                "year_founded": 1970,
-                "mvp_awards": 2,
-                "retired_numbers": 8,
-                "longest_winning_streak": 15,
-                "metro_population": 1.12,
-                "average_home_attendance": 19070,
-                "franchise_name_changes": 0,
-                "franchise_miles_moved": 0,
-                "originalCode": "BUFFALO_SABRES",
-                "championship_count": 0,
-                "all_time_wins": 1954,
-                "playoff_appearances": 29,
-                "winning_percentage": 0.528,
-                "division_titles": 6,
-                "team_value": 0.75,
-                "average_ticket_price": 58.2,
-                "beer_price": 12,
-                "parking_price": 17.78,
-                "night_out_cost": 324.58,
-                "draft_picks_first_overall": 4,
-                "championship_drought": 54,
-                "city_championship_total": 2,
-                "championship_losses": 2
-        } },
-        { id: '066', name: 'Arizona Diamondbacks', tags: ['A5', 'C5'], stats: {
-                "league": "MLB",
-                "year_founded": 1998,
-                "mvp_awards": 0,
-                "retired_numbers": 2,
-                "longest_winning_streak": 12,
-                "metro_population": 5.02,
-                "average_home_attendance": 25000,
-                "franchise_name_changes": 0,
-                "franchise_miles_moved": 0,
-                "originalCode": "ARIZONA_DIAMONDBACKS",
-                "championship_count": 1,
-                "all_time_wins": 2137,
-                "playoff_appearances": 7,
-                "winning_percentage": 0.489,
-                "division_titles": 5,
-                "team_value": 1.38,
-                "average_ticket_price": 24.47,
-                "beer_price": 4.99,
-                "parking_price": 18.33,
-                "night_out_cost": 162.17,
-                "draft_picks_first_overall": 2,
-                "championship_drought": 23,
-                "city_championship_total": 3,
-                "championship_losses": 0
-        } },
-];
-